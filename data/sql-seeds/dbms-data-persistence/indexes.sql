@@ -0,0 +1,49 @@
+-- Seed of the SQL playgrounds in "Database Indexing": users and their
+-- orders, without secondary indexes so that the effect of each CREATE INDEX
+-- shows in the query plan.
+
+CREATE TABLE users (
+    id      INTEGER PRIMARY KEY,
+    name    TEXT NOT NULL,
+    email   TEXT NOT NULL,
+    country TEXT NOT NULL,
+    state   TEXT NOT NULL,
+    city    TEXT NOT NULL,
+    bio     TEXT
+);
+
+CREATE TABLE orders (
+    id           INTEGER PRIMARY KEY,
+    customer_id  INTEGER NOT NULL REFERENCES users (id),
+    product_id   INTEGER NOT NULL,
+    order_date   TEXT NOT NULL,
+    status       TEXT NOT NULL,
+    total_amount REAL NOT NULL
+);
+
+WITH RECURSIVE seq(n) AS (
+    SELECT 1 UNION ALL SELECT n + 1 FROM seq WHERE n < 20000
+)
+INSERT INTO users (id, name, email, country, state, city, bio)
+SELECT
+    n,
+    'User ' || n,
+    'user' || n || '@example.com',
+    CASE n % 3 WHEN 0 THEN 'IN' WHEN 1 THEN 'US' ELSE 'DE' END,
+    'State ' || (n % 20),
+    'City ' || (n % 200),
+    'Bio of user ' || n
+FROM seq;
+
+WITH RECURSIVE seq(n) AS (
+    SELECT 1 UNION ALL SELECT n + 1 FROM seq WHERE n < 50000
+)
+INSERT INTO orders (id, customer_id, product_id, order_date, status, total_amount)
+SELECT
+    n,
+    1 + (n * 7919) % 20000,
+    1 + (n * 104729) % 500,
+    date('2023-01-01', '+' || (n * 31 % 730) || ' days'),
+    CASE n % 10 WHEN 0 THEN 'cancelled' WHEN 1 THEN 'pending' WHEN 2 THEN 'active' ELSE 'delivered' END,
+    round(10 + (n * 6007 % 99000) / 100.0, 2)
+FROM seq;
@@ -0,0 +1,74 @@
+-- Seed of the SQL playgrounds in "Locking & Query Execution": the users,
+-- products, orders and logs tables of the chapter's examples.
+
+CREATE TABLE users (
+    id         INTEGER PRIMARY KEY,
+    name       TEXT NOT NULL,
+    email      TEXT NOT NULL,
+    age        INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+CREATE TABLE products (
+    id      INTEGER PRIMARY KEY,
+    name    TEXT NOT NULL,
+    price   REAL NOT NULL,
+    stock   INTEGER NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE orders (
+    id         INTEGER PRIMARY KEY,
+    user_id    INTEGER NOT NULL REFERENCES users (id),
+    product_id INTEGER NOT NULL REFERENCES products (id),
+    status     TEXT NOT NULL,
+    order_date TEXT NOT NULL
+);
+
+CREATE TABLE logs (
+    id         INTEGER PRIMARY KEY,
+    level      TEXT NOT NULL,
+    message    TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+WITH RECURSIVE seq(n) AS (
+    SELECT 1 UNION ALL SELECT n + 1 FROM seq WHERE n < 10000
+)
+INSERT INTO users (id, name, email, age, created_at)
+SELECT n, 'User ' || n, 'user' || n || '@example.com', 18 + n % 50, date('2022-01-01', '+' || (n % 1000) || ' days')
+FROM seq;
+
+INSERT INTO users (id, name, email, age, created_at) VALUES (10001, 'John', 'john@example.com', 25, '2024-01-15');
+
+WITH RECURSIVE seq(n) AS (
+    SELECT 1 UNION ALL SELECT n + 1 FROM seq WHERE n < 1000
+)
+INSERT INTO products (id, name, price, stock, version)
+SELECT n, 'Product ' || n, round(5 + (n * 7919 % 49500) / 100.0, 2), n * 37 % 200, 1 + n % 5
+FROM seq;
+
+WITH RECURSIVE seq(n) AS (
+    SELECT 1 UNION ALL SELECT n + 1 FROM seq WHERE n < 50000
+)
+INSERT INTO orders (id, user_id, product_id, status, order_date)
+SELECT
+    n,
+    1 + (n * 7919) % 10000,
+    1 + (n * 104729) % 1000,
+    CASE n % 10 WHEN 0 THEN 'pending' WHEN 1 THEN 'cancelled' ELSE 'delivered' END,
+    date('2023-01-01', '+' || (n * 31 % 730) || ' days')
+FROM seq;
+
+WITH RECURSIVE seq(n) AS (
+    SELECT 1 UNION ALL SELECT n + 1 FROM seq WHERE n < 100000
+)
+INSERT INTO logs (id, level, message, created_at)
+SELECT
+    n,
+    CASE WHEN n % 50 = 0 THEN 'ERROR' WHEN n % 10 = 0 THEN 'WARN' ELSE 'INFO' END,
+    'Request ' || n || ' handled',
+    datetime('2024-01-01 00:00:00', '+' || n || ' seconds')
+FROM seq;
+
+CREATE INDEX idx_users_email ON users (email);
@@ -0,0 +1,26 @@
+-- Seed of the SQL playgrounds in "Pagination & Connection Pooling":
+-- 100,000 products with a primary key to page through, and created_at
+-- values shared by several rows for multi-column cursors.
+
+CREATE TABLE products (
+    id         INTEGER PRIMARY KEY,
+    name       TEXT NOT NULL,
+    category   TEXT NOT NULL,
+    price      REAL NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+WITH RECURSIVE seq(n) AS (
+    SELECT 1 UNION ALL SELECT n + 1 FROM seq WHERE n < 100000
+)
+INSERT INTO products (id, name, category, price, created_at)
+SELECT
+    n,
+    'Product ' || n,
+    CASE n % 5 WHEN 0 THEN 'books' WHEN 1 THEN 'electronics' WHEN 2 THEN 'garden' WHEN 3 THEN 'sports' ELSE 'toys' END,
+    round(5 + (n * 7919 % 49500) / 100.0, 2),
+    -- Three products per minute: created_at alone does not identify a row
+    datetime('2024-01-01 00:00:00', '+' || (n / 3) || ' minutes')
+FROM seq;
+
+CREATE INDEX idx_products_created_at ON products (created_at, id);
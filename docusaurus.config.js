@@ -1,6 +1,9 @@
 // @ts-check
 // Note: type annotations allow type checking and IDEs autocompletion
 
+// Docs versions and the Java / Spring Boot releases each one targets
+const docsVersions = require("./data/docs-versions.json");
+
 /** @type {import('@docusaurus/types').Config} */
 const config = {
   title: "Harendra's Portfolio",
@@ -17,15 +20,23 @@ const config = {
   deploymentBranch: "gh-pages",
   trailingSlash: false,
 
-  // Internationalization
+  // Internationalization: untranslated docs and pages fall back to English.
+  // Translations live in i18n/<locale>; `npm run content -- translations`
+  // reports the missing and outdated ones.
   i18n: {
     defaultLocale: "en",
-    locales: ["en"],
+    locales: ["en", "hi"],
+    localeConfigs: {
+      en: { label: "English", htmlLang: "en-US" },
+      hi: { label: "हिन्दी", htmlLang: "hi-IN" },
+    },
   },
 
   // Enable Mermaid for diagrams
   markdown: {
     mermaid: true,
+    // Adds synonyms of abbreviations (data/search-synonyms.json) to page keywords for search
+    parseFrontMatter: require("./plugins/search").parseFrontMatter,
   },
   themes: [
     "@docusaurus/theme-mermaid",
@@ -46,21 +57,8 @@ const config = {
     [
       "@docusaurus/plugin-client-redirects",
       {
-        redirects: [
-          // Redirects temporarily disabled to fix build
-          // {
-          //   from: "/docs/java-jvm-internals",
-          //   to: "/docs/category/1-java--jvm-internals",
-          // },
-          // {
-          //   from: "/docs/dbms-data-persistence",
-          //   to: "/docs/category/2-dbms--data-persistence",
-          // },
-          // {
-          //   from: "/docs/spring-boot-internals",
-          //   to: "/docs/category/3-spring-boot-internals",
-          // },
-        ],
+        // Redirects of data/redirects.json, kept up to date by "npm run content -- redirects"
+        createRedirects: require("./plugins/doc-redirects").createRedirects,
       },
     ],
     // PWA Plugin for offline support and app installability
@@ -68,6 +66,8 @@ const config = {
       '@docusaurus/plugin-pwa',
       {
         debug: false,
+        // Serves the topics downloaded from /offline when the network fails
+        swCustom: require.resolve("./src/sw.js"),
         offlineModeActivationStrategies: [
           'appInstalled',
           'standalone',
@@ -119,6 +119,49 @@ const config = {
         ],
       },
     ],
+    // Flashcards built from every chapter's "Interview Questions" section
+    [
+      require.resolve("./plugins/interview-questions"),
+      {
+        routeBasePath: "/practice",
+      },
+    ],
+    // Syllabus checklist with coverage computed from chapter headings
+    require.resolve("./plugins/syllabus-coverage"),
+    // Printable page collecting every chapter's "Quick Reference Card"
+    [
+      require.resolve("./plugins/cheatsheets"),
+      {
+        routeBasePath: "/cheatsheets",
+      },
+    ],
+    // Chapter, word, question, diagram and code sample counts for <ContentStats>
+    require.resolve("./plugins/content-stats"),
+    // Front matter, blog author/tag and admonition checks; fails the build on errors
+    require.resolve("./plugins/content-lint"),
+    // Download manager for offline reading of chosen topics, and the
+    // offline-manifest.json readers' downloads are refreshed from
+    [
+      require.resolve("./plugins/offline"),
+      {
+        routeBasePath: "/offline",
+      },
+    ],
+    // Validates themeConfig.comments, used by src/components/Comments
+    require.resolve("./plugins/comments"),
+    // Topics and synonyms for the search page (src/theme/SearchPage)
+    require.resolve("./plugins/search"),
+    // Page views for the provider in themeConfig.analytics (src/components/Analytics)
+    require.resolve("./plugins/analytics"),
+    // Homepage content from data/portfolio.yml, validated against its JSON Schema;
+    // also published as JSON Resume at /resume.json and as a printable /resume page
+    require.resolve("./plugins/portfolio"),
+    // Outdated translations of the locale being built, for src/components/TranslationNotice
+    require.resolve("./plugins/translation-status"),
+    // Warns when data/doc-slugs.json or data/redirects.json miss moved docs
+    require.resolve("./plugins/doc-redirects"),
+    // Seed schemas of <SqlPlayground> (data/sql-seeds), checked at build time
+    require.resolve("./plugins/sql-playground"),
   ],
 
 
@@ -133,6 +176,21 @@ const config = {
           editUrl: "https://github.com/Harendra1558/cs-master-wiki/tree/main/",
           showLastUpdateTime: true,
           showLastUpdateAuthor: true,
+          // Links between translated and untranslated docs (see plugins/translation-status)
+          beforeDefaultRemarkPlugins: [
+            [require("./plugins/translation-status/remarkLocalizedLinks"), { siteDir: __dirname }],
+          ],
+          remarkPlugins: [
+            // Box-drawing ```text diagrams as themeable SVG (see plugins/box-diagrams)
+            [require("./plugins/box-diagrams/remarkBoxDiagrams"), { siteDir: __dirname }],
+            // Hides the `// snippet:` lines `npm run content -- snippets` compiles Java snippets with
+            require("./plugins/java-snippets/remarkSnippetLines"),
+          ],
+          // The current docs stay at /docs; older versions live under /docs/<version>
+          lastVersion: "current",
+          versions: Object.fromEntries(
+            Object.entries(docsVersions).map(([name, { label, banner }]) => [name, { label, banner }]),
+          ),
         },
         blog: {
           showReadingTime: true,
@@ -141,6 +199,7 @@ const config = {
           postsPerPage: 6,
           blogSidebarTitle: "Recent Posts",
           blogSidebarCount: 10,
+          remarkPlugins: [[require("./plugins/box-diagrams/remarkBoxDiagrams"), { siteDir: __dirname }]],
           feedOptions: {
             type: "all",
             copyright: `Copyright © ${new Date().getFullYear()} Harendra's Portfolio`,
@@ -162,10 +221,6 @@ const config = {
           ignorePatterns: ["/tags/**"],
           filename: "sitemap.xml",
         },
-        gtag: {
-          trackingID: "G-L37WFPV80X",
-          anonymizeIP: true, // Privacy-friendly: anonymizes visitor IP
-        },
       }),
     ],
   ],
@@ -189,6 +244,41 @@ const config = {
         { name: "twitter:card", content: "summary_large_image" },
       ],
 
+      // Comments below docs and blog posts (src/components/Comments). Set
+      // `provider: false` to disable them, `docs: false` or `blog: false` to
+      // disable them for one content type, or `comments: false` in a page's
+      // front matter to disable them on that page.
+      comments: {
+        provider: "giscus",
+        mapping: "pathname",
+        docs: { category: "General" },
+        blog: { category: "General" },
+        giscus: {
+          repo: "Harendra1558/cs-master-wiki",
+          repoId: "R_kgDOQ1maBA",
+          categoryIds: {
+            General: "DIC_kwDOQ1maBM4C06xR",
+          },
+          reactionsEnabled: true,
+          inputPosition: "top",
+        },
+      },
+
+      // Page view analytics (src/components/Analytics), production builds
+      // only. `provider` is "gtag", "plausible", "umami" or false to disable
+      // tracking. Cookie-setting providers (gtag) wait for the reader's
+      // consent unless `consent: false`; readers with Do-Not-Track or Global
+      // Privacy Control on are never tracked unless `respectDoNotTrack: false`.
+      analytics: {
+        provider: "gtag",
+        gtag: {
+          trackingID: "G-L37WFPV80X",
+          anonymizeIP: true, // Privacy-friendly: anonymizes visitor IP
+        },
+        // plausible: { domain: "harendra-dev.vercel.app", apiHost: "https://plausible.example.com" },
+        // umami: { websiteId: "<website id>", hostUrl: "https://umami.example.com" },
+      },
+
       // Color mode
       colorMode: {
         defaultMode: "dark",
@@ -212,6 +302,10 @@ const config = {
             position: "left",
             label: "CS Fundamentals",
           },
+          { to: "/practice", label: "Practice", position: "left" },
+          { to: "/cheatsheets", label: "Cheat Sheets", position: "left" },
+          { type: "docsVersionDropdown", position: "right" },
+          { type: "localeDropdown", position: "right" },
           {
             href: "https://github.com/Harendra1558",
             label: "GitHub",
@@ -235,6 +329,9 @@ const config = {
               { label: "Home", to: "/" },
               { label: "Blog", to: "/blog" },
               { label: "CS Fundamentals", to: "/docs" },
+              { label: "Interview Practice", to: "/practice" },
+              { label: "Cheat Sheets", to: "/cheatsheets" },
+              { label: "Offline Reading", to: "/offline" },
             ],
           },
           {
@@ -255,12 +352,17 @@ const config = {
             items: [
               {
                 label: "Resume",
-                href: "https://drive.google.com/file/d/1aFKAM-ZU8xbPwqrADwt0FwaFVfOf_zXq/view?usp=drive_link",
+                to: "/resume",
               },
               {
                 label: "Contact",
                 href: "/#contact",
               },
+              {
+                // Shows the analytics consent banner again (src/components/Analytics)
+                label: "Analytics consent",
+                href: "#analytics-consent",
+              },
             ],
           },
         ],
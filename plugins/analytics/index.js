@@ -0,0 +1,66 @@
+const path = require('path');
+const { Joi } = require('@docusaurus/utils-validation');
+
+// Options of each provider of src/components/Analytics/providers; a provider
+// has to be listed here to be accepted.
+const PROVIDER_SCHEMAS = {
+    gtag: Joi.object({
+        trackingID: Joi.string().required(),
+        anonymizeIP: Joi.boolean().default(true),
+    }),
+    plausible: Joi.object({
+        domain: Joi.string().required(),
+        apiHost: Joi.string().uri().required(),
+    }),
+    umami: Joi.object({
+        websiteId: Joi.string().required(),
+        hostUrl: Joi.string().uri().required(),
+    }),
+};
+
+const AnalyticsSchema = Joi.object({
+    provider: Joi.valid(false, ...Object.keys(PROVIDER_SCHEMAS)).default(false),
+    // Defaults to whether the provider sets cookies (only gtag does).
+    consent: Joi.boolean(),
+    respectDoNotTrack: Joi.boolean().default(true),
+})
+    .pattern(Joi.string(), Joi.object())
+    .custom((analytics, helpers) => {
+        const { provider } = analytics;
+        if (provider === false) {
+            return analytics;
+        }
+        if (!analytics[provider]) {
+            return helpers.message(`analytics.${provider} must hold the options of the "${provider}" provider`);
+        }
+        const { value, error } = PROVIDER_SCHEMAS[provider].validate(analytics[provider]);
+        if (error) {
+            return helpers.message(`analytics.${provider}: ${error.message}`);
+        }
+        return { ...analytics, [provider]: value };
+    });
+
+const ThemeConfigSchema = Joi.object({
+    analytics: AnalyticsSchema.default({ provider: false }),
+});
+
+/**
+ * Validates `themeConfig.analytics` and adds the client module that reports
+ * page views to the configured provider (src/components/Analytics), in
+ * production builds only.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function analyticsPlugin() {
+    return {
+        name: 'analytics',
+
+        getClientModules() {
+            return [path.join(__dirname, '../../src/components/Analytics/clientModule.js')];
+        },
+    };
+};
+
+module.exports.validateThemeConfig = function validateThemeConfig({ themeConfig, validate }) {
+    return validate(ThemeConfigSchema, themeConfig);
+};
@@ -0,0 +1,262 @@
+// Connections of the box-drawing characters, as [up, right, down, left]:
+// l(ight), h(eavy), d(ouble), s (dashed) or 0 for none.
+const LINES = {
+    '─': '0l0l', '│': 'l0l0', '┌': '0ll0', '┐': '00ll', '└': 'll00', '┘': 'l00l',
+    '├': 'lll0', '┤': 'l0ll', '┬': '0lll', '┴': 'll0l', '┼': 'llll',
+    '╭': '0ll0', '╮': '00ll', '╰': 'll00', '╯': 'l00l',
+    '╴': '000l', '╵': 'l000', '╶': '0l00', '╷': '00l0',
+    '━': '0h0h', '┃': 'h0h0', '┏': '0hh0', '┓': '00hh', '┗': 'hh00', '┛': 'h00h',
+    '┣': 'hhh0', '┫': 'h0hh', '┳': '0hhh', '┻': 'hh0h', '╋': 'hhhh',
+    '═': '0d0d', '║': 'd0d0', '╔': '0dd0', '╗': '00dd', '╚': 'dd00', '╝': 'd00d',
+    '╠': 'ddd0', '╣': 'd0dd', '╦': '0ddd', '╩': 'dd0d', '╬': 'dddd',
+    '╞': 'ldl0', '╡': 'l0ld', '╤': '0dld', '╧': 'ld0d', '╪': 'ldld', '╫': 'dldl',
+    '┄': '0s0s', '┈': '0s0s', '╌': '0s0s', '┅': '0s0s', '┉': '0s0s', '╍': '0s0s',
+    '┆': 's0s0', '┊': 's0s0', '╎': 's0s0', '┇': 's0s0', '┋': 's0s0', '╏': 's0s0',
+};
+
+const DIAGONALS = new Set(['╱', '╲', '╳']);
+const SHADES = { '█': 'full', '▓': 'dark', '▒': 'medium', '░': 'light' };
+const ARROWHEADS = new Set(['▲', '▼', '◀', '▶', '◄', '►', '△', '▽', '◁', '▷']);
+const CORNERS = /[┌┏╔╭]/;
+
+const DIRECTIONS = ['up', 'right', 'down', 'left'];
+const STYLES = { l: 'light', h: 'heavy', d: 'double', s: 'dashed' };
+const NONE = { up: null, right: null, down: null, left: null };
+
+const WIDE = /\p{Emoji_Presentation}/u;
+const ZERO_WIDTH = /[\u200D\uFE00-\uFE0F\p{M}]/u;
+
+/** Whether a code block looks like a box diagram: at least one box corner. */
+function isBoxDiagram(text) {
+    return CORNERS.test(text);
+}
+
+function connections(char) {
+    const spec = LINES[char];
+    if (!spec) {
+        return NONE;
+    }
+    return Object.fromEntries(DIRECTIONS.map((direction, i) => [direction, STYLES[spec[i]] ?? null]));
+}
+
+/**
+ * Lays the diagram out on a grid of monospace cells. Emoji take two cells;
+ * variation selectors, joiners and combining marks stay with the character
+ * they modify.
+ *
+ * @returns {{char: string, width: number} | null}[][]
+ */
+function toGrid(text) {
+    return text.split('\n').map((line) => {
+        const row = [];
+        for (const char of line.replace(/\s+$/, '')) {
+            const previous = row.findLast((cell) => cell !== null);
+            if (ZERO_WIDTH.test(char) && previous) {
+                previous.char += char;
+                if (char === '\uFE0F' && previous.width === 1 && /\p{Extended_Pictographic}/u.test(previous.char)) {
+                    previous.width = 2;
+                    row.push(null);
+                }
+                continue;
+            }
+            if (char === '\t') {
+                do {
+                    row.push({ char: ' ', width: 1 });
+                } while (row.length % 4 !== 0);
+                continue;
+            }
+            const width = WIDE.test(char) ? 2 : 1;
+            row.push({ char, width });
+            if (width === 2) {
+                row.push(null);
+            }
+        }
+        return row;
+    });
+}
+
+/**
+ * Follows the edges of the box whose top-left corner is at (top, left). The
+ * top edge may carry a title. Returns null when the corner does not start a
+ * closed box, otherwise the box and the rows where its right or bottom edge
+ * is off.
+ */
+function traceBox(at, top, left) {
+    let right = left + 1;
+    while (at(top, right).char !== undefined && !(at(top, right).left && at(top, right).down && !at(top, right).right)) {
+        const cell = at(top, right);
+        const isLine = cell.up || cell.right || cell.down || cell.left;
+        if (isLine && !(cell.left && cell.right)) {
+            return null;
+        }
+        right++;
+    }
+    if (at(top, right).char === undefined || !at(top, left + 1).left || !at(top, right - 1).right) {
+        return null;
+    }
+
+    let bottom = top + 1;
+    while (at(bottom, left).up && at(bottom, left).down) {
+        bottom++;
+    }
+    if (!(at(bottom, left).up && at(bottom, left).right)) {
+        return null;
+    }
+
+    const misaligned = [];
+    for (let row = top + 1; row < bottom; row++) {
+        const cell = at(row, right);
+        if (!(cell.up && cell.down) && !ARROWHEADS.has(cell.char) && !(cell.left && cell.right)) {
+            misaligned.push({ row, found: nearestEdge(at, row, right, (c) => c.up && c.down) });
+        }
+    }
+    let end = left + 1;
+    while (at(bottom, end).left && at(bottom, end).right) {
+        end++;
+    }
+    if (end !== right || !(at(bottom, end).up && at(bottom, end).left)) {
+        misaligned.push({ row: bottom, found: nearestEdge(at, bottom, right, (c) => c.up && c.left) });
+    }
+
+    return { box: { top, left, bottom, right, rounded: at(top, left).char === '╭' }, misaligned };
+}
+
+function nearestEdge(at, row, column, matches) {
+    for (let offset = 1; offset <= 4; offset++) {
+        if (matches(at(row, column - offset))) {
+            return column - offset;
+        }
+        if (matches(at(row, column + offset))) {
+            return column + offset;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses a box-drawing diagram into what the SVG renderer draws: line
+ * segments (in half-cell units, so corners meet in the middle of a cell),
+ * diagonals, shaded blocks, closed boxes and text runs. Also reports boxes
+ * whose right or bottom edge does not line up with the top-right corner.
+ *
+ * @param {string} text
+ */
+function parseDiagram(text) {
+    const grid = toGrid(text.replace(/\n+$/, ''));
+    const rows = grid.length;
+    const columns = Math.max(0, ...grid.map((row) => row.length));
+
+    const cellAt = (row, column) => grid[row]?.[column] ?? null;
+    const at = (row, column) => {
+        const cell = cellAt(row, column);
+        return { char: cell?.char, ...connections(cell?.char) };
+    };
+
+    const segments = [];
+    const diagonals = [];
+    const shades = [];
+    const texts = [];
+    let run = null;
+
+    const endRun = () => {
+        if (run) {
+            const text = run.text.trimEnd();
+            texts.push({ row: run.row, column: run.column, text, width: run.cells - (run.text.length - text.length), arrowhead: run.arrowhead });
+            run = null;
+        }
+    };
+
+    grid.forEach((line, row) => {
+        line.forEach((cell, column) => {
+            if (cell === null) {
+                return;
+            }
+            const { char } = cell;
+            const lines = connections(char);
+            if (lines !== NONE) {
+                endRun();
+                DIRECTIONS.forEach((direction) => {
+                    if (lines[direction]) {
+                        segments.push({ row, column, direction, style: lines[direction] });
+                    }
+                });
+                return;
+            }
+            if (DIAGONALS.has(char)) {
+                endRun();
+                diagonals.push({ row, column, char });
+                return;
+            }
+            if (SHADES[char]) {
+                endRun();
+                const last = shades[shades.length - 1];
+                if (last && last.row === row && last.char === char && last.column + last.length === column) {
+                    last.length++;
+                } else {
+                    shades.push({ row, column, char, length: 1, shade: SHADES[char] });
+                }
+                return;
+            }
+            if (char === ' ') {
+                // Two spaces end a run, so each label is placed on its own
+                if (run?.text.endsWith(' ')) {
+                    endRun();
+                } else if (run) {
+                    run.text += ' ';
+                    run.cells++;
+                }
+                return;
+            }
+            const arrowhead = ARROWHEADS.has(char);
+            if (run && (arrowhead || run.arrowhead)) {
+                endRun();
+            }
+            if (!run) {
+                run = { row, column, text: '', cells: 0, arrowhead };
+            }
+            run.text += char;
+            run.cells += cell.width;
+        });
+        endRun();
+    });
+
+    const boxes = [];
+    const misaligned = [];
+    grid.forEach((line, row) => {
+        line.forEach((cell, column) => {
+            const corner = at(row, column);
+            if (!(corner.right && corner.down && !corner.up && !corner.left)) {
+                return;
+            }
+            const traced = traceBox(at, row, column);
+            if (traced) {
+                boxes.push(traced.box);
+                traced.misaligned.forEach((issue) => misaligned.push({ ...issue, expected: traced.box.right }));
+            }
+        });
+    });
+
+    // Edges one column off are drawn where they belong; the warning stays.
+    misaligned
+        .filter(({ found, expected }) => found !== null && Math.abs(found - expected) === 1)
+        .forEach(({ row, found, expected }) => {
+            segments
+                .filter((segment) => segment.row === row && segment.column === found)
+                .forEach((segment) => {
+                    segment.column = expected;
+                });
+            if (found < expected && at(row, found).left) {
+                for (let column = found; column < expected; column++) {
+                    segments.push({ row, column, direction: 'right', style: at(row, found).left });
+                    segments.push({ row, column: column + 1, direction: 'left', style: at(row, found).left });
+                }
+            }
+        });
+
+    return { rows, columns, segments, diagonals, shades, boxes, texts, misaligned };
+}
+
+module.exports = {
+    isBoxDiagram,
+    parseDiagram,
+};
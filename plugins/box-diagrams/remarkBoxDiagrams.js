@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('@docusaurus/logger').default;
+const { isBoxDiagram, parseDiagram } = require('./parseDiagram');
+const { renderSvg } = require('./renderSvg');
+
+const DEFAULT_OPTIONS = {
+    languages: ['text'],
+    warnMisaligned: true,
+};
+
+// Lines listed per file in the warning; the rest are counted.
+const MAX_LISTED_LINES = 5;
+
+// Docs are compiled once for the client and once for the server bundle;
+// each warning is printed once.
+const reported = new Set();
+
+function visitCode(node, callback, parent = null, index = 0) {
+    if (node.type === 'code') {
+        callback(node, parent, index);
+    }
+    node.children?.forEach((child, i) => visitCode(child, callback, node, i));
+}
+
+function element(tagName, properties, children) {
+    return { type: 'element', tagName, properties, children };
+}
+
+// Blog list and tag pages show several posts, so ids are unique per file, not just per page.
+function idPrefix(file, siteDir) {
+    const relative = file.path ? path.relative(siteDir, file.path).split(path.sep).join('/') : '';
+    return `box-diagram-${crypto.createHash('sha1').update(relative).digest('hex').slice(0, 8)}`;
+}
+
+function describeIssue({ line, found, expected }) {
+    return found === null ? `${line} (no edge)` : `${line} (column ${found + 1}, expected ${expected + 1})`;
+}
+
+/**
+ * Renders ```text code blocks drawn with box-drawing characters as SVG
+ * figures that scale with the page and take their colors from the site
+ * theme. The original text stays in the figure as a collapsible code block,
+ * which the SVG points screen readers to. Add `raw` to the code block's meta
+ * (```text raw) to keep a diagram as plain text.
+ *
+ * Boxes whose right or bottom edge does not line up with their top-right
+ * corner are reported as build warnings.
+ *
+ * @param {{siteDir: string, languages?: string[], warnMisaligned?: boolean}} options
+ */
+module.exports = function remarkBoxDiagrams(opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+
+    return (root, file) => {
+        const prefix = idPrefix(file, options.siteDir);
+        let count = 0;
+        const misaligned = [];
+        visitCode(root, (node, parent, index) => {
+            if (!options.languages.includes(node.lang) || /\braw\b/.test(node.meta ?? '') || !isBoxDiagram(node.value)) {
+                return;
+            }
+            const diagram = parseDiagram(node.value);
+            const id = `${prefix}-${++count}`;
+            const title = diagram.texts.find((text) => !text.arrowhead)?.text;
+
+            if (node.position) {
+                const firstLine = node.position.start.line + 1;
+                diagram.misaligned.forEach((issue) => misaligned.push({ ...issue, line: firstLine + issue.row }));
+            }
+
+            parent.children[index] = {
+                type: 'boxDiagram',
+                data: {
+                    hName: 'figure',
+                    hProperties: { className: ['box-diagram'] },
+                    hChildren: [
+                        renderSvg(diagram, { label: title ? `Diagram: ${title}` : 'Diagram', describedBy: id }),
+                        element('details', { className: ['box-diagram__source'] }, [
+                            element('summary', {}, [{ type: 'text', value: 'Text version' }]),
+                            element('div', { id }, [element('pre', {}, [element('code', {}, [{ type: 'text', value: node.value }])])]),
+                        ]),
+                    ],
+                },
+            };
+        });
+
+        if (options.warnMisaligned && misaligned.length > 0) {
+            const lines = misaligned
+                .sort((a, b) => a.line - b.line)
+                .filter((issue, i, sorted) => issue.line !== sorted[i - 1]?.line)
+                .map(describeIssue);
+            const more = lines.length > MAX_LISTED_LINES ? ` and ${lines.length - MAX_LISTED_LINES} more` : '';
+            const warning = `[box-diagrams] ${path.relative(options.siteDir, file.path)}: box edges out of line at line ${lines.slice(0, MAX_LISTED_LINES).join(', ')}${more}`;
+            if (!reported.has(warning)) {
+                reported.add(warning);
+                logger.warn(warning);
+            }
+        }
+    };
+};
@@ -0,0 +1,161 @@
+// Cell size in SVG units; the text is stretched to the grid with textLength,
+// so the diagram lines up whatever monospace font the reader has.
+const CELL_WIDTH = 10;
+const CELL_HEIGHT = 20;
+const DOUBLE_GAP = 1.5;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function element(tagName, properties, children = []) {
+    return { type: 'element', tagName, properties, children };
+}
+
+/**
+ * Merges the half-cell segments of one style into horizontal and vertical
+ * runs and returns them as path data.
+ */
+function linePath(segments, offset = 0) {
+    const horizontal = new Map();
+    const vertical = new Map();
+    segments.forEach(({ row, column, direction }) => {
+        const isHorizontal = direction === 'left' || direction === 'right';
+        const [lines, key, start] = isHorizontal
+            ? [horizontal, row, 2 * column + (direction === 'right' ? 1 : 0)]
+            : [vertical, column, 2 * row + (direction === 'down' ? 1 : 0)];
+        if (!lines.has(key)) {
+            lines.set(key, []);
+        }
+        lines.get(key).push(start);
+    });
+
+    const commands = [];
+    const merge = (lines, draw) => {
+        [...lines.keys()].sort((a, b) => a - b).forEach((key) => {
+            const starts = [...new Set(lines.get(key))].sort((a, b) => a - b);
+            let from = starts[0];
+            starts.forEach((start, i) => {
+                if (starts[i + 1] !== start + 1) {
+                    draw(key, from, start + 1);
+                    from = starts[i + 1];
+                }
+            });
+        });
+    };
+    merge(horizontal, (row, from, to) => {
+        const y = round(row * CELL_HEIGHT + CELL_HEIGHT / 2 + offset);
+        commands.push(`M${round((from * CELL_WIDTH) / 2)} ${y}H${round((to * CELL_WIDTH) / 2)}`);
+    });
+    merge(vertical, (column, from, to) => {
+        const x = round(column * CELL_WIDTH + CELL_WIDTH / 2 + offset);
+        commands.push(`M${x} ${round((from * CELL_HEIGHT) / 2)}V${round((to * CELL_HEIGHT) / 2)}`);
+    });
+    return commands.join('');
+}
+
+function diagonalPath(diagonals) {
+    return diagonals
+        .map(({ row, column, char }) => {
+            const [x0, y0] = [column * CELL_WIDTH, row * CELL_HEIGHT];
+            const [x1, y1] = [x0 + CELL_WIDTH, y0 + CELL_HEIGHT];
+            const rising = `M${x0} ${y1}L${x1} ${y0}`;
+            const falling = `M${x0} ${y0}L${x1} ${y1}`;
+            return { '╱': rising, '╲': falling, '╳': rising + falling }[char];
+        })
+        .join('');
+}
+
+function renderLines(segments, diagonals) {
+    const paths = [];
+    ['light', 'heavy', 'dashed'].forEach((style) => {
+        const ofStyle = segments.filter((segment) => segment.style === style);
+        const d = linePath(ofStyle) + (style === 'light' ? diagonalPath(diagonals) : '');
+        if (d) {
+            paths.push(element('path', { className: ['box-diagram__line', `box-diagram__line--${style}`], d }));
+        }
+    });
+    const double = segments.filter((segment) => segment.style === 'double');
+    if (double.length > 0) {
+        const d = linePath(double, -DOUBLE_GAP) + linePath(double, DOUBLE_GAP);
+        paths.push(element('path', { className: ['box-diagram__line', 'box-diagram__line--double'], d }));
+    }
+    return paths;
+}
+
+function renderBoxes(boxes) {
+    return boxes.map(({ top, left, bottom, right, rounded }) =>
+        element('rect', {
+            className: ['box-diagram__box'],
+            x: left * CELL_WIDTH + CELL_WIDTH / 2,
+            y: top * CELL_HEIGHT + CELL_HEIGHT / 2,
+            width: (right - left) * CELL_WIDTH,
+            height: (bottom - top) * CELL_HEIGHT,
+            rx: rounded ? 4 : undefined,
+        }),
+    );
+}
+
+function renderShades(shades) {
+    return shades.map(({ row, column, length, shade }) =>
+        element('rect', {
+            className: ['box-diagram__shade', `box-diagram__shade--${shade}`],
+            x: column * CELL_WIDTH,
+            y: row * CELL_HEIGHT + 3,
+            width: length * CELL_WIDTH,
+            height: CELL_HEIGHT - 6,
+        }),
+    );
+}
+
+function renderTexts(texts) {
+    return texts.map(({ row, column, text, width, arrowhead }) =>
+        element(
+            'text',
+            {
+                className: arrowhead ? ['box-diagram__arrowhead'] : undefined,
+                x: column * CELL_WIDTH,
+                y: row * CELL_HEIGHT + CELL_HEIGHT / 2,
+                textLength: width * CELL_WIDTH,
+                lengthAdjust: 'spacingAndGlyphs',
+            },
+            [{ type: 'text', value: text }],
+        ),
+    );
+}
+
+/**
+ * Draws a parsed diagram as an SVG (hast) scaled to the grid: boxes are
+ * filled, lines keep their light, heavy, double or dashed style and colors
+ * come from CSS (`.box-diagram` in src/css/custom.css), so the diagram follows
+ * the site theme.
+ *
+ * @param {ReturnType<import('./parseDiagram').parseDiagram>} diagram
+ * @param {{label: string, describedBy: string}} options
+ */
+function renderSvg(diagram, { label, describedBy }) {
+    const width = diagram.columns * CELL_WIDTH;
+    const height = diagram.rows * CELL_HEIGHT;
+
+    return element(
+        'svg',
+        {
+            className: ['box-diagram__svg'],
+            xmlns: 'http://www.w3.org/2000/svg',
+            viewBox: `0 0 ${width} ${height}`,
+            width,
+            height,
+            role: 'img',
+            ariaLabel: label,
+            ariaDescribedBy: describedBy,
+        },
+        [
+            ...renderBoxes(diagram.boxes),
+            ...renderShades(diagram.shades),
+            ...renderLines(diagram.segments, diagram.diagonals),
+            element('g', { className: ['box-diagram__text'], dominantBaseline: 'central' }, renderTexts(diagram.texts)),
+        ],
+    );
+}
+
+module.exports = {
+    renderSvg,
+};
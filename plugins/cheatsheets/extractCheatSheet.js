@@ -0,0 +1,45 @@
+const { extractHeadings } = require('../../scripts/content/headings');
+
+// "## Quick Reference Card", "## 12. Quick Reference", "## Quick Reference: Essential Linux Commands"
+const SECTION_HEADING = /^(\d+\.\s+)?Quick Reference( Card| Checklist)?(:.*)?$/i;
+const SECTION_END = /^(#{1,2}\s|(-{3,}|\*{3,}|_{3,})\s*$)/;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * Pulls the "Quick Reference Card" section out of a chapter. The section runs
+ * until the next `#`/`##` heading or `---` rule, which is where chapters put
+ * their "Next:" links.
+ *
+ * @param {string} markdown chapter source, front matter included or not
+ * @returns {{heading: string, anchor: string, markdown: string} | null}
+ */
+function extractCheatSheet(markdown) {
+    const heading = extractHeadings(markdown).find(
+        (entry) => entry.level === 2 && SECTION_HEADING.test(entry.text),
+    );
+    if (!heading) {
+        return null;
+    }
+
+    const lines = markdown.split(/\r?\n/).slice(heading.line);
+    const body = [];
+    let fence = null;
+    for (const line of lines) {
+        const fenceMatch = line.match(FENCE);
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (line.trim().startsWith(fence)) {
+                fence = null;
+            }
+        } else if (!fence && SECTION_END.test(line)) {
+            break;
+        }
+        body.push(line);
+    }
+
+    const content = body.join('\n').trim();
+    return content ? { heading: heading.text, anchor: heading.anchor, markdown: content } : null;
+}
+
+module.exports = extractCheatSheet;
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+const { aliasedSitePathToRelativePath, normalizeUrl } = require('@docusaurus/utils');
+const extractCheatSheet = require('./extractCheatSheet');
+const { readTopicLabel } = require('../../scripts/content/topics');
+const { hideMarkdownSnippetLines } = require('../../scripts/content/snippets');
+
+const DEFAULT_OPTIONS = {
+    routeBasePath: '/cheatsheets',
+    docsPluginId: 'default',
+};
+
+/**
+ * Collects the "Quick Reference Card" section of every chapter into a
+ * printable cheat-sheet page grouped by topic.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function cheatSheetsPlugin(context, opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+    const { siteDir, baseUrl } = context;
+
+    return {
+        name: 'cheatsheets',
+
+        async allContentLoaded({ allContent, actions }) {
+            const docsContent = allContent['docusaurus-plugin-content-docs']?.[options.docsPluginId];
+            if (!docsContent) {
+                throw new Error(`[cheatsheets] docs plugin "${options.docsPluginId}" is not loaded.`);
+            }
+
+            const [version] = docsContent.loadedVersions;
+            const topics = new Map();
+
+            for (const doc of version.docs) {
+                // Top-level pages such as intro.md do not belong to a topic.
+                const topicDir = doc.sourceDirName.split('/')[0];
+                if (topicDir === '.') {
+                    continue;
+                }
+
+                const filePath = path.join(siteDir, aliasedSitePathToRelativePath(doc.source));
+                const sheet = extractCheatSheet(await fs.promises.readFile(filePath, 'utf8'));
+                if (!sheet) {
+                    continue;
+                }
+                const markdown = hideMarkdownSnippetLines(sheet.markdown);
+
+                if (!topics.has(topicDir)) {
+                    topics.set(topicDir, {
+                        id: topicDir,
+                        label: readTopicLabel(version.contentPath, topicDir),
+                        sheets: [],
+                    });
+                }
+                topics.get(topicDir).sheets.push({
+                    id: doc.id,
+                    title: doc.title,
+                    permalink: `${doc.permalink}#${sheet.anchor}`,
+                    position: doc.sidebarPosition ?? 0,
+                    markdown,
+                    html: marked.parse(markdown),
+                });
+            }
+
+            const sortedTopics = [...topics.values()]
+                .sort((a, b) => a.id.localeCompare(b.id))
+                .map((topic) => ({ ...topic, sheets: topic.sheets.sort((a, b) => a.position - b.position) }));
+
+            const cheatSheetData = await actions.createData(
+                'cheatsheets.json',
+                JSON.stringify({ topics: sortedTopics }),
+            );
+
+            actions.addRoute({
+                path: normalizeUrl([baseUrl, options.routeBasePath]),
+                component: '@site/src/components/CheatSheetsPage',
+                modules: { cheatSheetData },
+                exact: true,
+            });
+        },
+    };
+};
@@ -0,0 +1,91 @@
+const { Joi } = require('@docusaurus/utils-validation');
+
+const MAPPINGS = ['pathname', 'url', 'title', 'og:title'];
+
+// Options of the built-in providers (src/components/Comments/providers).
+// Other providers are passed through unchecked.
+const PROVIDER_SCHEMAS = {
+    giscus: Joi.object({
+        repo: Joi.string().pattern(/^[\w.-]+\/[\w.-]+$/).required(),
+        repoId: Joi.string().required(),
+        categoryIds: Joi.object().pattern(Joi.string(), Joi.string()).required(),
+        strict: Joi.boolean().default(false),
+        reactionsEnabled: Joi.boolean().default(true),
+        emitMetadata: Joi.boolean().default(false),
+        inputPosition: Joi.string().valid('top', 'bottom').default('top'),
+        lang: Joi.string(),
+    }),
+    utterances: Joi.object({
+        repo: Joi.string().pattern(/^[\w.-]+\/[\w.-]+$/).required(),
+        src: Joi.string().uri().default('https://utteranc.es/client.js'),
+    }),
+    script: Joi.object({
+        src: Joi.string().uri({ allowRelative: true }).required(),
+        attributes: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+    }),
+};
+
+const sectionSchema = Joi.alternatives(
+    Joi.boolean().valid(false),
+    Joi.object({
+        category: Joi.string(),
+    }),
+);
+
+const CommentsSchema = Joi.object({
+    provider: Joi.alternatives(Joi.string(), Joi.boolean().valid(false)).default(false),
+    mapping: Joi.string()
+        .valid(...MAPPINGS)
+        .default('pathname'),
+    docs: sectionSchema.default({}),
+    blog: sectionSchema.default({}),
+})
+    .pattern(Joi.string(), Joi.object())
+    .custom((comments, helpers) => {
+        const { provider } = comments;
+        if (provider === false) {
+            return comments;
+        }
+        if (!comments[provider]) {
+            return helpers.message(`comments.${provider} must hold the options of the "${provider}" provider`);
+        }
+        const schema = PROVIDER_SCHEMAS[provider];
+        if (!schema) {
+            return comments;
+        }
+        const { value, error } = schema.validate(comments[provider]);
+        if (error) {
+            return helpers.message(`comments.${provider}: ${error.message}`);
+        }
+        if (provider === 'giscus') {
+            const missing = ['docs', 'blog'].find(
+                (type) => comments[type] && !value.categoryIds[comments[type].category],
+            );
+            if (missing) {
+                return helpers.message(
+                    `comments.${missing}.category must be one of the categories in comments.giscus.categoryIds`,
+                );
+            }
+        }
+        return { ...comments, [provider]: value };
+    });
+
+const ThemeConfigSchema = Joi.object({
+    comments: CommentsSchema.default({ provider: false }),
+});
+
+/**
+ * Validates `themeConfig.comments`, read by src/components/Comments. The
+ * plugin itself adds nothing to the site.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function commentsPlugin() {
+    return {
+        name: 'comments',
+    };
+};
+
+module.exports.validateThemeConfig = function validateThemeConfig({ themeConfig, validate }) {
+    return validate(ThemeConfigSchema, themeConfig);
+};
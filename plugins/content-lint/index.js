@@ -0,0 +1,47 @@
+const path = require('path');
+const logger = require('@docusaurus/logger').default;
+const { lintContent, formatIssue } = require('../../scripts/content/lint');
+
+const DEFAULT_OPTIONS = {
+    failOnError: true,
+    showWarnings: true,
+};
+
+/**
+ * Runs the content linter (see `npm run content -- lint`) before the docs and
+ * blog are rendered and fails the build when it finds errors.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function contentLintPlugin(context, opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+    const { siteDir } = context;
+
+    return {
+        name: 'content-lint',
+
+        getPathsToWatch() {
+            return ['docs/**/*.{md,mdx}', 'versioned_docs/**/*.{md,mdx}', 'blog/**/*.{md,mdx,yml}'].map((pattern) => path.join(siteDir, pattern));
+        },
+
+        async loadContent() {
+            const issues = lintContent(siteDir);
+            const errors = issues.filter((issue) => issue.severity === 'error');
+
+            if (options.showWarnings) {
+                issues
+                    .filter((issue) => issue.severity === 'warning')
+                    .forEach((issue) => logger.warn(`[content-lint] ${formatIssue(issue)}`));
+            }
+            if (errors.length === 0) {
+                return;
+            }
+
+            const report = errors.map(formatIssue).join('\n');
+            if (options.failOnError) {
+                throw new Error(`[content-lint] ${errors.length} content error(s):\n${report}`);
+            }
+            logger.error(`[content-lint] ${errors.length} content error(s):\n${report}`);
+        },
+    };
+};
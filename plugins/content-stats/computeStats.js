@@ -0,0 +1,62 @@
+const extractQuestions = require('../interview-questions/extractQuestions');
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([^\s{]*)/;
+const FRONT_MATTER = /^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/;
+const BOX_DRAWING = /[─│┌┐└┘├┤┬┴┼═║╔╗╚╝]/;
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+// Fence languages that hold plain text or diagrams rather than code.
+const NON_CODE_LANGUAGES = new Set(['', 'text', 'txt', 'plaintext', 'mermaid']);
+
+/**
+ * Counts what a chapter is made of. Words include the text of code blocks and
+ * diagrams (most chapters explain things inside them) but not front matter,
+ * HTML comments or MDX import/export lines. Diagrams are Mermaid blocks plus
+ * text blocks drawn with box-drawing characters.
+ *
+ * @param {string} markdown chapter source
+ * @returns {{words: number, questions: number, diagrams: number, codeSamples: Record<string, number>}}
+ */
+function computeStats(markdown) {
+    const stats = { words: 0, questions: extractQuestions(markdown).length, diagrams: 0, codeSamples: {} };
+    const text = [];
+    let block = null;
+
+    const closeBlock = () => {
+        const { language, lines } = block;
+        if (!NON_CODE_LANGUAGES.has(language)) {
+            stats.codeSamples[language] = (stats.codeSamples[language] ?? 0) + 1;
+        } else if (language === 'mermaid' || lines.some((line) => BOX_DRAWING.test(line))) {
+            stats.diagrams++;
+        }
+        block = null;
+    };
+
+    markdown
+        .replace(FRONT_MATTER, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .split(/\r?\n/)
+        .forEach((line) => {
+            const fence = line.match(FENCE);
+            if (block) {
+                if (fence && !fence[2] && line.trim().startsWith(block.fence)) {
+                    closeBlock();
+                } else {
+                    block.lines.push(line);
+                    text.push(line);
+                }
+            } else if (fence) {
+                block = { fence: fence[1], language: fence[2].toLowerCase(), lines: [] };
+            } else if (!/^(import|export)\s/.test(line)) {
+                text.push(line);
+            }
+        });
+    if (block) {
+        closeBlock();
+    }
+
+    stats.words = (text.join('\n').match(WORD) ?? []).length;
+    return stats;
+}
+
+module.exports = computeStats;
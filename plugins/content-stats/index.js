@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { aliasedSitePathToRelativePath } = require('@docusaurus/utils');
+const computeStats = require('./computeStats');
+const { readTopicLabel } = require('../../scripts/content/topics');
+
+const DEFAULT_OPTIONS = {
+    docsPluginId: 'default',
+    wordsPerMinute: 200,
+};
+
+function emptyStats() {
+    return { chapters: 0, words: 0, questions: 0, diagrams: 0, codeSamples: {}, lastUpdatedAt: null };
+}
+
+function addStats(target, stats) {
+    target.words += stats.words;
+    target.questions += stats.questions;
+    target.diagrams += stats.diagrams;
+    Object.entries(stats.codeSamples).forEach(([language, count]) => {
+        target.codeSamples[language] = (target.codeSamples[language] ?? 0) + count;
+    });
+    if (stats.lastUpdatedAt && stats.lastUpdatedAt > (target.lastUpdatedAt ?? 0)) {
+        target.lastUpdatedAt = stats.lastUpdatedAt;
+    }
+}
+
+/**
+ * Computes content statistics (chapters, words, reading time, interview
+ * questions, diagrams, code samples per language and last update) for every
+ * docs topic and exposes them as global data for the <ContentStats> component.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function contentStatsPlugin(context, opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+    const { siteDir } = context;
+
+    return {
+        name: 'content-stats',
+
+        async allContentLoaded({ allContent, actions }) {
+            const docsContent = allContent['docusaurus-plugin-content-docs']?.[options.docsPluginId];
+            if (!docsContent) {
+                throw new Error(`[content-stats] docs plugin "${options.docsPluginId}" is not loaded.`);
+            }
+
+            const [version] = docsContent.loadedVersions;
+            const topics = new Map();
+            const totals = emptyStats();
+
+            for (const doc of version.docs) {
+                // Top-level pages such as intro.md do not belong to a topic.
+                const topicDir = doc.sourceDirName.split('/')[0];
+                if (topicDir === '.') {
+                    continue;
+                }
+
+                if (!topics.has(topicDir)) {
+                    topics.set(topicDir, {
+                        id: topicDir,
+                        label: readTopicLabel(version.contentPath, topicDir),
+                        // Doc ids drop the number prefix: "02-dbms-data-persistence" -> "dbms-data-persistence"
+                        docDir: doc.id.split('/')[0],
+                        permalink: null,
+                        ...emptyStats(),
+                    });
+                }
+                const topic = topics.get(topicDir);
+
+                const filePath = path.join(siteDir, aliasedSitePathToRelativePath(doc.source));
+                const stats = {
+                    ...computeStats(await fs.promises.readFile(filePath, 'utf8')),
+                    lastUpdatedAt: doc.lastUpdatedAt ?? null,
+                };
+                addStats(topic, stats);
+                addStats(totals, stats);
+
+                // The "Syllabus & Overview" page is the topic's entry point, not a chapter.
+                if (path.basename(doc.source) === '01-intro.md') {
+                    topic.permalink = doc.permalink;
+                } else {
+                    topic.chapters++;
+                    totals.chapters++;
+                }
+            }
+
+            const readingMinutes = (words) => Math.ceil(words / options.wordsPerMinute);
+            const sortedTopics = [...topics.values()]
+                .sort((a, b) => a.id.localeCompare(b.id))
+                .map((topic) => ({ ...topic, readingMinutes: readingMinutes(topic.words) }));
+
+            actions.setGlobalData({
+                totals: { ...totals, topics: sortedTopics.length, readingMinutes: readingMinutes(totals.words) },
+                topics: sortedTopics,
+            });
+        },
+    };
+};
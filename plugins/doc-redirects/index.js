@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('@docusaurus/logger').default;
+const { aliasedSitePathToRelativePath } = require('@docusaurus/utils');
+const { lastCommitOf, findRenames, updateRedirects } = require('./redirectMap');
+
+const MANIFEST_FILE = 'data/doc-slugs.json';
+const REDIRECTS_FILE = 'data/redirects.json';
+const DOCS_DIRS = ['docs', 'versioned_docs'];
+
+const DEFAULT_OPTIONS = {
+    docsPluginId: 'default',
+};
+
+function readJson(file, fallback) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+function formatJson(data) {
+    return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+function isUpToDate(file, data) {
+    return fs.existsSync(file) && fs.readFileSync(file, 'utf8') === formatJson(data);
+}
+
+/**
+ * Content of the docs plugin instance `docsPluginId`, from the `allContent`
+ * of allContentLoaded or of a loaded site.
+ */
+function findDocsContent(allContent, docsPluginId = DEFAULT_OPTIONS.docsPluginId) {
+    const docsContent = allContent['docusaurus-plugin-content-docs']?.[docsPluginId];
+    if (!docsContent) {
+        throw new Error(`[doc-redirects] docs plugin "${docsPluginId}" is not loaded.`);
+    }
+    return docsContent;
+}
+
+/**
+ * Compares the URLs of the loaded docs with the committed manifest and works
+ * out the manifest and redirects to commit, without writing anything.
+ * `stale` lists the files that differ from the committed ones.
+ *
+ * @param {string} siteDir
+ * @param {{baseUrl: string, docsContent: object}} input
+ */
+function planRedirects(siteDir, { baseUrl, docsContent }) {
+    const manifestPath = path.join(siteDir, MANIFEST_FILE);
+    const redirectsPath = path.join(siteDir, REDIRECTS_FILE);
+    const current = Object.fromEntries(
+        docsContent.loadedVersions
+            .flatMap((version) => version.docs)
+            .map((doc) => [aliasedSitePathToRelativePath(doc.source), `/${doc.permalink.slice(baseUrl.length)}`])
+            .sort(([a], [b]) => a.localeCompare(b)),
+    );
+    const previous = readJson(manifestPath, { docs: current }).docs;
+    const since = lastCommitOf(siteDir, MANIFEST_FILE);
+
+    const { redirects, added, lost } = updateRedirects({
+        previous,
+        current,
+        renames: findRenames(siteDir, since, DOCS_DIRS),
+        redirects: readJson(redirectsPath, []),
+    });
+    const manifest = { docs: current };
+    const stale = [
+        !isUpToDate(manifestPath, manifest) && MANIFEST_FILE,
+        !isUpToDate(redirectsPath, redirects) && REDIRECTS_FILE,
+    ].filter(Boolean);
+    return { manifest, redirects, added, lost, stale };
+}
+
+/**
+ * Writes the stale files of a plan. Only `npm run content -- redirects` calls
+ * this; builds leave the committed files alone.
+ *
+ * @param {string} siteDir
+ * @param {ReturnType<typeof planRedirects>} plan
+ */
+function writeRedirects(siteDir, { manifest, redirects, stale }) {
+    const data = { [MANIFEST_FILE]: manifest, [REDIRECTS_FILE]: redirects };
+    stale.forEach((file) => fs.writeFileSync(path.join(siteDir, file), formatJson(data[file])));
+}
+
+/**
+ * Keeps old doc URLs working. data/doc-slugs.json records the URL of each
+ * doc; when a URL from the committed manifest disappears because a doc's slug
+ * changed or its file was renamed (found with git since the manifest's last
+ * commit), `npm run content -- redirects` adds a redirect to the new URL to
+ * data/redirects.json. Commit both files with the change that moved the docs.
+ *
+ * Builds never write either file; they warn when the committed files are out
+ * of date. The redirects are created by @docusaurus/plugin-client-redirects
+ * through `createRedirects` below, which only emits those whose target exists.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function docRedirectsPlugin(context, opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+    const { siteDir, baseUrl, i18n } = context;
+    const redirectsPath = path.join(siteDir, REDIRECTS_FILE);
+
+    return {
+        name: 'doc-redirects',
+
+        async allContentLoaded({ allContent }) {
+            // URLs are the same in every locale apart from the prefix.
+            if (i18n.currentLocale !== i18n.defaultLocale) {
+                return;
+            }
+            const docsContent = findDocsContent(allContent, options.docsPluginId);
+            const { added, lost, stale } = planRedirects(siteDir, { baseUrl, docsContent });
+
+            added.forEach(({ from, to }) => logger.warn(`[doc-redirects] Missing redirect ${from} -> ${to}`));
+            lost.forEach(({ source, url }) =>
+                logger.warn(
+                    `[doc-redirects] ${source} (${url}) was removed and no new file was found; add a redirect for ${url} to ${REDIRECTS_FILE} by hand.`,
+                ),
+            );
+            if (stale.length > 0) {
+                logger.warn(
+                    `[doc-redirects] ${stale.join(' and ')} ${stale.length === 1 ? 'is' : 'are'} out of date; run "npm run content -- redirects" and commit with the docs that moved.`,
+                );
+            }
+        },
+
+        async postBuild({ routesPaths }) {
+            if (i18n.currentLocale !== i18n.defaultLocale) {
+                return;
+            }
+            const routes = new Set(routesPaths.map((route) => `/${route.slice(baseUrl.length)}`));
+            readJson(redirectsPath, [])
+                .filter((redirect) => !routes.has(redirect.to))
+                .forEach((redirect) =>
+                    logger.warn(
+                        `[doc-redirects] Skipped the redirect from ${redirect.from}: its target ${redirect.to} does not exist.`,
+                    ),
+                );
+        },
+    };
+};
+
+let redirectsByTarget;
+
+/**
+ * `createRedirects` option of @docusaurus/plugin-client-redirects: the URLs of
+ * data/redirects.json that redirect to an existing page. Called only for
+ * existing pages, so a redirect to a removed page is skipped instead of
+ * failing the build.
+ *
+ * @param {string} existingPath
+ * @returns {string[] | undefined}
+ */
+module.exports.createRedirects = function createRedirects(existingPath) {
+    if (!redirectsByTarget) {
+        redirectsByTarget = new Map();
+        readJson(path.join(__dirname, '../..', REDIRECTS_FILE), []).forEach(({ from, to }) => {
+            redirectsByTarget.set(to, [...(redirectsByTarget.get(to) ?? []), from]);
+        });
+    }
+    return redirectsByTarget.get(existingPath);
+};
+
+module.exports.findDocsContent = findDocsContent;
+module.exports.planRedirects = planRedirects;
+module.exports.writeRedirects = writeRedirects;
@@ -0,0 +1,83 @@
+const { execFileSync } = require('child_process');
+
+/** The commit that last changed `file`, or null outside a git checkout / for an uncommitted file. */
+function lastCommitOf(siteDir, file) {
+    try {
+        const sha = execFileSync('git', ['log', '-1', '--format=%H', '--', file], {
+            cwd: siteDir,
+            encoding: 'utf8',
+            timeout: 10000,
+        }).trim();
+        return sha || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Files renamed between `since` and the working tree, as old path -> new path.
+ * Only renames git knows about are found, so move docs with `git mv`.
+ */
+function findRenames(siteDir, since, dirs) {
+    if (!since) {
+        return new Map();
+    }
+    const output = execFileSync('git', ['diff', '-M', '--name-status', '--diff-filter=R', since, '--', ...dirs], {
+        cwd: siteDir,
+        encoding: 'utf8',
+        timeout: 30000,
+    });
+    return new Map(
+        output
+            .split('\n')
+            .filter(Boolean)
+            .map((line) => line.split('\t'))
+            .map(([, from, to]) => [from, to]),
+    );
+}
+
+/**
+ * Adds a redirect for every doc URL of the previous manifest that no longer
+ * exists: to the doc's new URL when only its slug changed, or to the URL of
+ * the file it was renamed to. Chains collapse (a -> b, b -> c becomes a -> c)
+ * and redirects from a URL that is served again are dropped.
+ *
+ * @param {{previous: Record<string, string>, current: Record<string, string>, renames: Map<string, string>, redirects: {from: string, to: string}[]}} input
+ *   `previous` and `current` map doc source files to their URL.
+ * @returns {{redirects: {from: string, to: string}[], added: {from: string, to: string}[], lost: {source: string, url: string}[]}}
+ */
+function updateRedirects({ previous, current, renames, redirects }) {
+    const live = new Set(Object.values(current));
+    const added = [];
+    const lost = [];
+
+    Object.entries(previous).forEach(([source, url]) => {
+        if (live.has(url)) {
+            return;
+        }
+        const target = current[source] ?? current[renames.get(source)];
+        if (target) {
+            added.push({ from: url, to: target });
+        } else {
+            lost.push({ source, url });
+        }
+    });
+
+    const byFrom = new Map([...redirects, ...added].map((redirect) => [redirect.from, redirect.to]));
+    const resolve = (to, seen = new Set()) =>
+        byFrom.has(to) && !seen.has(to) ? resolve(byFrom.get(to), seen.add(to)) : to;
+
+    const merged = [...byFrom.keys()]
+        .filter((from) => !live.has(from))
+        .map((from) => ({ from, to: resolve(byFrom.get(from)) }))
+        .filter((redirect) => redirect.from !== redirect.to)
+        .sort((a, b) => a.from.localeCompare(b.from));
+
+    return { redirects: merged, added, lost };
+}
+
+module.exports = {
+    lastCommitOf,
+    findRenames,
+    updateRedirects,
+};
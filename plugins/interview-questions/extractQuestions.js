@@ -0,0 +1,87 @@
+const { createSlugger } = require('@docusaurus/utils');
+
+// "## 8. Top Interview Questions", "## 7. Common Interview Questions", ...
+const SECTION_HEADING = /^##\s+.*interview questions/i;
+// "### Q3: What is MVCC and why is it important?"
+const QUESTION_HEADING = /^###\s+Q(\d+)[:.]\s*(.+?)\s*#*$/;
+const ANY_HEADING = /^(#{1,6})\s/;
+const THEMATIC_BREAK = /^(-{3,}|\*{3,}|_{3,})\s*$/;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+const ANSWER_LABEL = /^\*\*Answer:?\*\*:?\s*/;
+
+/**
+ * Pulls the `### Qn:` entries out of a chapter's "Interview Questions"
+ * section. Everything between a question heading and the next heading of
+ * level 3 or higher (or a `---` rule) is treated as its answer.
+ *
+ * @param {string} markdown chapter source, front matter included or not
+ * @returns {{number: number, question: string, anchor: string, answer: string}[]}
+ */
+function extractQuestions(markdown) {
+    const slugger = createSlugger();
+    const questions = [];
+    let inSection = false;
+    let fence = null;
+    let current = null;
+
+    const flush = () => {
+        if (current) {
+            current.answer = current.lines.join('\n').trim().replace(ANSWER_LABEL, '');
+            delete current.lines;
+            questions.push(current);
+            current = null;
+        }
+    };
+
+    for (const line of markdown.split(/\r?\n/)) {
+        const fenceMatch = line.match(FENCE);
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (line.trim().startsWith(fence)) {
+                fence = null;
+            }
+        }
+
+        if (!fence && !fenceMatch) {
+            const heading = line.match(ANY_HEADING);
+            if (heading) {
+                // Keep the slugger in sync with every heading so the anchors
+                // match the ids Docusaurus generates for the page.
+                const text = line.replace(ANY_HEADING, '').trim();
+                const anchor = slugger.slug(text);
+                const level = heading[1].length;
+
+                if (level <= 3) {
+                    flush();
+                }
+                if (level <= 2) {
+                    inSection = level === 2 && SECTION_HEADING.test(line);
+                }
+
+                const question = line.match(QUESTION_HEADING);
+                if (inSection && question) {
+                    current = {
+                        number: Number(question[1]),
+                        question: question[2],
+                        anchor,
+                        lines: [],
+                    };
+                    continue;
+                }
+            } else if (THEMATIC_BREAK.test(line)) {
+                flush();
+                continue;
+            }
+        }
+
+        if (current) {
+            current.lines.push(line);
+        }
+    }
+    flush();
+
+    return questions.filter((entry) => entry.answer.length > 0);
+}
+
+module.exports = extractQuestions;
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+const { aliasedSitePathToRelativePath, normalizeUrl } = require('@docusaurus/utils');
+const extractQuestions = require('./extractQuestions');
+const { readTopicLabel } = require('../../scripts/content/topics');
+const { hideMarkdownSnippetLines } = require('../../scripts/content/snippets');
+
+const DEFAULT_OPTIONS = {
+    routeBasePath: '/practice',
+    docsPluginId: 'default',
+};
+
+/**
+ * Collects every "Interview Questions" section of the docs and serves them as
+ * flashcards on a dedicated practice page.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function interviewQuestionsPlugin(context, opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+    const { siteDir, baseUrl } = context;
+
+    return {
+        name: 'interview-questions',
+
+        async allContentLoaded({ allContent, actions }) {
+            const docsContent = allContent['docusaurus-plugin-content-docs']?.[options.docsPluginId];
+            if (!docsContent) {
+                throw new Error(
+                    `[interview-questions] docs plugin "${options.docsPluginId}" is not loaded.`,
+                );
+            }
+
+            const [version] = docsContent.loadedVersions;
+            const topics = new Map();
+            const questions = [];
+
+            for (const doc of version.docs) {
+                // Top-level pages such as intro.md do not belong to a topic.
+                const topicDir = doc.sourceDirName.split('/')[0];
+                if (topicDir === '.') {
+                    continue;
+                }
+
+                const filePath = path.join(siteDir, aliasedSitePathToRelativePath(doc.source));
+                const entries = extractQuestions(await fs.promises.readFile(filePath, 'utf8'));
+                if (entries.length === 0) {
+                    continue;
+                }
+
+                if (!topics.has(topicDir)) {
+                    topics.set(topicDir, {
+                        id: topicDir,
+                        label: readTopicLabel(version.contentPath, topicDir),
+                        count: 0,
+                    });
+                }
+                topics.get(topicDir).count += entries.length;
+
+                entries.forEach((entry) => {
+                    questions.push({
+                        id: `${doc.id}#${entry.anchor}`,
+                        topic: topicDir,
+                        number: entry.number,
+                        question: entry.question,
+                        answerHtml: marked.parse(hideMarkdownSnippetLines(entry.answer)),
+                        chapter: {
+                            title: doc.title,
+                            permalink: `${doc.permalink}#${entry.anchor}`,
+                            position: doc.sidebarPosition ?? 0,
+                        },
+                    });
+                });
+            }
+
+            const sortedTopics = [...topics.values()].sort((a, b) => a.id.localeCompare(b.id));
+            questions.sort(
+                (a, b) =>
+                    a.topic.localeCompare(b.topic) ||
+                    a.chapter.position - b.chapter.position ||
+                    a.number - b.number,
+            );
+
+            const practiceData = await actions.createData(
+                'practice-questions.json',
+                JSON.stringify({ topics: sortedTopics, questions }),
+            );
+
+            actions.addRoute({
+                path: normalizeUrl([baseUrl, options.routeBasePath]),
+                component: '@site/src/components/PracticePage',
+                modules: { practiceData },
+                exact: true,
+            });
+        },
+    };
+};
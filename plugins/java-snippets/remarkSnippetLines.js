@@ -0,0 +1,23 @@
+const { hideSnippetLines } = require('../../scripts/content/snippets');
+
+function visitCode(node, callback) {
+    if (node.type === 'code') {
+        callback(node);
+    }
+    node.children?.forEach((child) => visitCode(child, callback));
+}
+
+/**
+ * Removes the `// snippet: <code>` lines of ```java blocks. They only exist
+ * to make a fragment compile with `npm run content -- snippets` (imports,
+ * declarations the fragment relies on) and are not meant for readers.
+ */
+module.exports = function remarkSnippetLines() {
+    return (root) => {
+        visitCode(root, (node) => {
+            if (node.lang === 'java') {
+                node.value = hideSnippetLines(node.value);
+            }
+        });
+    };
+};
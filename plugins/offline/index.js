@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { aliasedSitePathToRelativePath, normalizeUrl } = require('@docusaurus/utils');
+const { readTopicLabel } = require('../../scripts/content/topics');
+const { sourceHash } = require('../../scripts/content/translations');
+
+const DEFAULT_OPTIONS = {
+    routeBasePath: '/offline',
+    docsPluginId: 'default',
+};
+
+const MANIFEST_FILE = 'offline-manifest.json';
+
+/**
+ * Lets readers keep chosen docs topics for offline reading, from a download
+ * manager page (src/components/OfflinePage). Each topic's chapters, with a
+ * hash of their source, are global data and, for the latest build, published
+ * as offline-manifest.json: readers' browsers compare the two to refresh
+ * their downloads and tell what changed (src/components/OfflineUpdates,
+ * src/theme/PwaReloadPopup).
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function offlinePlugin(context, opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+    const { siteDir, baseUrl } = context;
+    let topics = [];
+
+    return {
+        name: 'offline',
+
+        async allContentLoaded({ allContent, actions }) {
+            const docsContent = allContent['docusaurus-plugin-content-docs']?.[options.docsPluginId];
+            if (!docsContent) {
+                throw new Error(`[offline] docs plugin "${options.docsPluginId}" is not loaded.`);
+            }
+
+            const [version] = docsContent.loadedVersions;
+            const byTopic = new Map();
+
+            for (const doc of version.docs) {
+                // Top-level pages such as intro.md do not belong to a topic.
+                const topicDir = doc.sourceDirName.split('/')[0];
+                if (topicDir === '.') {
+                    continue;
+                }
+
+                if (!byTopic.has(topicDir)) {
+                    byTopic.set(topicDir, {
+                        id: topicDir,
+                        label: readTopicLabel(version.contentPath, topicDir),
+                        docs: [],
+                    });
+                }
+                const filePath = path.join(siteDir, aliasedSitePathToRelativePath(doc.source));
+                byTopic.get(topicDir).docs.push({
+                    title: doc.title,
+                    permalink: doc.permalink,
+                    hash: sourceHash(await fs.promises.readFile(filePath, 'utf8')),
+                    position: doc.sidebarPosition ?? 0,
+                });
+            }
+
+            topics = [...byTopic.values()]
+                .sort((a, b) => a.id.localeCompare(b.id))
+                .map((topic) => ({
+                    ...topic,
+                    docs: topic.docs
+                        .sort((a, b) => a.position - b.position)
+                        .map(({ position, ...doc }) => doc),
+                }));
+
+            // Global, so that the update popup can tell what a new build changes
+            actions.setGlobalData({ topics });
+
+            actions.addRoute({
+                path: normalizeUrl([baseUrl, options.routeBasePath]),
+                component: '@site/src/components/OfflinePage',
+                exact: true,
+            });
+        },
+
+        async postBuild({ outDir }) {
+            // A new build id makes readers re-download their topics, whose
+            // pages refer to the script and style bundles of the build they
+            // were downloaded from.
+            const manifest = { buildId: Date.now().toString(36), topics };
+            await fs.promises.writeFile(path.join(outDir, MANIFEST_FILE), JSON.stringify(manifest));
+        },
+    };
+};
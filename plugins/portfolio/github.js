@@ -0,0 +1,136 @@
+const fs = require('fs');
+
+const API = 'https://api.github.com';
+const REPO_URL = /^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/;
+const EXCERPT_LENGTH = 220;
+const MAX_LANGUAGES = 3;
+const FIELDS = ['url', 'stars', 'languages', 'lastCommitAt', 'readmeExcerpt'];
+
+/** "https://github.com/owner/repo" -> "owner/repo"; null for other links (e.g. a profile). */
+function parseRepo(url) {
+    const match = url?.match(REPO_URL);
+    return match ? `${match[1]}/${match[2]}` : null;
+}
+
+/** The first paragraph of prose in a README, without headings, badges, images or HTML. */
+function readmeExcerpt(markdown) {
+    const paragraphs = markdown
+        .replace(/```[\s\S]*?```/g, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .split(/\n\s*\n/)
+        .map((block) =>
+            block
+                .split('\n')
+                .filter((line) => !/^\s*(#|<|\||>|[-*_]{3,}\s*$)/.test(line))
+                .join(' ')
+                .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+                .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+                .replace(/[*_`]/g, '')
+                .replace(/\s+/g, ' ')
+                .trim(),
+        )
+        .filter((text) => text.length > 40);
+    const [first = ''] = paragraphs;
+    return first.length > EXCERPT_LENGTH ? `${first.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…` : first;
+}
+
+function topLanguages(bytes) {
+    const total = Object.values(bytes).reduce((sum, count) => sum + count, 0);
+    return Object.entries(bytes)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, MAX_LANGUAGES)
+        .map(([name, count]) => ({ name, percent: Math.round((count / total) * 100) }));
+}
+
+async function request(path, { token, accept = 'application/vnd.github+json' }) {
+    const response = await fetch(`${API}${path}`, {
+        headers: {
+            Accept: accept,
+            'User-Agent': 'cs-master-wiki',
+            ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        signal: AbortSignal.timeout(15000),
+    });
+    if (response.status === 404 && path.endsWith('/readme')) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`GET ${path} failed with ${response.status} ${response.statusText}`);
+    }
+    return accept.endsWith('raw') ? response.text() : response.json();
+}
+
+/**
+ * Stars, main languages, last commit date and README excerpt of a repository.
+ *
+ * @param {string} repo "owner/repo"
+ * @param {{token?: string}} options
+ */
+async function fetchRepository(repo, { token }) {
+    const [info, languages, commits, readme] = await Promise.all([
+        request(`/repos/${repo}`, { token }),
+        request(`/repos/${repo}/languages`, { token }),
+        request(`/repos/${repo}/commits?per_page=1`, { token }),
+        request(`/repos/${repo}/readme`, { token, accept: 'application/vnd.github.raw' }),
+    ]);
+    return {
+        url: info.html_url,
+        stars: info.stargazers_count,
+        languages: topLanguages(languages),
+        lastCommitAt: commits[0]?.commit.committer.date ?? info.pushed_at,
+        readmeExcerpt: readme ? readmeExcerpt(readme) : '',
+    };
+}
+
+function readSnapshot(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+        return { fetchedAt: null, repositories: {} };
+    }
+}
+
+/**
+ * Metadata of the given repositories, keyed by "owner/repo":
+ * - "snapshot" reads the committed snapshot, so builds work offline;
+ * - "live" asks the GitHub API (GITHUB_TOKEN raises the rate limit) and falls
+ *   back to the snapshot for repositories it cannot fetch;
+ * - "mock" reads fixed local data, for builds that must not depend on GitHub.
+ *
+ * @param {string[]} repos
+ * @param {{mode: 'snapshot' | 'live' | 'mock', snapshotFile: string, mockFile: string, token?: string, warn: (message: string) => void}} options
+ */
+async function loadRepositories(repos, { mode, snapshotFile, mockFile, token, warn }) {
+    if (mode === 'mock') {
+        return readSnapshot(mockFile).repositories;
+    }
+    const snapshot = readSnapshot(snapshotFile).repositories;
+    if (mode !== 'live') {
+        return snapshot;
+    }
+
+    const entries = await Promise.all(
+        repos.map(async (repo) => {
+            try {
+                return [repo, await fetchRepository(repo, { token })];
+            } catch (err) {
+                warn(`${repo}: ${err.message}${snapshot[repo] ? '; using the snapshot' : ''}`);
+                return [repo, snapshot[repo]];
+            }
+        }),
+    );
+    return Object.fromEntries(entries.filter(([, metadata]) => metadata));
+}
+
+/** The repositories among `repos` that have no complete metadata in `repositories`. */
+function findMissing(repos, repositories) {
+    return repos.filter((repo) => FIELDS.some((field) => repositories[repo]?.[field] === undefined));
+}
+
+module.exports = {
+    parseRepo,
+    readmeExcerpt,
+    fetchRepository,
+    loadRepositories,
+    findMissing,
+};
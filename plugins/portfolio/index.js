@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeUrl } = require('@docusaurus/utils');
+const logger = require('@docusaurus/logger').default;
+const loadPortfolio = require('./loadPortfolio');
+const { toJsonResume } = require('./jsonResume');
+const { parseRepo, loadRepositories, findMissing } = require('./github');
+
+const DEFAULT_OPTIONS = {
+    // data/portfolio.yml, or a JSON Resume file such as data/resume.json
+    path: 'data/portfolio.yml',
+    resumeRoute: '/resume',
+    // GitHub metadata of projects: "snapshot", "live" or "mock" (see ./github.js)
+    github: process.env.GITHUB_METADATA ?? 'snapshot',
+    githubSnapshot: 'data/github-projects.json',
+};
+
+const GITHUB_MODES = ['snapshot', 'live', 'mock'];
+
+/**
+ * Loads the homepage content (experience, skills, projects, contact, about
+ * stats) from a data file validated against data/portfolio.schema.json and
+ * exposes it as global data for src/pages/index.js. The same data is
+ * published in the JSON Resume format: as /resume.json in the build output
+ * and as a printable page at `resumeRoute`. Projects linking to a GitHub
+ * repository get its stars, languages, last commit and README excerpt.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function portfolioPlugin(context, opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+    const { siteDir, siteConfig, baseUrl } = context;
+    const file = path.resolve(siteDir, options.path);
+    const siteUrl = `${siteConfig.url}${baseUrl}`.replace(/\/$/, '');
+    if (!GITHUB_MODES.includes(options.github)) {
+        throw new Error(`[portfolio] github must be one of ${GITHUB_MODES.join(', ')}, got "${options.github}"`);
+    }
+
+    return {
+        name: 'portfolio',
+
+        getPathsToWatch() {
+            return [
+                file,
+                path.join(__dirname, '../../data/portfolio.schema.json'),
+                path.resolve(siteDir, options.githubSnapshot),
+            ];
+        },
+
+        async loadContent() {
+            let portfolio;
+            try {
+                portfolio = loadPortfolio(file);
+            } catch (err) {
+                throw new Error(`[portfolio] ${err.message}`);
+            }
+            const repos = portfolio.projects.map((project) => parseRepo(project.github)).filter(Boolean);
+            const repositories = await loadRepositories(repos, {
+                mode: options.github,
+                snapshotFile: path.resolve(siteDir, options.githubSnapshot),
+                mockFile: path.join(__dirname, 'github.mock.json'),
+                token: process.env.GITHUB_TOKEN,
+                warn: (message) => logger.warn(`[portfolio] ${message}`),
+            });
+            const missing = findMissing(repos, repositories);
+            if (missing.length > 0) {
+                logger.warn(
+                    `[portfolio] no GitHub metadata (${options.github}) for ${missing.join(', ')}; ` +
+                        'run "npm run content -- github-snapshot" to refresh the snapshot',
+                );
+            }
+            const projects = portfolio.projects.map((project) => {
+                const repository = repositories[parseRepo(project.github)];
+                return repository ? { ...project, repository } : project;
+            });
+
+            return {
+                portfolio: { ...portfolio, projects },
+                resume: toJsonResume(portfolio, { siteUrl }),
+            };
+        },
+
+        async contentLoaded({ content, actions }) {
+            const { portfolio, resume } = content;
+            actions.setGlobalData(portfolio);
+
+            const resumeData = await actions.createData('resume.json', JSON.stringify(resume));
+            actions.addRoute({
+                path: normalizeUrl([baseUrl, options.resumeRoute]),
+                component: '@site/src/components/ResumePage',
+                modules: { resume: resumeData },
+                exact: true,
+            });
+        },
+
+        async postBuild({ content, outDir }) {
+            await fs.promises.writeFile(path.join(outDir, 'resume.json'), `${JSON.stringify(content.resume, null, 2)}\n`);
+        },
+    };
+};
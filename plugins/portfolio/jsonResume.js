@@ -0,0 +1,170 @@
+/**
+ * Conversion between the homepage data (data/portfolio.schema.json) and the
+ * JSON Resume format (https://jsonresume.org/schema, v1.0.0).
+ *
+ * Standard fields carry everything a resume needs. Homepage-only details are
+ * kept in fields JSON Resume tools ignore, so an exported resume.json can
+ * drive the homepage again: `icon` and `ratings` on skills, `icon` and
+ * `featured` on projects, `keywords` on work entries, and the hero, the
+ * About journey, stats and tech stack and the concepts in `meta.portfolio`.
+ * Contact methods are derived from `basics` on import.
+ */
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// Used for resumes written elsewhere, which have no icons or skill ratings.
+const DEFAULT_SKILL_ICON = '🛠️';
+const DEFAULT_PROJECT_ICON = '📁';
+const LEVEL_RATINGS = { master: 95, expert: 90, advanced: 80, intermediate: 65, beginner: 40 };
+const DEFAULT_RATING = 75;
+
+const CONTACT_ICONS = { email: '📧', linkedin: '💼', github: '💻' };
+const DEFAULT_CONTACT_ICON = '🔗';
+
+function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * @param {object} portfolio validated homepage data
+ * @param {{siteUrl: string}} options
+ */
+function toJsonResume(portfolio, { siteUrl }) {
+    const { basics, hero, about, experience, skills, projects } = portfolio;
+    return {
+        $schema: SCHEMA_URL,
+        basics: compact({ ...basics, url: basics.url ?? siteUrl }),
+        work: experience.map((job) =>
+            compact({
+                name: job.company,
+                position: job.role,
+                location: job.location,
+                url: job.links?.[0]?.url,
+                startDate: job.startDate,
+                endDate: job.endDate,
+                summary: job.description,
+                highlights: job.highlights,
+                keywords: job.technologies,
+            }),
+        ),
+        skills: skills.categories.map((category) => ({
+            name: category.title,
+            keywords: category.skills.map((skill) => skill.name),
+            icon: category.icon,
+            ratings: Object.fromEntries(category.skills.map((skill) => [skill.name, skill.level])),
+        })),
+        projects: projects.map((project) =>
+            compact({
+                name: project.title,
+                description: project.description,
+                keywords: project.tech,
+                url: project.demo?.startsWith('/') ? `${siteUrl}${project.demo}` : project.demo,
+                repository: project.github,
+                featured: project.featured,
+                icon: project.icon,
+            }),
+        ),
+        meta: {
+            canonical: `${siteUrl}/resume.json`,
+            version: 'v1.0.0',
+            portfolio: {
+                hero,
+                journey: about.journey,
+                stats: about.stats,
+                techStack: about.techStack,
+                concepts: skills.concepts,
+            },
+        },
+    };
+}
+
+function contactMethods(basics) {
+    const email = basics.email
+        ? [{ icon: CONTACT_ICONS.email, label: 'Email', value: basics.email, href: `mailto:${basics.email}` }]
+        : [];
+    const profiles = (basics.profiles ?? []).map((profile) => ({
+        icon: CONTACT_ICONS[profile.network.toLowerCase()] ?? DEFAULT_CONTACT_ICON,
+        label: profile.network,
+        value: profile.username ? `@${profile.username}` : profile.network,
+        href: profile.url,
+    }));
+    return [...email, ...profiles];
+}
+
+/**
+ * Builds homepage data from a JSON Resume document. The result still has to
+ * be validated against data/portfolio.schema.json.
+ *
+ * @param {object} resume
+ */
+function fromJsonResume(resume) {
+    const basics = resume.basics ?? {};
+    const extras = resume.meta?.portfolio ?? {};
+    const skills = resume.skills ?? [];
+    const location = basics.location?.city ?? basics.location?.region ?? basics.location?.countryCode;
+
+    return {
+        basics: compact({
+            name: basics.name,
+            label: basics.label,
+            email: basics.email,
+            url: basics.url,
+            summary: basics.summary,
+            location: basics.location,
+            profiles: (basics.profiles ?? []).map(({ network, username, url }) => compact({ network, username, url })),
+        }),
+        hero: extras.hero ?? {
+            roles: basics.label ? [basics.label] : [],
+            skills: extras.techStack ?? skills[0]?.keywords ?? [],
+        },
+        about: {
+            journey: extras.journey ?? (basics.summary ? [basics.summary] : []),
+            stats: extras.stats ?? [],
+            techStack: extras.techStack ?? skills[0]?.keywords ?? [],
+        },
+        experience: (resume.work ?? []).map((job) =>
+            compact({
+                company: job.name,
+                role: job.position,
+                startDate: job.startDate?.slice(0, 7),
+                endDate: job.endDate?.slice(0, 7),
+                location: job.location ?? location,
+                description: job.summary ?? job.description,
+                highlights: job.highlights ?? [],
+                technologies: job.keywords ?? [],
+                links: job.url ? [{ label: job.name, url: job.url }] : undefined,
+            }),
+        ),
+        skills: {
+            categories: skills.map((skill) => ({
+                title: skill.name,
+                icon: skill.icon ?? DEFAULT_SKILL_ICON,
+                skills: (skill.keywords ?? []).map((name) => ({
+                    name,
+                    level:
+                        skill.ratings?.[name] ?? LEVEL_RATINGS[String(skill.level).toLowerCase()] ?? DEFAULT_RATING,
+                })),
+            })),
+            concepts: extras.concepts ?? [],
+        },
+        projects: (resume.projects ?? []).map((project) =>
+            compact({
+                title: project.name,
+                description: project.description ?? project.highlights?.join(' '),
+                tech: project.keywords ?? [],
+                github: project.repository,
+                demo: project.url,
+                featured: project.featured,
+                icon: project.icon ?? DEFAULT_PROJECT_ICON,
+            }),
+        ),
+        contact: {
+            methods: contactMethods(basics),
+        },
+    };
+}
+
+module.exports = {
+    toJsonResume,
+    fromJsonResume,
+};
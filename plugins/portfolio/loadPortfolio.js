@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const schema = require('../../data/portfolio.schema.json');
+const { fromJsonResume } = require('./jsonResume');
+
+const validate = new Ajv({ allErrors: true, useDefaults: true }).compile(schema);
+
+// "/experience/0/period" -> "experience[0].period"
+function formatPath(instancePath) {
+    return instancePath
+        .split('/')
+        .slice(1)
+        .reduce((result, segment) => (/^\d+$/.test(segment) ? `${result}[${segment}]` : `${result}.${segment}`), '')
+        .replace(/^\./, '');
+}
+
+function formatError(error) {
+    const where = formatPath(error.instancePath) || '(root)';
+    if (error.keyword === 'additionalProperty' || error.keyword === 'additionalProperties') {
+        return `${where}: unknown property "${error.params.additionalProperty}"`;
+    }
+    return `${where} ${error.message}`;
+}
+
+// A .json file is a JSON Resume document; anything else is YAML in our own format.
+function readData(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    return path.extname(file) === '.json' ? fromJsonResume(JSON.parse(source)) : yaml.load(source);
+}
+
+/**
+ * Reads the portfolio data file (data/portfolio.yml or a JSON Resume
+ * resume.json) and validates it against data/portfolio.schema.json, applying
+ * the schema's defaults. Throws an error listing every invalid field.
+ *
+ * @param {string} file
+ */
+function loadPortfolio(file) {
+    const name = path.relative(process.cwd(), file);
+    let data;
+    try {
+        data = readData(file);
+    } catch (err) {
+        throw new Error(`${name}: ${err.message}`);
+    }
+    if (!validate(data)) {
+        const source = path.extname(file) === '.json' ? ' (after conversion from JSON Resume)' : '';
+        const errors = validate.errors.map((error) => `  - ${formatError(error)}`);
+        throw new Error(`${name} does not match data/portfolio.schema.json${source}:\n${errors.join('\n')}`);
+    }
+    return data;
+}
+
+module.exports = loadPortfolio;
@@ -0,0 +1,110 @@
+const path = require('path');
+const { readTopicLabel } = require('../../scripts/content/topics');
+
+const DEFAULT_OPTIONS = {
+    docsPluginId: 'default',
+};
+
+// Abbreviation -> long forms, e.g. "GC" -> ["garbage collection", ...]
+const SYNONYMS = require(path.join(__dirname, '../../data/search-synonyms.json'));
+
+const SITE_DIR = path.join(__dirname, '../..');
+// The English docs and their older versions; other pages keep their keywords
+const DOCS_DIRS = ['docs', 'versioned_docs'].map((dir) => path.join(SITE_DIR, dir) + path.sep);
+const FENCED_CODE = /^[ \t]*(`{3,}|~{3,}).*$[\s\S]*?^[ \t]*\1[ \t]*$/gm;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Abbreviations match case-sensitively ("CAP", not "cap at 30s"); long forms
+// match in any case and with spaces or hyphens between their words.
+function formPattern(form, isAbbreviation) {
+    const source = form.split(/[\s-]+/).map(escapeRegExp).join('[\\s-]+');
+    return new RegExp(`\\b${source}\\b`, isAbbreviation ? '' : 'i');
+}
+
+const SYNONYM_GROUPS = Object.entries(SYNONYMS).map(([abbreviation, terms]) => ({
+    forms: [abbreviation, ...terms],
+    patterns: [formPattern(abbreviation, true), ...terms.map((term) => formPattern(term, false))],
+}));
+
+/**
+ * Adds to the `keywords` of a doc every form of the abbreviations its prose
+ * uses, so the search index finds the doc by either. Plugged in as the site's
+ * `markdown.parseFrontMatter`; blog posts, pages and translations are left
+ * alone, and code blocks do not count as uses.
+ *
+ * @type {import('@docusaurus/types').ParseFrontMatter}
+ */
+async function parseFrontMatter(params) {
+    const result = await params.defaultParseFrontMatter(params);
+    if (!DOCS_DIRS.some((dir) => path.resolve(params.filePath).startsWith(dir))) {
+        return result;
+    }
+    const { keywords = [] } = result.frontMatter;
+    const existing = Array.isArray(keywords) ? keywords : [keywords];
+    const text = `${existing.join('\n')}\n${result.content.replace(FENCED_CODE, '')}`;
+    const synonyms = SYNONYM_GROUPS.filter(({ patterns }) => patterns.some((pattern) => pattern.test(text)));
+    if (synonyms.length === 0) {
+        return result;
+    }
+
+    const known = new Set(existing.map((keyword) => String(keyword).toLowerCase()));
+    const added = synonyms.flatMap(({ forms }) => forms).filter((form) => !known.has(form.toLowerCase()));
+    return { ...result, frontMatter: { ...result.frontMatter, keywords: [...existing, ...added] } };
+}
+
+/**
+ * Data for the search page (src/theme/SearchPage) on top of
+ * @easyops-cn/docusaurus-search-local: the docs topics results are grouped
+ * and filtered by, and the abbreviation synonyms queries are expanded with.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function searchPlugin(context, opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+
+    return {
+        name: 'search',
+
+        async allContentLoaded({ allContent, actions }) {
+            const docsContent = allContent['docusaurus-plugin-content-docs']?.[options.docsPluginId];
+            if (!docsContent) {
+                throw new Error(`[search] docs plugin "${options.docsPluginId}" is not loaded.`);
+            }
+
+            // A topic covers its folder in every docs version, e.g. both
+            // /docs/java-jvm-internals/ and /docs/java-17/java-jvm-internals/.
+            const topics = new Map();
+            for (const version of docsContent.loadedVersions) {
+                // "/docs/java-jvm-internals/gc" -> "/docs/java-jvm-internals/"
+                const depth = version.path.split('/').filter(Boolean).length + 1;
+                for (const doc of version.docs) {
+                    // Top-level pages such as intro.md do not belong to a topic.
+                    const topicDir = doc.sourceDirName.split('/')[0];
+                    if (topicDir === '.') {
+                        continue;
+                    }
+                    const topicPath = `/${doc.permalink.split('/').filter(Boolean).slice(0, depth).join('/')}/`;
+                    const topic = topics.get(topicDir) ?? {
+                        id: topicDir,
+                        label: readTopicLabel(version.contentPath, topicDir),
+                        paths: [],
+                    };
+                    if (!topic.paths.includes(topicPath)) {
+                        topic.paths.push(topicPath);
+                    }
+                    topics.set(topicDir, topic);
+                }
+            }
+
+            actions.setGlobalData({
+                topics: [...topics.values()].sort((a, b) => a.id.localeCompare(b.id)),
+                synonyms: SYNONYM_GROUPS.map(({ forms }) => forms),
+            });
+        },
+    };
+};
+
+module.exports.parseFrontMatter = parseFrontMatter;
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const DEFAULT_OPTIONS = {
+    // One <doc id>.sql per chapter, e.g. dbms-data-persistence/pagination-pooling.sql
+    path: 'data/sql-seeds',
+};
+
+function listSeedFiles(dir, prefix = '') {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const relative = path.posix.join(prefix, entry.name);
+        if (entry.isDirectory()) {
+            return listSeedFiles(path.join(dir, entry.name), relative);
+        }
+        return entry.name.endsWith('.sql') ? [relative] : [];
+    });
+}
+
+/**
+ * Seed schemas of the <SqlPlayground> component (src/components/SqlPlayground),
+ * which runs queries in the reader's browser on a WASM build of SQLite. Each
+ * seed is keyed by the id of the chapter it belongs to and is run once at
+ * build time, so that a broken seed fails the build instead of the page.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function sqlPlaygroundPlugin(context, opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+    const dir = path.resolve(context.siteDir, options.path);
+
+    return {
+        name: 'sql-playground',
+
+        getPathsToWatch() {
+            return [path.join(dir, '**/*.sql')];
+        },
+
+        async loadContent() {
+            const SQL = await initSqlJs();
+            const seeds = {};
+            for (const file of listSeedFiles(dir)) {
+                const sql = await fs.promises.readFile(path.join(dir, file), 'utf8');
+                const db = new SQL.Database();
+                try {
+                    db.exec(sql);
+                } catch (err) {
+                    throw new Error(`[sql-playground] ${path.posix.join(options.path, file)}: ${err.message}`);
+                } finally {
+                    db.close();
+                }
+                seeds[file.replace(/\.sql$/, '')] = sql;
+            }
+            return seeds;
+        },
+
+        async contentLoaded({ content, actions }) {
+            actions.setGlobalData({ seeds: content });
+        },
+
+        configureWebpack() {
+            // sql.js loads its WebAssembly binary from a URL given at runtime.
+            return {
+                module: {
+                    rules: [{ test: /\.wasm$/, type: 'asset/resource' }],
+                },
+            };
+        },
+    };
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { aliasedSitePathToRelativePath } = require('@docusaurus/utils');
+const { loadTopics, SYLLABUS_FILE } = require('../../scripts/content/syllabus');
+const { computeCoverage } = require('../../scripts/content/coverage');
+
+const DEFAULT_OPTIONS = {
+    docsPluginId: 'default',
+};
+
+/**
+ * Matches every item of data/syllabus.yml against the chapter headings of its
+ * topic and exposes the result as global data for the <SyllabusCoverage>
+ * component.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function syllabusCoveragePlugin(context, opts) {
+    const options = { ...DEFAULT_OPTIONS, ...opts };
+    const { siteDir } = context;
+
+    return {
+        name: 'syllabus-coverage',
+
+        getPathsToWatch() {
+            return [path.join(siteDir, SYLLABUS_FILE)];
+        },
+
+        async allContentLoaded({ allContent, actions }) {
+            const docsContent = allContent['docusaurus-plugin-content-docs']?.[options.docsPluginId];
+            if (!docsContent) {
+                throw new Error(
+                    `[syllabus-coverage] docs plugin "${options.docsPluginId}" is not loaded.`,
+                );
+            }
+
+            const [version] = docsContent.loadedVersions;
+            const topics = {};
+
+            for (const topic of loadTopics(siteDir)) {
+                const docs = version.docs.filter(
+                    (doc) => doc.sourceDirName === topic.dir && !doc.source.endsWith('/01-intro.md'),
+                );
+                const chapters = await Promise.all(
+                    docs.map(async (doc) => {
+                        const file = aliasedSitePathToRelativePath(doc.source);
+                        return {
+                            file,
+                            link: doc.permalink,
+                            markdown: await fs.promises.readFile(path.join(siteDir, file), 'utf8'),
+                        };
+                    }),
+                );
+
+                const coverage = computeCoverage(topic, chapters);
+                topics[topic.dir] = {
+                    label: topic.label,
+                    covered: coverage.covered,
+                    total: coverage.total,
+                    percent: coverage.percent,
+                    sections: coverage.sections.map((section) => ({
+                        title: section.title,
+                        items: section.items.map((item) => ({
+                            text: item.text,
+                            depth: item.depth,
+                            link: item.match?.link ?? null,
+                            heading: item.match?.heading ?? null,
+                        })),
+                    })),
+                };
+            }
+
+            actions.setGlobalData({ topics });
+        },
+    };
+};
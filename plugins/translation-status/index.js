@@ -0,0 +1,46 @@
+const path = require('path');
+const logger = require('@docusaurus/logger').default;
+const { translationStatus, I18N_DIR } = require('../../scripts/content/translations');
+
+/**
+ * Finds the docs of the locale being built whose translation is outdated (see
+ * `npm run content -- translations`) and exposes them as global data for
+ * <TranslationNotice>. Untranslated docs need no data: Docusaurus serves the
+ * English source, which the notice recognizes by its path.
+ *
+ * @type {import('@docusaurus/types').PluginModule}
+ */
+module.exports = function translationStatusPlugin(context) {
+    const { siteDir, i18n } = context;
+    const isDefaultLocale = i18n.currentLocale === i18n.defaultLocale;
+
+    return {
+        name: 'translation-status',
+
+        getPathsToWatch() {
+            if (isDefaultLocale) {
+                return [];
+            }
+            return ['docs', 'versioned_docs', path.join(I18N_DIR, i18n.currentLocale)].map((dir) =>
+                path.join(siteDir, dir, '**/*.{md,mdx}'),
+            );
+        },
+
+        async loadContent() {
+            if (isDefaultLocale) {
+                return { outdated: [] };
+            }
+            const outdated = translationStatus(siteDir, i18n.currentLocale).filter((doc) => doc.status === 'outdated');
+            if (outdated.length > 0) {
+                logger.warn(
+                    `[translation-status] ${outdated.length} outdated "${i18n.currentLocale}" translation(s); run \`npm run content -- translations ${i18n.currentLocale}\` for the list.`,
+                );
+            }
+            return { outdated: outdated.map((doc) => doc.translation) };
+        },
+
+        async contentLoaded({ content, actions }) {
+            actions.setGlobalData(content);
+        },
+    };
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const { parseLocalURLPath, serializeURLPath } = require('@docusaurus/utils');
+const { translationPath } = require('../../scripts/content/translations');
+
+const MARKDOWN_FILE = /\.mdx?$/i;
+const LOCALIZED_DOC = /^i18n\/[^/]+\/docusaurus-plugin-content-docs\/([^/]+)\/(.+)$/;
+
+/** The English source of a doc, given the doc or one of its translations (paths relative to the site). */
+function englishSource(file) {
+    const localized = file.match(LOCALIZED_DOC);
+    if (!localized) {
+        return file;
+    }
+    const [, version, relative] = localized;
+    return version === 'current' ? path.posix.join('docs', relative) : path.posix.join('versioned_docs', version, relative);
+}
+
+function visitLinks(node, callback) {
+    if (node.type === 'link' || node.type === 'definition') {
+        callback(node);
+    }
+    node.children?.forEach((child) => visitLinks(child, callback));
+}
+
+/**
+ * Docusaurus resolves `./x.md` links next to the linking file only, so once a
+ * locale translates some docs, links between a translated and an untranslated
+ * doc (served from docs/) break. This points every relative Markdown link at
+ * the target's translation when it exists and at the English source otherwise.
+ *
+ * @param {{siteDir: string}} options
+ */
+module.exports = function remarkLocalizedLinks({ siteDir }) {
+    const locale = process.env.DOCUSAURUS_CURRENT_LOCALE;
+    const { i18n } = require(path.join(siteDir, 'docusaurus.config.js'));
+
+    return (root, file) => {
+        if (!locale || locale === i18n.defaultLocale) {
+            return;
+        }
+        visitLinks(root, (link) => {
+            const url = parseLocalURLPath(link.url);
+            if (!url || !MARKDOWN_FILE.test(url.pathname) || !/^\.\.?\//.test(url.pathname)) {
+                return;
+            }
+            const target = path.relative(siteDir, path.resolve(path.dirname(file.path), decodeURIComponent(url.pathname)));
+            const source = englishSource(target.split(path.sep).join('/'));
+            const translation = translationPath(locale, source);
+            const resolved = fs.existsSync(path.join(siteDir, translation)) ? translation : source;
+            if (resolved !== target) {
+                link.url = serializeURLPath({ ...url, pathname: `@site/${resolved}` });
+            }
+        });
+    };
+};
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Stand-in for a self-hosted Plausible or Umami server: accepts their page
+ * view events and prints them, to check the analytics providers locally.
+ *
+ *     npm run analytics-stub -- [--port 8787]
+ *
+ * Point themeConfig.analytics at it (plausible.apiHost or umami.hostUrl set
+ * to http://localhost:8787), then `npm run build && npm run serve`.
+ */
+const http = require('http');
+const { parseArgs } = require('util');
+
+const ENDPOINTS = {
+    '/api/event': 'plausible',
+    '/api/send': 'umami',
+};
+
+function describe(provider, event) {
+    if (provider === 'plausible') {
+        return `${event.name} ${event.url} (domain ${event.domain}, referrer ${event.referrer ?? '-'})`;
+    }
+    const { payload = {} } = event;
+    return `${event.type} ${payload.hostname}${payload.url} "${payload.title}" (website ${payload.website}, referrer ${payload.referrer || '-'})`;
+}
+
+const { values } = parseArgs({
+    options: { port: { type: 'string', default: process.env.PORT ?? '8787' } },
+});
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    const provider = ENDPOINTS[new URL(req.url, 'http://localhost').pathname];
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+    }
+    if (!provider || req.method !== 'POST') {
+        res.writeHead(404).end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        try {
+            console.log(`[${provider}] ${describe(provider, JSON.parse(body))}`);
+            res.writeHead(202).end();
+        } catch {
+            console.error(`[${provider}] Invalid event: ${body}`);
+            res.writeHead(400).end();
+        }
+    });
+});
+
+server.listen(Number(values.port), () => {
+    console.log(`Analytics stub listening on http://localhost:${values.port} (Ctrl+C to stop)`);
+});
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Content CLI for the CS Fundamentals wiki.
+ *
+ *     npm run content -- <command> [options]
+ *
+ * Topics are defined in data/syllabus.yml. Run a command with --dry-run to see
+ * the diff it would apply without writing anything.
+ */
+const path = require('path');
+const { parseArgs } = require('util');
+
+const commands = {
+    scaffold: require('./content/commands/scaffold'),
+    sync: require('./content/commands/sync'),
+    'new-chapter': require('./content/commands/new-chapter'),
+    check: require('./content/commands/check'),
+    coverage: require('./content/commands/coverage'),
+    lint: require('./content/commands/lint'),
+    export: require('./content/commands/export'),
+    translations: require('./content/commands/translations'),
+    snippets: require('./content/commands/snippets'),
+    'github-snapshot': require('./content/commands/github-snapshot'),
+    redirects: require('./content/commands/redirects'),
+};
+
+const siteDir = path.resolve(__dirname, '..');
+
+function printHelp() {
+    console.log('Usage: npm run content -- <command> [options]\n\nCommands:');
+    Object.values(commands).forEach((command) => {
+        console.log(`  ${command.usage}\n      ${command.description}`);
+    });
+}
+
+async function main(argv) {
+    const [name, ...rest] = argv;
+    const command = commands[name];
+    if (!command) {
+        printHelp();
+        process.exitCode = name && name !== 'help' && name !== '--help' ? 1 : 0;
+        return;
+    }
+
+    const { values, positionals } = parseArgs({
+        args: rest,
+        options: command.options,
+        allowPositionals: true,
+    });
+    await command.run(siteDir, positionals, values);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+    console.error(`error: ${err.message}`);
+    process.exitCode = 1;
+});
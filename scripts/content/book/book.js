@@ -0,0 +1,62 @@
+const path = require('path');
+const { loadTopics, parseOutline } = require('../syllabus');
+const { loadSidebarTree } = require('./order');
+const { createChapterRenderer } = require('./render');
+
+/**
+ * Numbers the sidebar tree in reading order: categories become parts and docs
+ * become chapters, each with an id usable as an HTML anchor or file name.
+ */
+function flatten(items, depth = 0, sections = []) {
+    const toc = items.map((item) => {
+        const id = `${item.type === 'category' ? 'part' : 'ch'}-${sections.length + 1}`;
+        const section = { ...item, id, depth };
+        sections.push(section);
+        return {
+            id,
+            title: item.type === 'category' ? item.label : item.title,
+            children: item.type === 'category' ? flatten(item.items, depth + 1, sections).toc : [],
+        };
+    });
+    return { toc, sections };
+}
+
+/**
+ * Loads the docs (all of them, or the given topic folders) in sidebar order and
+ * renders every chapter to HTML.
+ *
+ * @param {string} siteDir
+ * @param {{topics: {dir: string, label: string}[] | null, siteUrl: string, warn: (message: string) => void}} options
+ * @returns {{title: string, toc: object[], sections: object[], diagrams: string[]}}
+ */
+function loadBook(siteDir, { topics, siteUrl, warn }) {
+    const tree = loadSidebarTree(siteDir);
+    let items = tree;
+    if (topics) {
+        const dirs = new Set(topics.map((topic) => topic.dir));
+        items = items.filter((item) => item.type === 'category' && dirs.has(path.posix.basename(item.dir)));
+    }
+    if (items.length === 0) {
+        throw new Error('Nothing to export.');
+    }
+
+    const intro = items.find((item) => item.type === 'doc' && item.frontMatter.slug === '/');
+    const title = topics?.length === 1 ? topics[0].label : intro?.title ?? 'CS Fundamentals Wiki';
+
+    const { toc, sections } = flatten(items);
+    const chapters = sections.filter((section) => section.type === 'doc');
+    const syllabi = new Map(loadTopics(siteDir).map((topic) => [topic.dir, parseOutline(topic.syllabus)]));
+    const docs = flatten(tree).sections.filter((section) => section.type === 'doc');
+    const diagrams = [];
+    const renderChapter = createChapterRenderer({ chapters, docs, siteUrl, syllabi, diagrams, warn });
+
+    chapters.forEach((chapter) => {
+        chapter.html = renderChapter(chapter);
+    });
+
+    return { title, toc, sections, diagrams };
+}
+
+module.exports = {
+    loadBook,
+};
@@ -0,0 +1,68 @@
+/**
+ * Headless Chromium, used for PDF output and to pre-render Mermaid diagrams to
+ * SVG. Puppeteer is optional and not a dependency of the site: install it
+ * (`npm install --no-save puppeteer`) to enable these features.
+ */
+function loadPuppeteer() {
+    try {
+        return require('puppeteer');
+    } catch {
+        return null;
+    }
+}
+
+async function withPage(puppeteer, fn) {
+    const browser = await puppeteer.launch({ headless: true });
+    try {
+        const page = await browser.newPage();
+        return await fn(page);
+    } finally {
+        await browser.close();
+    }
+}
+
+/**
+ * Renders each Mermaid source to an SVG string, or null when the diagram fails
+ * to parse. Labels are drawn as SVG text so the output is valid in EPUB.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {string[]} sources
+ * @returns {Promise<(string | null)[]>}
+ */
+async function renderDiagrams(page, sources) {
+    if (sources.length === 0) {
+        return [];
+    }
+    await page.setContent('<!DOCTYPE html><html><body></body></html>');
+    await page.addScriptTag({ path: require.resolve('mermaid/dist/mermaid.min.js') });
+    return page.evaluate(async (diagrams) => {
+        window.mermaid.initialize({
+            startOnLoad: false,
+            theme: 'neutral',
+            htmlLabels: false,
+            flowchart: { htmlLabels: false },
+        });
+        const svgs = [];
+        for (const [index, source] of diagrams.entries()) {
+            try {
+                const { svg } = await window.mermaid.render(`diagram-${index}`, source);
+                svgs.push(svg);
+            } catch {
+                svgs.push(null);
+            }
+        }
+        return svgs;
+    }, sources);
+}
+
+async function printPdf(page, html, file) {
+    await page.setContent(html, { waitUntil: 'load', timeout: 0 });
+    await page.pdf({ path: file, printBackground: true, preferCSSPageSize: true, outline: true, timeout: 0 });
+}
+
+module.exports = {
+    loadPuppeteer,
+    withPage,
+    renderDiagrams,
+    printPdf,
+};
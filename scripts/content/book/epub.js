@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { createZip } = require('../zip');
+const { escapeHtml } = require('./render');
+const { renderToc, fillDiagrams, renderSection, readStyles } = require('./html');
+
+const INTERNAL_LINK = /href="#((?:ch|part)-\d+)(--[^"]*)?"/g;
+
+/** A stable identifier, so e-readers replace an older export of the same book. */
+function bookIdentifier(title) {
+    const hash = crypto.createHash('sha1').update(title).digest('hex');
+    return `urn:uuid:${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-a${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+}
+
+/** EPUB content documents must be well-formed XHTML. */
+function toXhtml(html) {
+    return cheerio.load(html, null, false).xml();
+}
+
+function xhtmlPage(title, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Links between chapters point into the file that holds the target section.
+function rewriteLinks(html) {
+    return html.replace(INTERNAL_LINK, (_, id, anchor) => `href="${id}.xhtml${anchor ? `#${id}${anchor}` : ''}"`);
+}
+
+function renderNcx(entries, counter = { value: 0 }) {
+    return entries
+        .map((entry) => {
+            counter.value++;
+            return `<navPoint id="nav-${entry.id}" playOrder="${counter.value}">
+<navLabel><text>${escapeHtml(entry.title)}</text></navLabel>
+<content src="${entry.id}.xhtml"/>
+${renderNcx(entry.children, counter)}
+</navPoint>`;
+        })
+        .join('\n');
+}
+
+/**
+ * Packages the book as an EPUB 3 file (with an EPUB 2 NCX for older readers):
+ * one XHTML document per part and chapter, a navigation document and the
+ * shared stylesheet.
+ *
+ * @param {{title: string, toc: object[], sections: object[], diagrams: string[]}} book
+ * @param {{svgs: (string | null)[], author: string, date: string}} options
+ * @returns {Buffer}
+ */
+function renderEpub(book, { svgs, author, date }) {
+    const identifier = bookIdentifier(book.title);
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+    const documents = [
+        {
+            id: 'title',
+            body: `<section class="title-page"><h1>${escapeHtml(book.title)}</h1><p>${escapeHtml(author)} · ${escapeHtml(date)}</p></section>`,
+            title: book.title,
+        },
+        ...book.sections.map((section) => ({
+            id: section.id,
+            title: section.type === 'category' ? section.label : section.title,
+            body: rewriteLinks(fillDiagrams(renderSection(section), book.diagrams, svgs, 'diagram-source')),
+        })),
+    ].map((doc) => {
+        const body = toXhtml(doc.body);
+        return { ...doc, file: `${doc.id}.xhtml`, content: xhtmlPage(doc.title, body), svg: body.includes('<svg') };
+    });
+
+    const nav = xhtmlPage(
+        'Contents',
+        `<nav epub:type="toc" id="toc" class="toc"><h1>Contents</h1>${renderToc(book.toc, (id) => `${id}.xhtml`)}</nav>`,
+    );
+
+    const manifest = [
+        '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+        '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+        '<item id="style" href="style.css" media-type="text/css"/>',
+        ...documents.map(
+            (doc) =>
+                `<item id="${doc.id}" href="${doc.file}" media-type="application/xhtml+xml"${doc.svg ? ' properties="svg"' : ''}/>`,
+        ),
+    ];
+    const spine = documents.map((doc) => `<itemref idref="${doc.id}"/>`);
+    spine.splice(1, 0, '<itemref idref="nav"/>');
+
+    const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${identifier}</dc:identifier>
+<dc:title>${escapeHtml(book.title)}</dc:title>
+<dc:creator>${escapeHtml(author)}</dc:creator>
+<dc:language>en</dc:language>
+<dc:date>${date}</dc:date>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine toc="ncx">
+${spine.join('\n')}
+</spine>
+</package>
+`;
+
+    const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${identifier}"/></head>
+<docTitle><text>${escapeHtml(book.title)}</text></docTitle>
+<navMap>
+${renderNcx(book.toc)}
+</navMap>
+</ncx>
+`;
+
+    const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+    return createZip([
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        { name: 'META-INF/container.xml', data: container },
+        { name: 'OEBPS/content.opf', data: opf },
+        { name: 'OEBPS/toc.ncx', data: ncx },
+        { name: 'OEBPS/nav.xhtml', data: nav },
+        { name: 'OEBPS/style.css', data: readStyles() },
+        ...documents.map((doc) => ({ name: `OEBPS/${doc.file}`, data: doc.content })),
+    ]);
+}
+
+module.exports = {
+    renderEpub,
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./render');
+
+const DIAGRAM_PLACEHOLDER = /<div class="diagram" data-diagram="(\d+)"><\/div>/g;
+
+/** Book styles followed by the Prism theme used for code highlighting. */
+function readStyles() {
+    return [
+        fs.readFileSync(path.join(__dirname, 'book.css'), 'utf8'),
+        fs.readFileSync(require.resolve('prismjs/themes/prism.css'), 'utf8'),
+    ].join('\n');
+}
+
+function renderToc(entries, href) {
+    const items = entries.map(
+        (entry) =>
+            `<li><a href="${href(entry.id)}">${escapeHtml(entry.title)}</a>${
+                entry.children.length > 0 ? renderToc(entry.children, href) : ''
+            }</li>`,
+    );
+    return `<ol>${items.join('')}</ol>`;
+}
+
+/**
+ * Replaces the diagram placeholders of a chapter. Pre-rendered SVGs are
+ * inlined; otherwise the Mermaid source is kept, as a `.mermaid` block the
+ * runtime renders in a browser or as plain text for e-readers.
+ */
+function fillDiagrams(html, diagrams, svgs, fallbackClass) {
+    return html.replace(DIAGRAM_PLACEHOLDER, (_, index) => {
+        const svg = svgs[Number(index)];
+        const content = svg ?? `<pre class="${fallbackClass}">${escapeHtml(diagrams[Number(index)])}</pre>`;
+        return `<div class="diagram">${content}</div>`;
+    });
+}
+
+function renderSection(section) {
+    if (section.type === 'category') {
+        return `<section class="part" id="${section.id}"><h1>${escapeHtml(section.label)}</h1></section>`;
+    }
+    return `<section class="chapter" id="${section.id}">\n${section.html}</section>`;
+}
+
+/**
+ * Renders the book as one self-contained HTML file meant to be read offline or
+ * printed to PDF. Diagrams without a pre-rendered SVG are drawn by the Mermaid
+ * runtime, which is then inlined as well.
+ *
+ * @param {{title: string, toc: object[], sections: object[], diagrams: string[]}} book
+ * @param {{svgs: (string | null)[], author: string, date: string}} options
+ */
+function renderHtmlBook(book, { svgs, author, date }) {
+    const body = book.sections
+        .map((section) => renderSection(section))
+        .map((html) => fillDiagrams(html, book.diagrams, svgs, 'mermaid'))
+        .join('\n');
+    const needsRuntime = svgs.some((svg) => !svg);
+    const runtime = needsRuntime
+        ? `<script>${fs.readFileSync(require.resolve('mermaid/dist/mermaid.min.js'), 'utf8')}</script>
+<script>mermaid.initialize({ startOnLoad: true, theme: 'neutral' });</script>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="author" content="${escapeHtml(author)}">
+<title>${escapeHtml(book.title)}</title>
+<style>
+${readStyles()}
+</style>
+</head>
+<body>
+<section class="title-page">
+<h1>${escapeHtml(book.title)}</h1>
+<p>${escapeHtml(author)} · ${escapeHtml(date)}</p>
+</section>
+<nav class="toc">
+<h1>Contents</h1>
+${renderToc(book.toc, (id) => `#${id}`)}
+</nav>
+${body}
+${runtime}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderHtmlBook,
+    renderToc,
+    fillDiagrams,
+    renderSection,
+    readStyles,
+};
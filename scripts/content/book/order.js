@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { DOCS_DIR } = require('../topics');
+const { parseFrontMatter } = require('../lint');
+
+const NUMBER_PREFIX = /^(\d+)[-_.]/;
+const CONTENT_FILE = /\.mdx?$/;
+
+function prefixNumber(name) {
+    const match = name.match(NUMBER_PREFIX);
+    return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Sorts like Docusaurus' autogenerated sidebars: by position, items without
+ * one last, ties kept in file-system order.
+ */
+function sortByPosition(items) {
+    return items
+        .map((item, index) => ({ item, index }))
+        .sort(
+            (a, b) =>
+                (a.item.position ?? Infinity) - (b.item.position ?? Infinity) || a.index - b.index,
+        )
+        .map(({ item }) => item);
+}
+
+function readDoc(siteDir, file) {
+    const source = fs.readFileSync(path.join(siteDir, file), 'utf8');
+    const { data } = parseFrontMatter(source);
+    const name = path.posix.basename(file).replace(CONTENT_FILE, '');
+    const heading = source.match(/^#\s+(.+?)\s*#*\s*$/m);
+    return {
+        type: 'doc',
+        file,
+        source,
+        frontMatter: data,
+        title: data.title ?? heading?.[1] ?? name,
+        position: data.sidebar_position ?? prefixNumber(name),
+    };
+}
+
+function readCategory(siteDir, dir) {
+    const name = path.posix.basename(dir);
+    let category = {};
+    try {
+        category = JSON.parse(fs.readFileSync(path.join(siteDir, dir, '_category_.json'), 'utf8'));
+    } catch {
+        // No _category_.json: fall back to the folder name.
+    }
+    return {
+        type: 'category',
+        dir,
+        label: category.label ?? name.replace(NUMBER_PREFIX, ''),
+        position: category.position ?? prefixNumber(name),
+        items: readTree(siteDir, dir),
+    };
+}
+
+/** Mirrors the autogenerated sidebar of a docs folder as a tree of categories and docs. */
+function readTree(siteDir, dir) {
+    const items = fs
+        .readdirSync(path.join(siteDir, dir), { withFileTypes: true })
+        .filter((entry) => !entry.name.startsWith('_'))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap((entry) => {
+            const file = path.posix.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return [readCategory(siteDir, file)];
+            }
+            if (!CONTENT_FILE.test(entry.name)) {
+                return [];
+            }
+            const doc = readDoc(siteDir, file);
+            return doc.frontMatter.draft === true ? [] : [doc];
+        });
+    return sortByPosition(items);
+}
+
+/**
+ * Reads the docs in sidebar order. Only autogenerated sidebars (the setup of
+ * sidebars.js) are supported; hand-written items would need the docs plugin.
+ */
+function loadSidebarTree(siteDir) {
+    const sidebars = require(path.join(siteDir, 'sidebars.js'));
+    const [sidebar] = Object.values(sidebars);
+    return sidebar.flatMap((item) => {
+        if (item.type !== 'autogenerated') {
+            throw new Error(`export only supports autogenerated sidebars, found a "${item.type ?? item}" item`);
+        }
+        return readTree(siteDir, path.posix.join(DOCS_DIR, item.dirName));
+    });
+}
+
+module.exports = {
+    loadSidebarTree,
+};
@@ -0,0 +1,236 @@
+const path = require('path');
+const { Marked } = require('marked');
+const Prism = require('prismjs');
+const loadLanguages = require('prismjs/components/');
+const { createSlugger } = require('@docusaurus/utils');
+const { plainText } = require('../headings');
+const { parseFrontMatter } = require('../lint');
+const { hideSnippetLines } = require('../snippets');
+
+loadLanguages.silent = true;
+
+const FENCE = /^\s*(`{3,}|~{3,})/;
+const ADMONITION = /^\s*(:{3,})([a-z]*)\s*(.*)$/i;
+const COMPONENT = /^\s*<([A-Z]\w*)\b([^>]*?)\/>\s*$/;
+// `import X from '...'` of an MDX component used by the doc
+const MDX_IMPORT = /^import\s+\w+\s+from\s+(['"])[^'"]+\1;?\s*$/;
+// Components whose content is kept as it is, without the tags
+const WRAPPER_TAG = /^\s*<\/?SqlPlayground\b[^>]*(?<!\/)>\s*$/;
+const CONTENT_FILE = /\.mdx?$/;
+const NUMBER_PREFIX = /^\d+[-_.]/;
+const EXTERNAL = /^[a-z][a-z0-9+.-]*:/i;
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function grammarFor(language) {
+    if (!language) {
+        return null;
+    }
+    if (!Prism.languages[language]) {
+        loadLanguages([language]);
+    }
+    return Prism.languages[language] ?? null;
+}
+
+/** The URL path of a doc below /docs, as Docusaurus derives it from the file name. */
+function docUrlKey(doc) {
+    const { slug, id } = doc.frontMatter;
+    if (typeof slug === 'string' && slug.startsWith('/')) {
+        return slug.replace(/^\/+|\/+$/g, '');
+    }
+    const segments = doc.file
+        .replace(/^docs\//, '')
+        .replace(CONTENT_FILE, '')
+        .split('/')
+        .map((segment) => segment.replace(NUMBER_PREFIX, ''));
+    if (id) {
+        segments[segments.length - 1] = id;
+    }
+    return segments.join('/');
+}
+
+/**
+ * Rewrites links between docs into links inside the book. Both file links
+ * ("./02-indexes.md#b-tree") and URL links ("./indexes", "/docs/caching/intro")
+ * are understood. Links to docs left out of the export and other site links
+ * become absolute URLs; unresolvable relative links are dropped (their text is
+ * kept).
+ */
+function createLinkResolver(chapters, docs, siteUrl) {
+    const exported = new Map(chapters.map((chapter) => [chapter.file, chapter]));
+    const byFile = new Map(docs.map((doc) => [doc.file, doc]));
+    const byUrl = new Map(docs.map((doc) => [docUrlKey(doc), doc]));
+    const link = (doc, hash) => {
+        const chapter = exported.get(doc.file);
+        if (!chapter) {
+            return `${siteUrl}/docs/${docUrlKey(doc)}${hash ? `#${hash}` : ''}`;
+        }
+        return hash ? `#${chapter.id}--${hash}` : `#${chapter.id}`;
+    };
+
+    return (chapter, href) => {
+        if (EXTERNAL.test(href)) {
+            return href;
+        }
+        const [target, hash] = href.split('#');
+        if (!target) {
+            return link(chapter, hash);
+        }
+
+        let found;
+        if (CONTENT_FILE.test(target)) {
+            found = byFile.get(path.posix.join(path.posix.dirname(chapter.file), target));
+        } else if (/^\/docs(\/|$)/.test(target)) {
+            found = byUrl.get(target.replace(/^\/docs\/?/, '').replace(/\/$/, ''));
+        } else if (!target.startsWith('/')) {
+            const base = path.posix.dirname(docUrlKey(chapter));
+            found = byUrl.get(path.posix.join(base, target).replace(/\/$/, ''));
+        }
+
+        if (found) {
+            return link(found, hash);
+        }
+        return target.startsWith('/') ? `${siteUrl}${href}` : null;
+    };
+}
+
+function renderOutline(outline) {
+    return outline
+        .map((section) => {
+            const items = section.items.map((item) => `${'  '.repeat(item.depth)}- ${item.text}`);
+            const title = section.title ? [`**${section.title}**`, ''] : [];
+            return [...title, ...items, ''].join('\n');
+        })
+        .join('\n');
+}
+
+/**
+ * Turns Docusaurus-only syntax into plain Markdown/HTML: admonitions become
+ * <div class="admonition"> blocks, <SyllabusCoverage> becomes the syllabus
+ * list, the query of a <SqlPlayground> stays as a listing and other MDX
+ * components and their imports are left out.
+ */
+function preprocess(markdown, { marked, syllabi, warn }) {
+    const lines = [];
+    let fence = null;
+
+    markdown.split(/\r?\n/).forEach((line) => {
+        const fenceMatch = line.match(FENCE);
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (line.trim().startsWith(fence)) {
+                fence = null;
+            }
+            lines.push(line);
+            return;
+        }
+        if (fence) {
+            lines.push(line);
+            return;
+        }
+
+        const admonition = line.match(ADMONITION);
+        if (admonition) {
+            const [, , type, title] = admonition;
+            if (type) {
+                const label = title || type.charAt(0).toUpperCase() + type.slice(1);
+                lines.push(
+                    `<div class="admonition admonition-${type.toLowerCase()}">`,
+                    `<p class="admonition-title">${marked.parseInline(label)}</p>`,
+                    '',
+                );
+            } else {
+                lines.push('', '</div>', '');
+            }
+            return;
+        }
+
+        if (WRAPPER_TAG.test(line) || MDX_IMPORT.test(line)) {
+            return;
+        }
+
+        const component = line.match(COMPONENT);
+        if (component) {
+            const [, name, attributes] = component;
+            const topic = attributes.match(/topic="([^"]+)"/)?.[1];
+            if (name === 'SyllabusCoverage' && syllabi.has(topic)) {
+                lines.push(renderOutline(syllabi.get(topic)));
+            } else if (name !== 'ContentStats') {
+                warn(`<${name}> is not supported in exports and was left out`);
+            }
+            return;
+        }
+
+        lines.push(line);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Creates the function that renders one chapter to HTML. Heading ids are
+ * prefixed with the chapter id so they stay unique in the whole book, and
+ * Mermaid blocks become `<div class="diagram" data-diagram="n">` placeholders
+ * whose sources are collected in `diagrams`.
+ *
+ * @param {{chapters: object[], docs: object[], siteUrl: string, syllabi: Map<string, object[]>, diagrams: string[], warn: (message: string) => void}} options
+ */
+function createChapterRenderer({ chapters, docs, siteUrl, syllabi, diagrams, warn }) {
+    const resolveLink = createLinkResolver(chapters, docs, siteUrl);
+
+    return (chapter) => {
+        const slugger = createSlugger();
+        const chapterWarn = (message) => warn(`${chapter.file}: ${message}`);
+        const marked = new Marked({
+            renderer: {
+                heading({ tokens, depth, text }) {
+                    const id = `${chapter.id}--${slugger.slug(plainText(text))}`;
+                    return `<h${depth} id="${id}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+                },
+                link({ href, title, tokens }) {
+                    const content = this.parser.parseInline(tokens);
+                    const target = resolveLink(chapter, href);
+                    if (target === null) {
+                        chapterWarn(`link "${href}" does not point to a doc and was removed`);
+                        return content;
+                    }
+                    const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+                    return `<a href="${escapeHtml(target)}"${titleAttribute}>${content}</a>`;
+                },
+                code({ text, lang }) {
+                    const language = (lang ?? '').split(/\s/)[0].toLowerCase();
+                    if (language === 'mermaid') {
+                        diagrams.push(text);
+                        return `<div class="diagram" data-diagram="${diagrams.length - 1}"></div>\n`;
+                    }
+                    const grammar = grammarFor(language);
+                    const className = `language-${grammar ? language : 'text'}`;
+                    const source = language === 'java' ? hideSnippetLines(text) : text;
+                    const code = grammar ? Prism.highlight(source, grammar, language) : escapeHtml(source);
+                    return `<pre class="${className}"><code class="${className}">${code}</code></pre>\n`;
+                },
+            },
+        });
+
+        const { bodyLine } = parseFrontMatter(chapter.source);
+        const body = chapter.source.split(/\r?\n/).slice(bodyLine - 1).join('\n');
+        const markdown = preprocess(body, { marked, syllabi, warn: chapterWarn });
+        // Docusaurus shows the front matter title when the doc has no # heading.
+        const title = markdown.trimStart().startsWith('# ')
+            ? ''
+            : `<h1 id="${chapter.id}--title">${escapeHtml(chapter.title)}</h1>\n`;
+        return `${title}${marked.parse(markdown)}`;
+    };
+}
+
+module.exports = {
+    createChapterRenderer,
+    escapeHtml,
+};
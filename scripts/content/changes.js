@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const { formatDiff } = require('./diff');
+
+function readIfExists(filePath) {
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+/**
+ * Describes writing `content` to a file relative to the site directory.
+ * Returns null when the file already has exactly that content.
+ */
+function planWrite(siteDir, relativePath, content) {
+    const before = readIfExists(path.join(siteDir, relativePath));
+    if (before === content) {
+        return null;
+    }
+    return { path: relativePath, before, after: content };
+}
+
+/**
+ * Prints every planned change as a diff and writes it unless `dryRun` is set.
+ */
+function applyChanges(siteDir, changes, { dryRun = false, quiet = false } = {}) {
+    changes.forEach((change) => {
+        if (!quiet) {
+            console.log(formatDiff(change.path, change.before, change.after));
+            console.log();
+        }
+        if (!dryRun) {
+            const filePath = path.join(siteDir, change.path);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, change.after);
+        }
+    });
+
+    const verb = dryRun ? 'Would update' : 'Updated';
+    console.log(
+        changes.length === 0
+            ? 'Everything is up to date.'
+            : `${verb} ${changes.length} file${changes.length === 1 ? '' : 's'}.`,
+    );
+}
+
+module.exports = {
+    readIfExists,
+    planWrite,
+    applyChanges,
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { loadTopics, SYLLABUS_FILE } = require('../syllabus');
+const { DOCS_DIR, listChapters } = require('../topics');
+const { planSync } = require('./sync');
+const loadPortfolio = require('../../../plugins/portfolio/loadPortfolio');
+const { parseRepo, loadRepositories, findMissing } = require('../../../plugins/portfolio/github');
+
+const PORTFOLIO_FILE = 'data/portfolio.yml';
+const GITHUB_SNAPSHOT_FILE = 'data/github-projects.json';
+const GITHUB_MOCK_FILE = 'plugins/portfolio/github.mock.json';
+
+/**
+ * The homepage data must load, and every project repository must have GitHub
+ * metadata in the mock (builds with GITHUB_METADATA=mock) and, ideally, in the
+ * committed snapshot that builds read by default.
+ */
+async function checkPortfolio(siteDir, errors, warnings) {
+    let portfolio;
+    try {
+        portfolio = loadPortfolio(path.join(siteDir, PORTFOLIO_FILE));
+    } catch (err) {
+        errors.push(`${PORTFOLIO_FILE}: ${err.message}`);
+        return;
+    }
+    const repos = portfolio.projects.map((project) => parseRepo(project.github)).filter(Boolean);
+    const options = {
+        snapshotFile: path.join(siteDir, GITHUB_SNAPSHOT_FILE),
+        mockFile: path.join(siteDir, GITHUB_MOCK_FILE),
+        warn: (message) => warnings.push(message),
+    };
+
+    const mocked = await loadRepositories(repos, { ...options, mode: 'mock' });
+    findMissing(repos, mocked).forEach((repo) => errors.push(`${GITHUB_MOCK_FILE} has no metadata for ${repo}`));
+
+    const snapshot = await loadRepositories(repos, { ...options, mode: 'snapshot' });
+    findMissing(repos, snapshot).forEach((repo) =>
+        warnings.push(`${GITHUB_SNAPSHOT_FILE} has no metadata for ${repo}, run "github-snapshot"`),
+    );
+}
+
+/**
+ * Read-only consistency check of the docs tree against data/syllabus.yml and
+ * of the homepage data. Exits with a non-zero code when something needs fixing.
+ */
+module.exports = {
+    usage: 'check',
+    description: 'Verify the docs tree matches the syllabus and the homepage data loads, without changing anything',
+    options: {},
+
+    async run(siteDir) {
+        const errors = [];
+        const warnings = [];
+        const topics = loadTopics(siteDir);
+        const listed = new Set(topics.map((topic) => topic.dir));
+
+        fs.readdirSync(path.join(siteDir, DOCS_DIR), { withFileTypes: true })
+            .filter((entry) => entry.isDirectory() && !listed.has(entry.name))
+            .forEach((entry) => errors.push(`${DOCS_DIR}/${entry.name} is not listed in ${SYLLABUS_FILE}`));
+
+        const { changes, notices } = planSync(siteDir, topics);
+        changes.forEach((change) => errors.push(`${change.path} is out of date, run "sync"`));
+        warnings.push(...notices);
+
+        const positions = new Map();
+        topics.forEach((topic) => {
+            if (positions.has(topic.position)) {
+                errors.push(`${topic.dir} and ${positions.get(topic.position)} share position ${topic.position}`);
+            }
+            positions.set(topic.position, topic.dir);
+
+            const chapters = listChapters(siteDir, topic);
+            chapters.forEach((chapter, index) => {
+                const file = `${DOCS_DIR}/${topic.dir}/${chapter.file}`;
+                if (index > 0 && chapters[index - 1].number === chapter.number) {
+                    errors.push(`${file} reuses chapter number ${chapter.number}`);
+                }
+                const source = fs.readFileSync(path.join(siteDir, file), 'utf8');
+                const position = source.match(/^sidebar_position:\s*(\d+)/m);
+                if (position && Number(position[1]) !== chapter.number) {
+                    warnings.push(`${file} has sidebar_position ${position[1]} but file number ${chapter.number}`);
+                }
+            });
+        });
+
+        await checkPortfolio(siteDir, errors, warnings);
+
+        warnings.forEach((warning) => console.log(`warning: ${warning}`));
+        errors.forEach((error) => console.error(`error: ${error}`));
+        console.log(`\n${errors.length} error(s), ${warnings.length} warning(s).`);
+        if (errors.length > 0) {
+            process.exitCode = 1;
+        }
+    },
+};
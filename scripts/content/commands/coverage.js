@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { loadTopics } = require('../syllabus');
+const { topicPaths, selectTopics, listChapters } = require('../topics');
+const { computeCoverage } = require('../coverage');
+const { readIfExists } = require('../changes');
+
+const BASELINE_FILE = 'data/syllabus-coverage.json';
+
+function topicCoverage(siteDir, topic) {
+    const { dir } = topicPaths(topic);
+    const chapters = listChapters(siteDir, topic)
+        .filter((chapter) => chapter.number > 1)
+        .map((chapter) => {
+            const file = path.join(dir, chapter.file);
+            return { file, link: file, markdown: fs.readFileSync(path.join(siteDir, file), 'utf8') };
+        });
+    return computeCoverage(topic, chapters);
+}
+
+function printMissing(coverage) {
+    coverage.sections.forEach((section) => {
+        section.items
+            .filter((item) => !item.match)
+            .forEach((item) => console.log(`      - ${section.title ? `${section.title}: ` : ''}${item.text}`));
+    });
+}
+
+/**
+ * Reports how much of each topic's syllabus is covered by chapter headings and
+ * fails when a topic drops below --min or below the committed baseline.
+ */
+module.exports = {
+    usage: 'coverage [topic...] [--min <percent>] [--verbose] [--update-baseline]',
+    description: `Report syllabus coverage and fail if it drops below --min or ${BASELINE_FILE}`,
+    options: {
+        min: { type: 'string', default: '0' },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        'update-baseline': { type: 'boolean', default: false },
+    },
+
+    run(siteDir, names, options) {
+        const min = Number(options.min);
+        if (!Number.isFinite(min) || min < 0 || min > 100) {
+            throw new Error(`--min must be a percentage between 0 and 100, got "${options.min}"`);
+        }
+
+        const baselinePath = path.join(siteDir, BASELINE_FILE);
+        const baselineSource = readIfExists(baselinePath);
+        const baseline = baselineSource ? JSON.parse(baselineSource) : {};
+        const errors = [];
+        const results = {};
+
+        selectTopics(loadTopics(siteDir), names).forEach((topic) => {
+            const coverage = topicCoverage(siteDir, topic);
+            results[topic.dir] = coverage.percent;
+
+            const previous = baseline[topic.dir];
+            const delta = previous === undefined ? '' : ` (baseline ${previous}%)`;
+            console.log(
+                `${String(coverage.percent).padStart(3)}%  ${topic.dir}  ${coverage.covered}/${coverage.total}${delta}`,
+            );
+            if (options.verbose) {
+                printMissing(coverage);
+            }
+
+            if (coverage.percent < min) {
+                errors.push(`${topic.dir} coverage ${coverage.percent}% is below the minimum of ${min}%`);
+            }
+            if (!options['update-baseline'] && previous !== undefined && coverage.percent < previous) {
+                errors.push(`${topic.dir} coverage dropped from ${previous}% to ${coverage.percent}%`);
+            }
+        });
+
+        if (options['update-baseline']) {
+            const updated = { ...baseline, ...results };
+            const sorted = Object.fromEntries(Object.keys(updated).sort().map((dir) => [dir, updated[dir]]));
+            fs.writeFileSync(baselinePath, `${JSON.stringify(sorted, null, 2)}\n`);
+            console.log(`\nWrote ${BASELINE_FILE}.`);
+        }
+
+        errors.forEach((error) => console.error(`error: ${error}`));
+        if (errors.length > 0) {
+            process.exitCode = 1;
+        }
+    },
+};
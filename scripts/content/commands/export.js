@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { loadTopics } = require('../syllabus');
+const { selectTopics } = require('../topics');
+const { loadBook } = require('../book/book');
+const { renderHtmlBook } = require('../book/html');
+const { renderEpub } = require('../book/epub');
+const { loadPuppeteer, withPage, renderDiagrams, printPdf } = require('../book/browser');
+
+const FORMATS = ['html', 'epub', 'pdf'];
+
+function readSiteConfig(siteDir) {
+    const config = require(path.join(siteDir, 'docusaurus.config.js'));
+    const author = config.themeConfig?.metadata?.find((meta) => meta.name === 'author')?.content;
+    return { url: config.url, author: author ?? config.title };
+}
+
+function baseName(topics) {
+    if (!topics) {
+        return 'cs-fundamentals-wiki';
+    }
+    if (topics.length === 1) {
+        return topics[0].dir;
+    }
+    return `topics-${topics.map((topic) => topic.dir.split('-')[0]).join('-')}`;
+}
+
+/**
+ * Exports the whole wiki, or the given topics, as an offline book: a
+ * self-contained HTML file, an EPUB and (with Puppeteer installed) a PDF, in
+ * sidebar order with a table of contents and working cross-links.
+ */
+module.exports = {
+    usage: 'export [topic...] [--format html,epub,pdf] [--out <dir>]',
+    description: 'Export the wiki or selected topics as an offline HTML/PDF book and EPUB',
+    options: {
+        format: { type: 'string', short: 'f', default: 'html,epub' },
+        out: { type: 'string', short: 'o', default: 'export' },
+    },
+
+    async run(siteDir, names, options) {
+        const formats = [...new Set(options.format.split(',').map((format) => format.trim()))];
+        const unknown = formats.filter((format) => !FORMATS.includes(format));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown format "${unknown.join(', ')}". Supported formats: ${FORMATS.join(', ')}`);
+        }
+
+        const puppeteer = loadPuppeteer();
+        if (formats.includes('pdf') && !puppeteer) {
+            throw new Error('PDF export needs Puppeteer: run `npm install --no-save puppeteer` and try again');
+        }
+
+        const site = readSiteConfig(siteDir);
+        const topics = names.length > 0 ? selectTopics(loadTopics(siteDir), names) : null;
+        const warnings = [];
+        const book = loadBook(siteDir, { topics, siteUrl: site.url, warn: (message) => warnings.push(message) });
+        const date = new Date().toISOString().slice(0, 10);
+
+        const outDir = path.resolve(siteDir, options.out);
+        const base = path.join(outDir, baseName(topics));
+        const written = [];
+        fs.mkdirSync(outDir, { recursive: true });
+
+        const write = (svgs, page) => {
+            const html = renderHtmlBook(book, { svgs, author: site.author, date });
+            if (formats.includes('html')) {
+                fs.writeFileSync(`${base}.html`, html);
+                written.push(`${base}.html`);
+            }
+            if (formats.includes('epub')) {
+                fs.writeFileSync(`${base}.epub`, renderEpub(book, { svgs, author: site.author, date }));
+                written.push(`${base}.epub`);
+            }
+            if (page && formats.includes('pdf')) {
+                return printPdf(page, html, `${base}.pdf`).then(() => written.push(`${base}.pdf`));
+            }
+            return undefined;
+        };
+
+        if (puppeteer) {
+            await withPage(puppeteer, async (page) => {
+                const svgs = await renderDiagrams(page, book.diagrams);
+                svgs.forEach((svg, index) => {
+                    if (!svg) {
+                        warnings.push(`diagram ${index + 1} could not be rendered and is kept as Mermaid source`);
+                    }
+                });
+                await write(svgs, page);
+            });
+        } else {
+            if (book.diagrams.length > 0 && formats.includes('epub')) {
+                warnings.push(
+                    `${book.diagrams.length} Mermaid diagram(s) are kept as source in the EPUB; ` +
+                        'install Puppeteer (`npm install --no-save puppeteer`) to render them',
+                );
+            }
+            write(book.diagrams.map(() => null));
+        }
+
+        warnings.forEach((warning) => console.warn(`warning: ${warning}`));
+        written.forEach((file) => console.log(`Wrote ${path.relative(siteDir, file)}`));
+    },
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const loadPortfolio = require('../../../plugins/portfolio/loadPortfolio');
+const { parseRepo, fetchRepository } = require('../../../plugins/portfolio/github');
+
+const SNAPSHOT_FILE = 'data/github-projects.json';
+
+/**
+ * Refreshes the committed snapshot of GitHub metadata (stars, languages, last
+ * commit, README excerpt) shown on the homepage project cards.
+ */
+module.exports = {
+    usage: 'github-snapshot [--data <file>]',
+    description: `Fetch GitHub metadata of the homepage projects into ${SNAPSHOT_FILE}`,
+    options: {
+        data: { type: 'string', default: 'data/portfolio.yml' },
+    },
+
+    async run(siteDir, positionals, options) {
+        const { projects } = loadPortfolio(path.resolve(siteDir, options.data));
+        const repos = [...new Set(projects.map((project) => parseRepo(project.github)).filter(Boolean))].sort();
+        const token = process.env.GITHUB_TOKEN;
+
+        const repositories = {};
+        for (const repo of repos) {
+            repositories[repo] = await fetchRepository(repo, { token });
+            console.log(`${repo}: ${repositories[repo].stars} stars`);
+        }
+
+        const snapshot = { fetchedAt: new Date().toISOString(), repositories };
+        fs.writeFileSync(path.join(siteDir, SNAPSHOT_FILE), `${JSON.stringify(snapshot, null, 2)}\n`);
+        console.log(`\nWrote ${SNAPSHOT_FILE} (${repos.length} repositories).`);
+    },
+};
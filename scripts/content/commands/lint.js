@@ -0,0 +1,28 @@
+const { lintContent, formatIssue } = require('../lint');
+
+/**
+ * Validates front matter, blog authors/tags and admonitions of all docs and
+ * blog posts. The content-lint plugin runs the same checks during the build.
+ */
+module.exports = {
+    usage: 'lint [--quiet]',
+    description: 'Validate front matter, blog authors/tags and admonitions of docs and blog posts',
+    options: {
+        quiet: { type: 'boolean', short: 'q', default: false },
+    },
+
+    run(siteDir, positionals, options) {
+        const issues = lintContent(siteDir);
+        const errors = issues.filter((issue) => issue.severity === 'error');
+        const warnings = issues.filter((issue) => issue.severity === 'warning');
+
+        if (!options.quiet) {
+            warnings.forEach((issue) => console.log(formatIssue(issue)));
+        }
+        errors.forEach((issue) => console.error(formatIssue(issue)));
+        console.log(`\n${errors.length} error(s), ${warnings.length} warning(s).`);
+        if (errors.length > 0) {
+            process.exitCode = 1;
+        }
+    },
+};
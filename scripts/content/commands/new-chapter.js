@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { loadTopics } = require('../syllabus');
+const { topicPaths, selectTopics, listChapters } = require('../topics');
+const { planWrite, applyChanges } = require('../changes');
+const { renderChapter } = require('../templates');
+
+function slugify(title) {
+    return title
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Chapters number their titles either like the file ("05-x.md" -> "5. X") or
+ * one less because 01-intro.md is not counted ("05-x.md" -> "4. X"). Follow
+ * whatever the last existing chapter of the topic does.
+ */
+function titleOffset(siteDir, topic, chapters) {
+    const last = [...chapters].reverse().find((chapter) => chapter.number > 1);
+    if (!last) {
+        return 0;
+    }
+    const source = fs.readFileSync(path.join(siteDir, topicPaths(topic).dir, last.file), 'utf8');
+    const title = source.match(/^title:\s*["']?(\d+)\./m);
+    return title ? last.number - Number(title[1]) : 0;
+}
+
+module.exports = {
+    usage: 'new-chapter <topic> <title> --description <text> [--slug <slug>] [--dry-run]',
+    description: 'Create the next numbered chapter file of a topic with front matter and section skeleton',
+    options: {
+        slug: { type: 'string' },
+        description: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+    },
+
+    run(siteDir, [topicName, ...titleWords], options) {
+        const title = titleWords.join(' ').trim();
+        if (!topicName || !title) {
+            throw new Error(`Usage: content ${module.exports.usage}`);
+        }
+        // The linter fails the build on a chapter without a description.
+        const description = options.description?.trim();
+        if (!description) {
+            throw new Error(`--description is required. Usage: content ${module.exports.usage}`);
+        }
+
+        const [topic] = selectTopics(loadTopics(siteDir), [topicName]);
+        const chapters = listChapters(siteDir, topic);
+        const number = Math.max(1, ...chapters.map((chapter) => chapter.number)) + 1;
+        const slug = options.slug ?? slugify(title);
+
+        if (chapters.some((chapter) => chapter.slug === slug)) {
+            throw new Error(`${topic.dir} already has a chapter with slug "${slug}".`);
+        }
+
+        const file = path.join(topicPaths(topic).dir, `${String(number).padStart(2, '0')}-${slug}.md`);
+        const content = renderChapter({
+            title,
+            number: number - titleOffset(siteDir, topic, chapters),
+            position: number,
+            description,
+        });
+
+        applyChanges(siteDir, [planWrite(siteDir, file, content)], { dryRun: options['dry-run'] });
+    },
+};
@@ -0,0 +1,46 @@
+const { findDocsContent, planRedirects, writeRedirects } = require('../../../plugins/doc-redirects');
+
+// Loads the site's plugins (no bundling) to get the docs' URLs as the build sees them.
+async function loadDocsContent(siteDir) {
+    const { loadSite } = require('@docusaurus/core/lib/server/site');
+    const { props } = await loadSite({ siteDir });
+    const allContent = {};
+    props.plugins.forEach((plugin) => {
+        allContent[plugin.name] = { ...allContent[plugin.name], [plugin.options.id]: plugin.content };
+    });
+    return { baseUrl: props.baseUrl, docsContent: findDocsContent(allContent) };
+}
+
+/**
+ * Records the URL of every doc in data/doc-slugs.json and adds redirects for
+ * docs that moved since it was last committed to data/redirects.json (see
+ * plugins/doc-redirects). Builds only warn when these files are out of date.
+ */
+module.exports = {
+    usage: 'redirects [--check]',
+    description: 'Update data/doc-slugs.json and add redirects for moved docs to data/redirects.json',
+    options: {
+        check: { type: 'boolean', default: false },
+    },
+
+    async run(siteDir, positionals, options) {
+        const plan = planRedirects(siteDir, await loadDocsContent(siteDir));
+
+        plan.added.forEach(({ from, to }) => console.log(`${from} -> ${to}`));
+        plan.lost.forEach(({ source, url }) =>
+            console.warn(`warning: ${source} (${url}) was removed and no new file was found; add a redirect by hand`),
+        );
+        if (plan.stale.length === 0) {
+            console.log('\nRedirects are up to date.');
+            return;
+        }
+        if (options.check) {
+            const verb = plan.stale.length === 1 ? 'is' : 'are';
+            console.error(`\n${plan.stale.join(' and ')} ${verb} out of date; run "npm run content -- redirects".`);
+            process.exitCode = 1;
+            return;
+        }
+        writeRedirects(siteDir, plan);
+        console.log(`\nUpdated ${plan.stale.join(' and ')}; commit with the docs that moved.`);
+    },
+};
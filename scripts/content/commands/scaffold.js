@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const { loadTopics } = require('../syllabus');
+const { topicPaths, selectTopics } = require('../topics');
+const { planWrite, applyChanges } = require('../changes');
+const { renderCategory, renderIntro } = require('../templates');
+
+/**
+ * Creates the directory, _category_.json and 01-intro.md of every topic that
+ * does not have them yet. Existing files are never touched.
+ */
+module.exports = {
+    usage: 'scaffold [topic...] [--dry-run]',
+    description: 'Create missing topic directories, _category_.json and 01-intro.md files',
+    options: {
+        'dry-run': { type: 'boolean', default: false },
+    },
+
+    run(siteDir, topicNames, options) {
+        const topics = selectTopics(loadTopics(siteDir), topicNames);
+        const changes = [];
+
+        topics.forEach((topic) => {
+            const paths = topicPaths(topic);
+            if (!fs.existsSync(path.join(siteDir, paths.category))) {
+                changes.push(planWrite(siteDir, paths.category, renderCategory(topic)));
+            }
+            if (!fs.existsSync(path.join(siteDir, paths.intro))) {
+                changes.push(planWrite(siteDir, paths.intro, renderIntro(topic)));
+            }
+        });
+
+        applyChanges(siteDir, changes, { dryRun: options['dry-run'] });
+    },
+};
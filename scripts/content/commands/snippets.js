@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadTopics } = require('../syllabus');
+const { selectTopics } = require('../topics');
+const { wrapSnippet, collectSnippets, parseJavacOutput } = require('../snippets');
+
+function findJavac(explicit) {
+    const javac = explicit ?? (process.env.JAVA_HOME ? path.join(process.env.JAVA_HOME, 'bin', 'javac') : 'javac');
+    const result = spawnSync(javac, ['-version'], { encoding: 'utf8' });
+    if (result.error || result.status !== 0) {
+        throw new Error(`javac not found (tried "${javac}"): install a JDK 21, set JAVA_HOME or pass --javac <path>`);
+    }
+    return javac;
+}
+
+const quote = (arg) => `"${arg.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Compiles the files in one javac run. javac stops before type checking when a
+ * file does not parse, so files with errors are dropped and the rest compiled
+ * again until they all compile.
+ */
+function compile(javac, files, args, workDir) {
+    const errors = [];
+    let remaining = files;
+    while (remaining.length > 0) {
+        const argFile = path.join(workDir, 'javac-args.txt');
+        fs.writeFileSync(argFile, [...args, ...remaining].map(quote).join('\n'));
+        const result = spawnSync(javac, [`@${argFile}`], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+        if (result.status === 0) {
+            break;
+        }
+        const found = parseJavacOutput(`${result.stdout}\n${result.stderr}`);
+        if (found.length === 0) {
+            throw new Error(`javac failed:\n${result.stderr || result.stdout}`);
+        }
+        errors.push(...found);
+        const failed = new Set(found.map((error) => path.resolve(error.path)));
+        remaining = remaining.filter((file) => !failed.has(file));
+    }
+    return errors;
+}
+
+/**
+ * Compiles the Java snippets of the docs with a local JDK and reports the
+ * errors at their line in the Markdown file. Only snippets opted in with
+ * `compile` in their meta (```java compile) or with `// snippet:` lines are
+ * compiled, unless --all is given; `nocompile` skips a snippet either way.
+ * Versioned docs compile against the Java release they target.
+ */
+module.exports = {
+    usage: 'snippets [topic...] [--all] [--javac <path>] [--classpath <path>] [--keep]',
+    description: 'Compile the Java snippets of the docs with javac and report errors as file:line',
+    options: {
+        all: { type: 'boolean', default: false },
+        javac: { type: 'string' },
+        classpath: { type: 'string', short: 'c' },
+        keep: { type: 'boolean', default: false },
+    },
+
+    run(siteDir, names, options) {
+        const topics = names.length > 0 ? selectTopics(loadTopics(siteDir), names) : null;
+        const snippets = collectSnippets(siteDir, { topics, all: options.all });
+        if (snippets.length === 0) {
+            console.log('No snippets to compile: add `compile` to the meta of a ```java block, or run with --all.');
+            return;
+        }
+
+        const javac = findJavac(options.javac);
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'java-snippets-'));
+        const problems = [];
+
+        const byPath = new Map();
+        snippets.forEach((snippet, index) => {
+            try {
+                const wrapped = wrapSnippet(snippet.block, `snippets.s${index}`);
+                const file = path.join(workDir, 'src', 'snippets', `s${index}`, wrapped.file);
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.writeFileSync(file, wrapped.source);
+                byPath.set(file, snippet);
+            } catch (err) {
+                problems.push({ file: snippet.file, line: snippet.line - 1, message: err.message });
+            }
+        });
+
+        const releases = [...new Set(snippets.map((snippet) => snippet.release))];
+        try {
+            releases.forEach((release) => {
+                const files = [...byPath].filter(([, snippet]) => snippet.release === release).map(([file]) => file);
+                const args = ['-d', path.join(workDir, 'classes', release), '--release', release, '-encoding', 'UTF-8', '-proc:none', '-nowarn', '-Xmaxerrs', '100000'];
+                if (options.classpath) {
+                    args.push('-cp', options.classpath);
+                }
+                compile(javac, files, args, workDir).forEach((error) => {
+                    const snippet = byPath.get(path.resolve(error.path));
+                    if (!snippet) {
+                        problems.push({ file: error.path, line: error.line, message: error.message });
+                        return;
+                    }
+                    const lastLine = snippet.line + snippet.block.code.split('\n').length - 1;
+                    // Line 1 of the generated file is the wrapper; line n + 1 is snippet line n.
+                    const line = Math.min(Math.max(snippet.line + error.line - 2, snippet.line), lastLine);
+                    problems.push({ file: snippet.file, line, message: error.message });
+                });
+            });
+        } finally {
+            if (!options.keep) {
+                fs.rmSync(workDir, { recursive: true, force: true });
+            }
+        }
+
+        problems
+            .sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line)
+            .forEach((problem) => console.error(`${problem.file}:${problem.line} error: ${problem.message}`));
+
+        console.log(`\n${snippets.length} snippet(s) compiled with ${releases.map((release) => `Java ${release}`).join(' and ')}, ${problems.length} error(s).`);
+        if (options.keep) {
+            console.log(`Generated sources kept in ${workDir}`);
+        }
+        if (problems.length > 0) {
+            process.exitCode = 1;
+        }
+    },
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { loadTopics } = require('../syllabus');
+const { topicPaths, selectTopics } = require('../topics');
+const { readIfExists, planWrite, applyChanges } = require('../changes');
+const { replaceRegion } = require('../regions');
+const { renderCategory, renderSyllabusRegion } = require('../templates');
+
+/**
+ * Computes the changes needed to bring the given topics in line with
+ * data/syllabus.yml. Returns the planned file changes and a list of notices
+ * about files that were left alone.
+ */
+function planSync(siteDir, topics) {
+    const changes = [];
+    const notices = [];
+
+    topics.forEach((topic) => {
+        const paths = topicPaths(topic);
+        if (!fs.existsSync(path.join(siteDir, paths.dir))) {
+            notices.push(`${paths.dir} does not exist yet, run "scaffold" first.`);
+            return;
+        }
+
+        const category = readIfExists(path.join(siteDir, paths.category));
+        changes.push(planWrite(siteDir, paths.category, renderCategory(topic, category ? JSON.parse(category) : {})));
+
+        const intro = readIfExists(path.join(siteDir, paths.intro));
+        if (intro === null) {
+            notices.push(`${paths.intro} does not exist yet, run "scaffold" first.`);
+            return;
+        }
+        const updated = replaceRegion(intro, 'syllabus', renderSyllabusRegion(topic));
+        if (updated === null) {
+            notices.push(`${paths.intro} has no "syllabus" generated region, left as hand-written.`);
+        } else {
+            changes.push(planWrite(siteDir, paths.intro, updated));
+        }
+    });
+
+    return { changes: changes.filter(Boolean), notices };
+}
+
+module.exports = {
+    usage: 'sync [topic...] [--dry-run]',
+    description: 'Update _category_.json files and generated regions of 01-intro.md from the syllabus',
+    options: {
+        'dry-run': { type: 'boolean', default: false },
+    },
+    planSync,
+
+    run(siteDir, topicNames, options) {
+        const topics = selectTopics(loadTopics(siteDir), topicNames);
+        const { changes, notices } = planSync(siteDir, topics);
+
+        notices.forEach((notice) => console.log(`note: ${notice}`));
+        if (notices.length > 0) {
+            console.log();
+        }
+        applyChanges(siteDir, changes, { dryRun: options['dry-run'] });
+    },
+};
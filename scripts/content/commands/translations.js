@@ -0,0 +1,83 @@
+const { readLocales, translationStatus, stampTranslation } = require('../translations');
+
+function selectLocales(siteDir, names) {
+    const locales = readLocales(siteDir);
+    const unknown = names.filter((name) => !locales.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown locale(s): ${unknown.join(', ')}. Configured: ${locales.join(', ') || 'none'}`);
+    }
+    return names.length > 0 ? names : locales;
+}
+
+// "docs/08-caching/02-x.md" -> "08-caching"; versioned docs are grouped by version.
+function groupOf(source) {
+    const parts = source.split('/');
+    return parts[0] === 'docs' ? (parts.length > 2 ? parts[1] : 'docs') : parts.slice(0, 2).join('/');
+}
+
+function printLocale(locale, docs, verbose) {
+    const count = (status) => docs.filter((doc) => doc.status === status).length;
+    console.log(
+        `${locale}  ${count('translated')}/${docs.length} translated, ${count('outdated')} outdated, ${count('untranslated')} untranslated`,
+    );
+
+    const groups = new Map();
+    docs.forEach((doc) => {
+        const group = groups.get(groupOf(doc.source)) ?? [];
+        groups.set(groupOf(doc.source), [...group, doc]);
+    });
+    groups.forEach((group, name) => {
+        const done = group.filter((doc) => doc.status === 'translated').length;
+        console.log(`    ${String(done).padStart(3)}/${String(group.length).padEnd(3)} ${name}`);
+    });
+
+    docs.filter((doc) => doc.status === 'outdated').forEach((doc) => {
+        const from = doc.translatedHash ? `translated from ${doc.translatedHash}` : 'no source_hash';
+        console.log(`  outdated      ${doc.translation} (${from}, ${doc.source} is now ${doc.hash})`);
+    });
+    if (verbose) {
+        docs.filter((doc) => doc.status === 'untranslated').forEach((doc) => {
+            console.log(`  untranslated  ${doc.source}`);
+        });
+    }
+}
+
+/**
+ * Reports, per locale, which docs are translated, which translations are
+ * outdated (their English source changed since they were made, going by the
+ * `source_hash` in their front matter) and which are still served in English.
+ */
+module.exports = {
+    usage: 'translations [locale...] [--verbose] [--check] [--stamp <doc>]',
+    description: 'Report untranslated and outdated translations of the docs; --stamp marks a translation as up to date',
+    options: {
+        verbose: { type: 'boolean', short: 'v', default: false },
+        check: { type: 'boolean', default: false },
+        stamp: { type: 'string', multiple: true, default: [] },
+    },
+
+    run(siteDir, names, options) {
+        const locales = selectLocales(siteDir, names);
+
+        if (options.stamp.length > 0) {
+            locales.forEach((locale) => {
+                options.stamp.forEach((source) => {
+                    console.log(`Stamped ${stampTranslation(siteDir, locale, source)}`);
+                });
+            });
+            return;
+        }
+
+        let outdated = 0;
+        locales.forEach((locale) => {
+            const docs = translationStatus(siteDir, locale);
+            outdated += docs.filter((doc) => doc.status === 'outdated').length;
+            printLocale(locale, docs, options.verbose);
+        });
+
+        if (options.check && outdated > 0) {
+            console.error(`error: ${outdated} outdated translation(s)`);
+            process.exitCode = 1;
+        }
+    },
+};
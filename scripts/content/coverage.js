@@ -0,0 +1,122 @@
+const { parseOutline } = require('./syllabus');
+const { extractHeadings } = require('./headings');
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'basic', 'basics', 'by', 'for', 'from', 'how', 'in', 'into',
+    'is', 'it', 'its', 'of', 'on', 'or', 'the', 'to', 'use', 'using', 'vs', 'what', 'when', 'which',
+    'why', 'with',
+]);
+
+// Only ## to #### headings are treated as sections a syllabus item can point
+// at; interview question headings ("### Q3: ...") are not.
+const MIN_LEVEL = 2;
+const MAX_LEVEL = 4;
+const QUESTION_HEADING = /^Q\d+[:.]/;
+
+function stem(word) {
+    if (word.length <= 3) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (/(ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+function tokenize(text) {
+    const words = text
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .split(/[^a-z0-9+#]+/)
+        .filter((word) => word && !STOP_WORDS.has(word));
+    return [...new Set(words.map(stem))];
+}
+
+/**
+ * Splits "Young Gen (Eden, Survivor)" into the words that must appear in a
+ * heading ("young", "gen") and the parenthesised details that only help to
+ * break ties.
+ */
+function itemTokens(text) {
+    const details = [...text.matchAll(/\(([^)]*)\)/g)].map((match) => match[1]).join(' ');
+    const core = tokenize(text.replace(/\([^)]*\)/g, ' '));
+    return { core: core.length > 0 ? core : tokenize(details), details: tokenize(details) };
+}
+
+/**
+ * Finds the heading that best covers a syllabus item. Short items (one or two
+ * significant words) need every word in the heading, longer ones 60% of them.
+ */
+function findCoveringHeading(text, headings) {
+    const { core, details } = itemTokens(text);
+    if (core.length === 0) {
+        return null;
+    }
+    const required = core.length <= 2 ? core.length : Math.ceil(core.length * 0.6);
+
+    let best = null;
+    headings.forEach((heading) => {
+        const matched = core.filter((token) => heading.tokens.has(token)).length;
+        if (matched < required) {
+            return;
+        }
+        const score = matched + details.filter((token) => heading.tokens.has(token)).length * 0.1;
+        if (!best || score > best.score || (score === best.score && heading.level < best.heading.level)) {
+            best = { score, heading };
+        }
+    });
+    return best?.heading ?? null;
+}
+
+/**
+ * Matches every item of a topic's syllabus against the headings of its
+ * chapters.
+ *
+ * @param {{syllabus: string}} topic entry of data/syllabus.yml
+ * @param {{file: string, link: string, markdown: string}[]} chapters the
+ *   topic's chapter files (without 01-intro.md); `link` is used as the base of
+ *   the returned section links
+ */
+function computeCoverage(topic, chapters) {
+    const headings = chapters.flatMap((chapter) =>
+        extractHeadings(chapter.markdown)
+            .filter(
+                (heading) =>
+                    heading.level >= MIN_LEVEL &&
+                    heading.level <= MAX_LEVEL &&
+                    !QUESTION_HEADING.test(heading.text),
+            )
+            .map((heading) => ({ ...heading, chapter, tokens: new Set(tokenize(heading.text)) })),
+    );
+
+    let covered = 0;
+    let total = 0;
+    const sections = parseOutline(topic.syllabus).map((section) => ({
+        title: section.title,
+        items: section.items.map((item) => {
+            const heading = findCoveringHeading(item.text, headings);
+            total++;
+            if (heading) {
+                covered++;
+            }
+            return {
+                ...item,
+                match: heading && {
+                    file: heading.chapter.file,
+                    line: heading.line,
+                    heading: heading.text,
+                    link: `${heading.chapter.link}#${heading.anchor}`,
+                },
+            };
+        }),
+    }));
+
+    return {
+        covered,
+        total,
+        percent: total === 0 ? 100 : Math.round((covered / total) * 100),
+        sections,
+    };
+}
+
+module.exports = {
+    computeCoverage,
+};
@@ -0,0 +1,70 @@
+const CONTEXT_LINES = 3;
+
+/**
+ * Line-level diff (longest common subsequence) between two texts.
+ * Returns a list of { type: ' ' | '-' | '+', line } entries.
+ */
+function diffLines(before, after) {
+    const a = before === '' ? [] : before.split('\n');
+    const b = after === '' ? [] : after.split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const entries = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            entries.push({ type: ' ', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            entries.push({ type: '-', line: a[i++] });
+        } else {
+            entries.push({ type: '+', line: b[j++] });
+        }
+    }
+    while (i < a.length) entries.push({ type: '-', line: a[i++] });
+    while (j < b.length) entries.push({ type: '+', line: b[j++] });
+    return entries;
+}
+
+/**
+ * Formats the changes between two versions of a file as a unified diff.
+ * A missing file is passed as null.
+ */
+function formatDiff(filePath, before, after) {
+    const entries = diffLines(before ?? '', after);
+    const header = [`--- ${before === null ? '/dev/null' : `a/${filePath}`}`, `+++ b/${filePath}`];
+
+    // Keep CONTEXT_LINES unchanged lines around every change.
+    const keep = entries.map(() => false);
+    entries.forEach((entry, index) => {
+        if (entry.type !== ' ') {
+            for (let k = Math.max(0, index - CONTEXT_LINES); k <= Math.min(entries.length - 1, index + CONTEXT_LINES); k++) {
+                keep[k] = true;
+            }
+        }
+    });
+
+    const body = [];
+    entries.forEach((entry, index) => {
+        if (!keep[index]) {
+            return;
+        }
+        if (index === 0 || !keep[index - 1]) {
+            body.push('@@');
+        }
+        body.push(`${entry.type}${entry.line}`);
+    });
+    return [...header, ...body].join('\n');
+}
+
+module.exports = {
+    formatDiff,
+};
@@ -0,0 +1,72 @@
+const { createSlugger } = require('@docusaurus/utils');
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+const EXPLICIT_ID = /\s*\{#([^}]+)\}$/;
+
+/** Strips inline Markdown so the text matches what the page renders. */
+function plainText(markdown) {
+    return markdown
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/(\*\*|__|\*|_|~~)(.+?)\1/g, '$2')
+        .trim();
+}
+
+/**
+ * Lists the headings of a Markdown document (ignoring fenced code) with the
+ * anchors Docusaurus generates for them.
+ *
+ * @param {string} markdown
+ * @returns {{level: number, text: string, anchor: string, line: number}[]}
+ */
+function extractHeadings(markdown) {
+    const slugger = createSlugger();
+    const headings = [];
+    let fence = null;
+    let inFrontMatter = false;
+
+    markdown.split(/\r?\n/).forEach((line, index) => {
+        if (index === 0 && line.trim() === '---') {
+            inFrontMatter = true;
+            return;
+        }
+        if (inFrontMatter) {
+            inFrontMatter = line.trim() !== '---';
+            return;
+        }
+
+        const fenceMatch = line.match(FENCE);
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (line.trim().startsWith(fence)) {
+                fence = null;
+            }
+            return;
+        }
+        if (fence) {
+            return;
+        }
+
+        const heading = line.match(HEADING);
+        if (!heading) {
+            return;
+        }
+        const explicitId = heading[2].match(EXPLICIT_ID);
+        const text = plainText(heading[2].replace(EXPLICIT_ID, ''));
+        headings.push({
+            level: heading[1].length,
+            text,
+            anchor: explicitId ? explicitId[1] : slugger.slug(text),
+            line: index + 1,
+        });
+    });
+
+    return headings;
+}
+
+module.exports = {
+    extractHeadings,
+    plainText,
+};
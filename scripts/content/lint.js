@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DOCS_DIR } = require('./topics');
+const { readIfExists } = require('./changes');
+
+const BLOG_DIR = 'blog';
+// Copies of the docs frozen for older Java / Spring Boot releases
+const VERSIONED_DOCS_DIR = 'versioned_docs';
+const CONTENT_FILE = /\.mdx?$/;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+const ADMONITION = /^\s*(:{3,})(\S*)/;
+const ADMONITION_TYPES = new Set(['note', 'tip', 'info', 'warning', 'danger', 'caution', 'important']);
+
+// Front matter fields that must be present (errors) or should be (warnings).
+const FIELDS = {
+    docs: { required: ['title', 'sidebar_position', 'description'], recommended: ['keywords'] },
+    blog: { required: ['title', 'description', 'authors', 'tags'], recommended: ['keywords'] },
+};
+
+// Search engines cut snippets at roughly 160 characters; very short
+// descriptions are usually placeholders.
+const DESCRIPTION_LENGTH = { min: 50, max: 160 };
+
+/** Lists the Markdown files below a directory, skipping "_partial" files and folders. */
+function listContentFiles(siteDir, dir) {
+    const absolute = path.join(siteDir, dir);
+    if (!fs.existsSync(absolute)) {
+        return [];
+    }
+    return fs
+        .readdirSync(absolute, { withFileTypes: true })
+        .filter((entry) => !entry.name.startsWith('_'))
+        .flatMap((entry) => {
+            const file = path.posix.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return listContentFiles(siteDir, file);
+            }
+            return CONTENT_FILE.test(entry.name) ? [file] : [];
+        })
+        .sort();
+}
+
+/**
+ * Parses the YAML front matter of a Markdown file and remembers the line of
+ * every top-level key so problems can be reported as file:line.
+ *
+ * @returns {{data: object, keyLines: Record<string, number>, bodyLine: number, error: {line: number, message: string} | null}}
+ */
+function parseFrontMatter(source) {
+    const lines = source.split(/\r?\n/);
+    const empty = { data: {}, keyLines: {}, bodyLine: 1, error: null };
+    if (lines[0]?.trim() !== '---') {
+        return empty;
+    }
+    const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+    if (end === -1) {
+        return { ...empty, error: { line: 1, message: 'front matter is not closed with "---"' } };
+    }
+
+    const keyLines = {};
+    lines.slice(1, end).forEach((line, index) => {
+        const key = line.match(/^([A-Za-z_][\w-]*):/);
+        if (key) {
+            keyLines[key[1]] = index + 2;
+        }
+    });
+
+    try {
+        const data = yaml.load(lines.slice(1, end).join('\n')) ?? {};
+        return { data, keyLines, bodyLine: end + 2, error: null };
+    } catch (err) {
+        const line = err.mark ? err.mark.line + 2 : 1;
+        return { ...empty, keyLines, bodyLine: end + 2, error: { line, message: `invalid front matter: ${err.reason}` } };
+    }
+}
+
+/** Checks that every `:::type` admonition outside fenced code is closed. */
+function lintAdmonitions(source, report) {
+    const open = [];
+    let fence = null;
+
+    source.split(/\r?\n/).forEach((line, index) => {
+        const fenceMatch = line.match(FENCE);
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (line.trim().startsWith(fence)) {
+                fence = null;
+            }
+            return;
+        }
+        const admonition = !fence && line.match(ADMONITION);
+        if (!admonition) {
+            return;
+        }
+
+        const [, colons, name] = admonition;
+        if (name) {
+            const type = name.match(/^[a-z]*/i)[0];
+            if (!ADMONITION_TYPES.has(type)) {
+                report.warning(index + 1, `unknown admonition type "${type}"`);
+            }
+            open.push({ colons: colons.length, type, line: index + 1 });
+        } else if (open.length === 0) {
+            report.error(index + 1, `"${colons}" closes an admonition that was never opened`);
+        } else if (colons.length >= open[open.length - 1].colons) {
+            open.pop();
+        }
+    });
+
+    open.forEach((admonition) => {
+        report.error(admonition.line, `":::${admonition.type}" admonition is never closed`);
+    });
+}
+
+function lintFrontMatter(frontMatter, fields, report) {
+    const { data, keyLines } = frontMatter;
+    const lineOf = (key) => keyLines[key] ?? 1;
+
+    fields.required
+        .filter((key) => data[key] === undefined || data[key] === null || data[key] === '')
+        .forEach((key) => report.error(1, `missing required front matter "${key}"`));
+    fields.recommended
+        .filter((key) => data[key] === undefined)
+        .forEach((key) => report.warning(1, `missing front matter "${key}"`));
+
+    if (typeof data.description === 'string') {
+        const { length } = data.description.trim();
+        if (length > DESCRIPTION_LENGTH.max) {
+            report.warning(lineOf('description'), `description is ${length} characters, keep it under ${DESCRIPTION_LENGTH.max} for search snippets`);
+        } else if (length < DESCRIPTION_LENGTH.min) {
+            report.warning(lineOf('description'), `description is only ${length} characters, aim for at least ${DESCRIPTION_LENGTH.min}`);
+        }
+    }
+    if (data.sidebar_position !== undefined && typeof data.sidebar_position !== 'number') {
+        report.error(lineOf('sidebar_position'), `sidebar_position must be a number, got "${data.sidebar_position}"`);
+    }
+}
+
+/** Blog posts may list authors and tags as keys or inline objects; only keys are checked. */
+function lintBlogReferences(frontMatter, known, report) {
+    const { data, keyLines } = frontMatter;
+    const asList = (value) => (value === undefined ? [] : [].concat(value));
+
+    asList(data.authors)
+        .filter((author) => typeof author === 'string' && !known.authors.has(author))
+        .forEach((author) =>
+            report.error(keyLines.authors ?? 1, `unknown author "${author}", add it to ${BLOG_DIR}/authors.yml`),
+        );
+    asList(data.tags)
+        .filter((tag) => typeof tag === 'string' && !known.tags.has(tag))
+        .forEach((tag) => report.error(keyLines.tags ?? 1, `unknown tag "${tag}", add it to ${BLOG_DIR}/tags.yml`));
+}
+
+function loadKeys(siteDir, file) {
+    const source = readIfExists(path.join(siteDir, file));
+    return new Set(Object.keys((source && yaml.load(source)) ?? {}));
+}
+
+/**
+ * Validates the front matter and admonitions of every doc and blog post.
+ *
+ * @param {string} siteDir
+ * @returns {{file: string, line: number, severity: 'error' | 'warning', message: string}[]}
+ */
+function lintContent(siteDir) {
+    const issues = [];
+    const reporter = (file) => ({
+        error: (line, message) => issues.push({ file, line, severity: 'error', message }),
+        warning: (line, message) => issues.push({ file, line, severity: 'warning', message }),
+    });
+
+    const lintFile = (file, fields) => {
+        const source = fs.readFileSync(path.join(siteDir, file), 'utf8');
+        const report = reporter(file);
+        const frontMatter = parseFrontMatter(source);
+        if (frontMatter.error) {
+            report.error(frontMatter.error.line, frontMatter.error.message);
+        } else {
+            lintFrontMatter(frontMatter, fields, report);
+        }
+        lintAdmonitions(source, report);
+        return { frontMatter, report };
+    };
+
+    // Docs: positions must be unique among the files of a category folder.
+    const positions = new Map();
+    [DOCS_DIR, VERSIONED_DOCS_DIR].flatMap((dir) => listContentFiles(siteDir, dir)).forEach((file) => {
+        const { frontMatter, report } = lintFile(file, FIELDS.docs);
+        const position = frontMatter.data.sidebar_position;
+        if (typeof position !== 'number') {
+            return;
+        }
+        const key = `${path.posix.dirname(file)}:${position}`;
+        if (positions.has(key)) {
+            report.error(
+                frontMatter.keyLines.sidebar_position,
+                `sidebar_position ${position} is already used by ${positions.get(key)}`,
+            );
+        } else {
+            positions.set(key, file);
+        }
+    });
+
+    const known = {
+        authors: loadKeys(siteDir, `${BLOG_DIR}/authors.yml`),
+        tags: loadKeys(siteDir, `${BLOG_DIR}/tags.yml`),
+    };
+    listContentFiles(siteDir, BLOG_DIR).forEach((file) => {
+        const { frontMatter, report } = lintFile(file, FIELDS.blog);
+        if (!frontMatter.error) {
+            lintBlogReferences(frontMatter, known, report);
+        }
+    });
+
+    return issues;
+}
+
+function formatIssue(issue) {
+    return `${issue.file}:${issue.line} ${issue.severity}: ${issue.message}`;
+}
+
+module.exports = {
+    lintContent,
+    formatIssue,
+    parseFrontMatter,
+    listContentFiles,
+    VERSIONED_DOCS_DIR,
+};
@@ -0,0 +1,57 @@
+/**
+ * Generated regions let the CLI own part of a hand-written Markdown file:
+ *
+ *     <!-- BEGIN GENERATED: syllabus -->
+ *     ...replaced on every sync...
+ *     <!-- END GENERATED: syllabus -->
+ *
+ * Everything outside the markers is left untouched.
+ */
+
+function markers(name) {
+    return {
+        begin: `<!-- BEGIN GENERATED: ${name} -->`,
+        end: `<!-- END GENERATED: ${name} -->`,
+    };
+}
+
+function findRegion(text, name) {
+    const { begin, end } = markers(name);
+    const start = text.indexOf(begin);
+    if (start === -1) {
+        return null;
+    }
+    const stop = text.indexOf(end, start + begin.length);
+    if (stop === -1) {
+        throw new Error(`Generated region "${name}" is missing its closing marker: ${end}`);
+    }
+    return { start, contentStart: start + begin.length, contentEnd: stop, end: stop + end.length };
+}
+
+function hasRegion(text, name) {
+    return findRegion(text, name) !== null;
+}
+
+/** Wraps content in the begin/end markers of a region. */
+function wrapRegion(name, content) {
+    const { begin, end } = markers(name);
+    return `${begin}\n${content.trim()}\n${end}`;
+}
+
+/**
+ * Returns the text with the content of the named region replaced, or null
+ * when the text has no such region.
+ */
+function replaceRegion(text, name, content) {
+    const region = findRegion(text, name);
+    if (!region) {
+        return null;
+    }
+    return text.slice(0, region.start) + wrapRegion(name, content) + text.slice(region.end);
+}
+
+module.exports = {
+    hasRegion,
+    wrapRegion,
+    replaceRegion,
+};
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const { listContentFiles, VERSIONED_DOCS_DIR } = require('./lint');
+const { DOCS_DIR } = require('./topics');
+
+const FENCE = /^(\s*)(`{3,}|~{3,})\s*(\S*)\s*(.*)$/;
+// `// snippet: <code>` lines are compiled as <code> and hidden on the site
+// (plugins/java-snippets), to give a fragment the declarations it needs.
+const SNIPPET_LINE = /^(\s*)\/\/ snippet:(?: (.*))?$/;
+const KINDS = ['unit', 'members', 'body'];
+
+// Imported into every snippet, as readers would expect from the prose around it.
+const DEFAULT_IMPORTS = [
+    'java.io',
+    'java.math',
+    'java.nio.file',
+    'java.time',
+    'java.util',
+    'java.util.concurrent',
+    'java.util.concurrent.atomic',
+    'java.util.concurrent.locks',
+    'java.util.function',
+    'java.util.stream',
+];
+
+const MODIFIERS = '(?:(?:public|protected|private|abstract|static|final|sealed|non-sealed|strictfp)\\s+)*';
+const ANNOTATIONS = '(?:@\\w+(?:\\([^)]*\\))?\\s+)*';
+const TYPE_DECLARATION = new RegExp(`^${ANNOTATIONS}${MODIFIERS}(?:class|interface|enum|record|@interface)\\s+(\\w+)`, 'm');
+const PUBLIC_TYPE = new RegExp(`^${ANNOTATIONS}public\\s+${MODIFIERS}(?:class|interface|enum|record|@interface)\\s+(\\w+)`, 'm');
+const MEMBER_START = /^(?:@\w+|(?:public|protected|private|static|abstract|synchronized|default)\s)/;
+const METHOD_DECLARATION = /^(?!(?:if|else|for|while|switch|try|catch|do|return|new|throw|synchronized)\b)[\w<>[\],.? ]+\s+\w+\s*\([^;]*\)\s*(?:throws\s+[\w.,\s]+)?\{\s*$/;
+
+function parseMeta(meta) {
+    const words = meta.split(/\s+/);
+    const compile = words.find((word) => word === 'compile' || word.startsWith('compile='));
+    return {
+        compile: Boolean(compile),
+        kind: compile?.split('=')[1] ?? null,
+        skip: words.includes('nocompile'),
+    };
+}
+
+/**
+ * Lists the ```java code blocks of a Markdown file with the line of their
+ * first code line and their meta: `compile` (optionally `compile=unit`,
+ * `compile=members` or `compile=body`) opts a block in, `nocompile` marks an
+ * intentionally broken example.
+ */
+function extractJavaBlocks(source) {
+    const blocks = [];
+    let open = null;
+    source.split(/\r?\n/).forEach((line, index) => {
+        const fence = line.match(FENCE);
+        if (open) {
+            if (fence && fence[2].startsWith(open.fence) && !fence[3]) {
+                blocks.push(open);
+                open = null;
+            } else {
+                open.lines.push(line.slice(Math.min(open.indent, line.match(/^\s*/)[0].length)));
+            }
+            return;
+        }
+        if (fence) {
+            open = { fence: fence[2], indent: fence[1].length, lang: fence[3], meta: parseMeta(fence[4]), line: index + 2, lines: [] };
+        }
+    });
+    return blocks
+        .filter((block) => block.lang === 'java')
+        .map(({ line, meta, lines }) => ({ line, ...meta, code: lines.join('\n') }));
+}
+
+/** Whether a block is compiled: opted in, or any block not marked `nocompile` with `all`. */
+function isCompiled(block, all) {
+    if (block.skip) {
+        return false;
+    }
+    return all || block.compile || block.code.split('\n').some((line) => SNIPPET_LINE.test(line));
+}
+
+/** Snippet code as compiled: `// snippet:` lines uncommented, line for line. */
+function revealSnippetLines(code) {
+    return code
+        .split('\n')
+        .map((line) => {
+            const snippet = line.match(SNIPPET_LINE);
+            return snippet ? `${snippet[1]}${snippet[2] ?? ''}` : line;
+        })
+        .join('\n');
+}
+
+/** Code as shown to readers: without the `// snippet:` lines. */
+function hideSnippetLines(code) {
+    return code
+        .split('\n')
+        .filter((line) => !SNIPPET_LINE.test(line))
+        .join('\n');
+}
+
+/**
+ * Markdown as shown to readers: hideSnippetLines applied to its ```java
+ * blocks, for pages that render a doc's Markdown themselves (practice
+ * answers, cheat sheets).
+ */
+function hideMarkdownSnippetLines(markdown) {
+    let open = null;
+    return markdown
+        .split('\n')
+        .filter((line) => {
+            const fence = line.match(FENCE);
+            if (open) {
+                if (fence && fence[2].startsWith(open.fence) && !fence[3]) {
+                    open = null;
+                    return true;
+                }
+                return !(open.lang === 'java' && SNIPPET_LINE.test(line));
+            }
+            if (fence) {
+                open = { fence: fence[2], lang: fence[3] };
+            }
+            return true;
+        })
+        .join('\n');
+}
+
+/**
+ * A compilation unit (declares a top-level type), class members (methods or
+ * fields) or statements to run inside a method.
+ */
+function detectKind(code) {
+    if (TYPE_DECLARATION.test(code)) {
+        return 'unit';
+    }
+    const topLevel = code.split('\n').filter((line) => /^\S/.test(line) && !line.startsWith('import ') && !line.startsWith('//'));
+    return topLevel.some((line) => MEMBER_START.test(line) || METHOD_DECLARATION.test(line)) ? 'members' : 'body';
+}
+
+/**
+ * Turns a snippet into a Java source file of its own package. Everything the
+ * wrapper adds goes on the first line (and a closing line after the code), so
+ * line n + 1 of the file is line n of the snippet.
+ *
+ * @returns {{file: string, source: string, kind: string}}
+ */
+function wrapSnippet(block, packageName) {
+    const code = revealSnippetLines(block.code);
+    const kind = block.kind ?? detectKind(code);
+    if (!KINDS.includes(kind)) {
+        throw new Error(`unknown snippet kind "compile=${kind}" (expected ${KINDS.join(', ')})`);
+    }
+
+    const imports = [];
+    const lines = code.split('\n').map((line) => {
+        if (/^package\s/.test(line)) {
+            return '';
+        }
+        if (kind !== 'unit' && /^import\s/.test(line)) {
+            imports.push(line.trim());
+            return '';
+        }
+        return line;
+    });
+    const header = [
+        `package ${packageName};`,
+        ...DEFAULT_IMPORTS.map((name) => `import ${name}.*;`),
+        ...imports,
+        ...(kind === 'members' ? ['class Snippet {'] : []),
+        ...(kind === 'body' ? ['class Snippet {', 'void snippet() throws Exception {'] : []),
+    ];
+    const footer = { unit: '', members: '}', body: '}}' }[kind];
+    const file = kind === 'unit' ? `${code.match(PUBLIC_TYPE)?.[1] ?? 'Snippet'}.java` : 'Snippet.java';
+
+    return { file, kind, source: [header.join(' '), ...lines, footer].join('\n') };
+}
+
+function javaVersions(siteDir) {
+    const versions = JSON.parse(fs.readFileSync(path.join(siteDir, 'data', 'docs-versions.json'), 'utf8'));
+    return Object.fromEntries(Object.entries(versions).map(([name, { java }]) => [name, java]));
+}
+
+/**
+ * Collects the Java snippets of the docs, current and versioned, with the
+ * Java release their docs version targets (data/docs-versions.json).
+ *
+ * @param {{topics: {dir: string}[] | null, all: boolean}} options
+ * @returns {{file: string, line: number, release: string, block: object}[]}
+ */
+function collectSnippets(siteDir, { topics, all }) {
+    const java = javaVersions(siteDir);
+    const inTopics = (relative) => !topics || topics.some((topic) => relative.split('/')[0] === topic.dir);
+
+    const sources = [
+        ...listContentFiles(siteDir, DOCS_DIR)
+            .filter((file) => inTopics(path.posix.relative(DOCS_DIR, file)))
+            .map((file) => ({ file, release: java.current })),
+        ...Object.keys(java)
+            .filter((name) => name !== 'current')
+            .flatMap((name) => {
+                const dir = path.posix.join(VERSIONED_DOCS_DIR, `version-${name}`);
+                return listContentFiles(siteDir, dir)
+                    .filter((file) => inTopics(path.posix.relative(dir, file)))
+                    .map((file) => ({ file, release: java[name] }));
+            }),
+    ];
+
+    return sources.flatMap(({ file, release }) =>
+        extractJavaBlocks(fs.readFileSync(path.join(siteDir, file), 'utf8'))
+            .filter((block) => isCompiled(block, all))
+            .map((block) => ({ file, line: block.line, release, block })),
+    );
+}
+
+/**
+ * Reads javac's diagnostics: `<file>:<line>: error: <message>`, followed by
+ * the source line, a caret and sometimes `symbol:` / `location:` details.
+ *
+ * @returns {{path: string, line: number, message: string}[]}
+ */
+function parseJavacOutput(output) {
+    const errors = [];
+    output.split(/\r?\n/).forEach((line) => {
+        const error = line.match(/^(.+\.java):(\d+): error: (.*)$/);
+        if (error) {
+            errors.push({ path: error[1], line: Number(error[2]), message: error[3] });
+            return;
+        }
+        const detail = line.match(/^\s+(symbol|location):\s+(.*)$/);
+        if (detail && errors.length > 0 && detail[1] === 'symbol') {
+            errors[errors.length - 1].message += ` (${detail[2].trim()})`;
+        }
+    });
+    return errors;
+}
+
+module.exports = {
+    SNIPPET_LINE,
+    extractJavaBlocks,
+    hideSnippetLines,
+    hideMarkdownSnippetLines,
+    wrapSnippet,
+    collectSnippets,
+    parseJavacOutput,
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const SYLLABUS_FILE = path.join('data', 'syllabus.yml');
+const TOPIC_DIR_PATTERN = /^\d{2}-[a-z0-9-]+$/;
+
+/**
+ * Loads data/syllabus.yml and checks the shape of every topic entry.
+ * Throws with the list of problems when the file is invalid.
+ *
+ * @param {string} siteDir
+ * @returns {{dir: string, label: string, position: number, description: string, syllabus: string}[]}
+ */
+function loadTopics(siteDir) {
+    const filePath = path.join(siteDir, SYLLABUS_FILE);
+    const data = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    const topics = data?.topics;
+    const errors = [];
+
+    if (!Array.isArray(topics)) {
+        throw new Error(`${SYLLABUS_FILE}: expected a top-level "topics" list.`);
+    }
+
+    const seen = new Set();
+    topics.forEach((topic, index) => {
+        const where = `${SYLLABUS_FILE}: topics[${index}]`;
+        if (typeof topic.dir !== 'string' || !TOPIC_DIR_PATTERN.test(topic.dir)) {
+            errors.push(`${where}.dir must look like "NN-kebab-name", got ${JSON.stringify(topic.dir)}`);
+        } else if (seen.has(topic.dir)) {
+            errors.push(`${where}.dir "${topic.dir}" is listed twice`);
+        }
+        seen.add(topic.dir);
+        if (typeof topic.label !== 'string' || topic.label.trim() === '') {
+            errors.push(`${where}.label is required`);
+        }
+        if (!Number.isInteger(topic.position)) {
+            errors.push(`${where}.position must be an integer`);
+        }
+        if (typeof topic.description !== 'string') {
+            errors.push(`${where}.description is required`);
+        }
+        if (typeof topic.syllabus !== 'string') {
+            errors.push(`${where}.syllabus must be a block of text`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(errors.join('\n'));
+    }
+    return topics;
+}
+
+/**
+ * Parses a syllabus outline into sections:
+ *
+ *     FALSE SHARING        ->  { title: 'FALSE SHARING',
+ *     - CPU cache lines          items: [{ text: 'CPU cache lines', depth: 0 },
+ *       - Padding                        { text: 'Padding', depth: 1 }] }
+ */
+function parseOutline(outline) {
+    const sections = [];
+    outline.split('\n').forEach((line) => {
+        if (line.trim() === '') {
+            return;
+        }
+        const item = line.match(/^(\s*)(?:-|\d+\.)\s+(.*)$/);
+        if (!item) {
+            sections.push({ title: line.trim(), items: [] });
+            return;
+        }
+        if (sections.length === 0) {
+            sections.push({ title: null, items: [] });
+        }
+        sections[sections.length - 1].items.push({
+            text: item[2].trim(),
+            depth: Math.floor(item[1].length / 2),
+        });
+    });
+    return sections;
+}
+
+module.exports = {
+    SYLLABUS_FILE,
+    loadTopics,
+    parseOutline,
+};
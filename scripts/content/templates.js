@@ -0,0 +1,86 @@
+const { wrapRegion } = require('./regions');
+
+/**
+ * Content of the "syllabus" generated region of a topic's 01-intro.md. The
+ * checklist itself is computed at build time by the syllabus-coverage plugin.
+ */
+function renderSyllabusRegion(topic) {
+    return `<SyllabusCoverage topic="${topic.dir}" />`;
+}
+
+/**
+ * Builds a topic's _category_.json. Only label, position and the
+ * generated-index description are owned by the syllabus file; any other key
+ * already present in the existing file is kept as-is.
+ */
+function renderCategory(topic, existing = {}) {
+    const category = {
+        label: topic.label,
+        position: topic.position,
+        collapsible: true,
+        collapsed: true,
+        ...existing,
+    };
+    category.label = topic.label;
+    category.position = topic.position;
+    category.link = {
+        type: 'generated-index',
+        ...existing.link,
+        description: topic.description,
+    };
+    return JSON.stringify(category, null, 2);
+}
+
+function renderIntro(topic) {
+    return `---
+sidebar_position: 1
+title: Syllabus & Overview
+description: ${JSON.stringify(topic.description)}
+---
+
+# ${topic.label}
+
+## Topics Covered
+
+${wrapRegion('syllabus', renderSyllabusRegion(topic))}
+`;
+}
+
+function renderChapter({ title, number, position, description }) {
+    return `---
+title: ${JSON.stringify(`${number}. ${title}`)}
+sidebar_position: ${position}
+description: ${JSON.stringify(description)}
+---
+
+# ${title}
+
+:::info Interview Importance ⭐⭐⭐⭐
+Why this topic matters in backend interviews.
+:::
+
+## 1. Overview
+
+---
+
+## 2. Interview Questions
+
+### Q1:
+
+**Answer:**
+
+---
+
+## Quick Reference Card
+
+\`\`\`text
+\`\`\`
+`;
+}
+
+module.exports = {
+    renderSyllabusRegion,
+    renderCategory,
+    renderIntro,
+    renderChapter,
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+const DOCS_DIR = 'docs';
+const CHAPTER_FILE = /^(\d+)-([a-z0-9-]+)\.mdx?$/;
+
+function topicPaths(topic) {
+    const dir = path.join(DOCS_DIR, topic.dir);
+    return {
+        dir,
+        category: path.join(dir, '_category_.json'),
+        intro: path.join(dir, '01-intro.md'),
+    };
+}
+
+/**
+ * Picks the topics named on the command line. A topic can be referred to by
+ * its directory ("02-dbms-data-persistence"), its name without the number
+ * prefix ("dbms-data-persistence") or its number ("02" / "2").
+ */
+function selectTopics(topics, names) {
+    if (names.length === 0) {
+        return topics;
+    }
+    return names.map((name) => {
+        const topic = topics.find(
+            (t) =>
+                t.dir === name ||
+                t.dir.replace(/^\d+-/, '') === name ||
+                Number(t.dir.split('-')[0]) === Number(name),
+        );
+        if (!topic) {
+            throw new Error(`Unknown topic "${name}". Known topics: ${topics.map((t) => t.dir).join(', ')}`);
+        }
+        return topic;
+    });
+}
+
+/**
+ * Reads the label of a topic directory from its _category_.json, falling back
+ * to the directory name when the file is missing.
+ */
+function readTopicLabel(docsDir, topicDir) {
+    try {
+        const category = JSON.parse(
+            fs.readFileSync(path.join(docsDir, topicDir, '_category_.json'), 'utf8'),
+        );
+        return category.label || topicDir;
+    } catch {
+        return topicDir;
+    }
+}
+
+/** Lists the numbered chapter files of a topic directory, sorted by number. */
+function listChapters(siteDir, topic) {
+    const dir = path.join(siteDir, DOCS_DIR, topic.dir);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs
+        .readdirSync(dir)
+        .map((file) => {
+            const match = file.match(CHAPTER_FILE);
+            return match && { file, number: Number(match[1]), slug: match[2] };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.number - b.number);
+}
+
+module.exports = {
+    DOCS_DIR,
+    topicPaths,
+    selectTopics,
+    listChapters,
+    readTopicLabel,
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DOCS_DIR } = require('./topics');
+const { listContentFiles, parseFrontMatter, VERSIONED_DOCS_DIR } = require('./lint');
+const { readIfExists } = require('./changes');
+
+const I18N_DIR = 'i18n';
+const DOCS_PLUGIN_DIR = 'docusaurus-plugin-content-docs';
+// Front matter field of a translation holding the hash of the English source it was made from.
+const HASH_FIELD = 'source_hash';
+
+/** Short hash of a source file, insensitive to line endings. */
+function sourceHash(source) {
+    return crypto.createHash('sha256').update(source.replace(/\r\n/g, '\n')).digest('hex').slice(0, 12);
+}
+
+/** The locales other than the default one, from docusaurus.config.js. */
+function readLocales(siteDir) {
+    const { i18n } = require(path.join(siteDir, 'docusaurus.config.js'));
+    return i18n.locales.filter((locale) => locale !== i18n.defaultLocale);
+}
+
+/**
+ * Where the translation of a doc lives, following the Docusaurus layout:
+ * docs/x.md -> i18n/<locale>/docusaurus-plugin-content-docs/current/x.md and
+ * versioned_docs/version-<name>/x.md -> .../version-<name>/x.md.
+ */
+function translationPath(locale, source) {
+    const [root, ...rest] = source.split('/');
+    const [version, relative] = root === VERSIONED_DOCS_DIR ? [rest[0], rest.slice(1)] : ['current', rest];
+    return path.posix.join(I18N_DIR, locale, DOCS_PLUGIN_DIR, version, ...relative);
+}
+
+/**
+ * Translation state of every doc for a locale: "untranslated" docs are served
+ * in English, "outdated" ones were translated from an older version of the
+ * English source (or carry no source hash), "translated" ones are current.
+ *
+ * @returns {{source: string, translation: string, status: 'translated' | 'outdated' | 'untranslated', hash: string, translatedHash?: string}[]}
+ */
+function translationStatus(siteDir, locale) {
+    return [DOCS_DIR, VERSIONED_DOCS_DIR]
+        .flatMap((dir) => listContentFiles(siteDir, dir))
+        .map((source) => {
+            const hash = sourceHash(fs.readFileSync(path.join(siteDir, source), 'utf8'));
+            const translation = translationPath(locale, source);
+            const translated = readIfExists(path.join(siteDir, translation));
+            if (translated === null) {
+                return { source, translation, status: 'untranslated', hash };
+            }
+            const translatedHash = parseFrontMatter(translated).data[HASH_FIELD];
+            const status = translatedHash === hash ? 'translated' : 'outdated';
+            return { source, translation, status, hash, translatedHash };
+        });
+}
+
+/** Records in a translation that it is up to date with the current English source. */
+function stampTranslation(siteDir, locale, source) {
+    const translation = translationPath(locale, source);
+    const file = path.join(siteDir, translation);
+    const translated = readIfExists(file);
+    if (translated === null) {
+        throw new Error(`${translation} does not exist; copy ${source} there and translate it first`);
+    }
+    const frontMatter = parseFrontMatter(translated);
+    if (frontMatter.error || frontMatter.bodyLine === 1) {
+        throw new Error(`${translation} has no valid front matter`);
+    }
+
+    // Quoted, so YAML never reads an all-digit hash as a number.
+    const line = `${HASH_FIELD}: "${sourceHash(fs.readFileSync(path.join(siteDir, source), 'utf8'))}"`;
+    const lines = translated.split('\n');
+    const existing = frontMatter.keyLines[HASH_FIELD];
+    if (existing) {
+        lines[existing - 1] = line;
+    } else {
+        lines.splice(lines.findIndex((text, index) => index > 0 && text.trim() === '---'), 0, line);
+    }
+    fs.writeFileSync(file, lines.join('\n'));
+    return translation;
+}
+
+module.exports = {
+    I18N_DIR,
+    HASH_FIELD,
+    sourceHash,
+    readLocales,
+    translationPath,
+    translationStatus,
+    stampTranslation,
+};
@@ -0,0 +1,83 @@
+const zlib = require('zlib');
+
+// 1980-01-01 00:00 in MS-DOS format, so archives are reproducible.
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds a ZIP archive in memory. Entries are written in the given order,
+ * which EPUB relies on (the uncompressed "mimetype" file must come first).
+ *
+ * @param {{name: string, data: string | Buffer, store?: boolean}[]} entries
+ * @returns {Buffer}
+ */
+function createZip(entries) {
+    const files = [];
+    const directory = [];
+    let offset = 0;
+
+    entries.forEach((entry) => {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+        const compressed = entry.store ? data : zlib.deflateRawSync(data);
+        const method = entry.store ? 0 : 8;
+        const crc = crc32(data);
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4); // version needed
+        header.writeUInt16LE(0x0800, 6); // UTF-8 names
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(DOS_DATE, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(compressed.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(name.length, 26);
+        files.push(header, name, compressed);
+
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4); // version made by
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(0x0800, 8);
+        record.writeUInt16LE(method, 10);
+        record.writeUInt16LE(DOS_DATE, 14);
+        record.writeUInt32LE(crc, 16);
+        record.writeUInt32LE(compressed.length, 20);
+        record.writeUInt32LE(data.length, 24);
+        record.writeUInt16LE(name.length, 28);
+        record.writeUInt32LE(offset, 42);
+        directory.push(record, name);
+
+        offset += header.length + name.length + compressed.length;
+    });
+
+    const directorySize = directory.reduce((sum, buffer) => sum + buffer.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...files, ...directory, end]);
+}
+
+module.exports = {
+    createZip,
+};
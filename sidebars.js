@@ -1,3 +1,5 @@
+// Sidebars of the current docs. Each older version in versions.json has its
+// own copy in versioned_sidebars/version-<name>-sidebars.json.
 const sidebars = {
   tutorialSidebar: [
     {
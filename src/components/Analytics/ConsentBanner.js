@@ -0,0 +1,64 @@
+import React, { useEffect } from 'react';
+import Translate from '@docusaurus/Translate';
+import useBrokenLinks from '@docusaurus/useBrokenLinks';
+import useIsBrowser from '@docusaurus/useIsBrowser';
+import { useStorageSlot } from '@docusaurus/theme-common';
+import { CONSENT_KEY, getAnalytics, doNotTrack } from './settings';
+import styles from './ConsentBanner.module.css';
+
+const settings = getAnalytics();
+
+// Links to this anchor (the footer's "Analytics consent") forget the answer, so the banner asks again.
+const CHANGE_CONSENT_ANCHOR = 'analytics-consent';
+
+/**
+ * Asks for consent before a cookie-setting provider is loaded. Readers with
+ * Do-Not-Track on are never tracked, so they are not asked either.
+ */
+export default function ConsentBanner() {
+    const isBrowser = useIsBrowser();
+    const [consent, consentSlot] = useStorageSlot(CONSENT_KEY);
+    // Handled here rather than by an element, so tell the broken anchors check it exists.
+    useBrokenLinks().collectAnchor(CHANGE_CONSENT_ANCHOR);
+
+    useEffect(() => {
+        const onClick = (event) => {
+            if (event.target.closest?.(`a[href="#${CHANGE_CONSENT_ANCHOR}"]`)) {
+                event.preventDefault();
+                consentSlot.del();
+            }
+        };
+        document.addEventListener('click', onClick);
+        return () => document.removeEventListener('click', onClick);
+    }, [consentSlot]);
+
+    if (!isBrowser || !settings?.requiresConsent || consent || (settings.respectDoNotTrack && doNotTrack())) {
+        return null;
+    }
+
+    return (
+        <div className={styles.banner} role="region" aria-label="Analytics consent">
+            <p className={styles.message}>
+                <Translate
+                    id="analytics.consent.message"
+                    description="Consent banner asking whether the site may count visits"
+                    values={{ provider: settings.provider.label }}
+                >
+                    {'May this site count your visit with {provider}? It sets cookies; nothing is loaded until you accept.'}
+                </Translate>
+            </p>
+            <div className={styles.actions}>
+                <button type="button" className={styles.accept} onClick={() => consentSlot.set('granted')}>
+                    <Translate id="analytics.consent.accept" description="Consent banner button accepting analytics">
+                        Accept
+                    </Translate>
+                </button>
+                <button type="button" className={styles.decline} onClick={() => consentSlot.set('denied')}>
+                    <Translate id="analytics.consent.decline" description="Consent banner button declining analytics">
+                        Decline
+                    </Translate>
+                </button>
+            </div>
+        </div>
+    );
+}
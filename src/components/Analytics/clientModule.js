@@ -0,0 +1,47 @@
+import ExecutionEnvironment from '@docusaurus/ExecutionEnvironment';
+import { getAnalytics, canTrack, consentSlot } from './settings';
+
+const settings = getAnalytics();
+let loaded = false;
+// Page view of the current page, held back until the reader consents.
+let pending = null;
+
+function send(view) {
+    if (!loaded) {
+        settings.provider.load?.(settings.options);
+        loaded = true;
+    }
+    settings.provider.pageview(view, settings.options);
+}
+
+if (ExecutionEnvironment.canUseDOM && settings) {
+    consentSlot.listen(() => {
+        if (pending && canTrack(settings)) {
+            send(pending);
+            pending = null;
+        }
+    });
+}
+
+export function onRouteDidUpdate({ location, previousLocation }) {
+    if (!settings) {
+        return;
+    }
+    // Scrolling to an anchor is not a new page view.
+    if (previousLocation && location.pathname === previousLocation.pathname && location.search === previousLocation.search) {
+        return;
+    }
+    // Wait for the new page to set its title.
+    setTimeout(() => {
+        const view = {
+            url: window.location.href,
+            referrer: previousLocation ? `${window.location.origin}${previousLocation.pathname}` : document.referrer,
+            title: document.title,
+        };
+        if (canTrack(settings)) {
+            send(view);
+        } else {
+            pending = view;
+        }
+    });
+}
@@ -0,0 +1,23 @@
+// Google Analytics 4, loaded only once page views may be sent.
+export default {
+    label: 'Google Analytics',
+    usesCookies: true,
+
+    load({ trackingID, anonymizeIP }) {
+        window.dataLayer = window.dataLayer || [];
+        window.gtag = function gtag() {
+            window.dataLayer.push(arguments);
+        };
+        window.gtag('js', new Date());
+        window.gtag('config', trackingID, { anonymize_ip: anonymizeIP, send_page_view: false });
+
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(trackingID)}`;
+        document.head.appendChild(script);
+    },
+
+    pageview({ url, title }) {
+        window.gtag('event', 'page_view', { page_location: url, page_title: title });
+    },
+};
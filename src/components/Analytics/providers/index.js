@@ -0,0 +1,23 @@
+import gtag from './gtag';
+import plausible from './plausible';
+import umami from './umami';
+
+/**
+ * Analytics providers by the name used in `themeConfig.analytics.provider`.
+ *
+ * A provider is an object with:
+ * - `label`: its name, shown in the consent banner
+ * - `usesCookies`: whether it needs consent unless `analytics.consent` says otherwise
+ * - `load(options)` (optional): called once, before the first page view
+ * - `pageview({url, referrer, title}, options)`: reports a page view
+ *
+ * `options` is the provider's own block of the config
+ * (`themeConfig.analytics[name]`). To add one, create it here, register it
+ * below and describe its options in plugins/analytics, which rejects
+ * providers it does not know.
+ */
+export default {
+    gtag,
+    plausible,
+    umami,
+};
@@ -0,0 +1,11 @@
+import send from './send';
+
+// Plausible's events API (self-hosted or plausible.io); cookieless.
+export default {
+    label: 'Plausible',
+    usesCookies: false,
+
+    pageview({ url, referrer }, { domain, apiHost }) {
+        send(`${apiHost.replace(/\/$/, '')}/api/event`, { name: 'pageview', url, domain, referrer: referrer || null });
+    },
+};
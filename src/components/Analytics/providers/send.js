@@ -0,0 +1,15 @@
+/**
+ * Posts an event as JSON, surviving the page being unloaded. "text/plain"
+ * avoids a CORS preflight; endpoints that require "application/json" must
+ * answer one.
+ */
+export default function send(url, body, contentType = 'text/plain') {
+    fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body: JSON.stringify(body),
+        keepalive: true,
+    }).catch(() => {
+        // Blocked by an extension or offline: the page view is simply not counted.
+    });
+}
@@ -0,0 +1,27 @@
+import send from './send';
+
+// Umami's collection API (self-hosted or Umami Cloud); cookieless.
+export default {
+    label: 'Umami',
+    usesCookies: false,
+
+    pageview({ url, referrer, title }, { websiteId, hostUrl }) {
+        const { hostname, pathname, search } = new URL(url);
+        send(
+            `${hostUrl.replace(/\/$/, '')}/api/send`,
+            {
+                type: 'event',
+                payload: {
+                    website: websiteId,
+                    hostname,
+                    language: navigator.language,
+                    referrer,
+                    screen: `${window.screen.width}x${window.screen.height}`,
+                    title,
+                    url: `${pathname}${search}`,
+                },
+            },
+            'application/json',
+        );
+    },
+};
@@ -0,0 +1,40 @@
+import siteConfig from '@generated/docusaurus.config';
+import { createStorageSlot } from '@docusaurus/theme-common';
+import providers from './providers';
+
+// "granted" or "denied" once the reader answered the consent banner.
+export const CONSENT_KEY = 'cs-wiki.analytics-consent';
+export const consentSlot = createStorageSlot(CONSENT_KEY);
+
+const analytics = siteConfig.themeConfig.analytics ?? { provider: false };
+
+/**
+ * The configured provider with its options, or null when analytics are
+ * disabled or outside production builds.
+ */
+export function getAnalytics() {
+    if (process.env.NODE_ENV !== 'production' || !analytics.provider) {
+        return null;
+    }
+    // plugins/analytics only accepts known providers.
+    const provider = providers[analytics.provider];
+    return {
+        provider,
+        options: analytics[analytics.provider],
+        requiresConsent: analytics.consent ?? provider.usesCookies,
+        respectDoNotTrack: analytics.respectDoNotTrack,
+    };
+}
+
+/** Do-Not-Track, or its successor Global Privacy Control, is on. */
+export function doNotTrack() {
+    return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+/** Whether page views may be sent now, given Do-Not-Track and the reader's consent. */
+export function canTrack(settings) {
+    if (!settings || (settings.respectDoNotTrack && doNotTrack())) {
+        return false;
+    }
+    return !settings.requiresConsent || consentSlot.get() === 'granted';
+}
@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import Layout from '@theme/Layout';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import ScrollToTop from '@site/src/components/ScrollToTop';
+import styles from './styles.module.css';
+
+const ALL_TOPICS = 'all';
+
+function countSheets(topics) {
+    return topics.reduce((sum, topic) => sum + topic.sheets.length, 0);
+}
+
+/** One Markdown file per topic, with links back to the chapters. */
+function toMarkdown(topic, siteUrl) {
+    const sheets = topic.sheets.map(
+        (sheet) => `## ${sheet.title}\n\nSource: ${siteUrl}${sheet.permalink}\n\n${sheet.markdown}\n`,
+    );
+    return `# ${topic.label} — Cheat Sheet\n\n${sheets.join('\n')}`;
+}
+
+function downloadMarkdown(topic, siteUrl) {
+    const blob = new Blob([toMarkdown(topic, siteUrl)], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${topic.id}-cheatsheet.md`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Topic filter chips
+function TopicFilter({ topics, selected, onSelect }) {
+    return (
+        <div className={styles.topicFilter} role="group" aria-label="Filter by topic">
+            <button
+                type="button"
+                className={clsx(styles.topicChip, selected === ALL_TOPICS && styles.topicChipActive)}
+                aria-pressed={selected === ALL_TOPICS}
+                onClick={() => onSelect(ALL_TOPICS)}
+            >
+                All topics <span className={styles.topicCount}>{countSheets(topics)}</span>
+            </button>
+            {topics.map((topic) => (
+                <button
+                    key={topic.id}
+                    type="button"
+                    className={clsx(styles.topicChip, selected === topic.id && styles.topicChipActive)}
+                    aria-pressed={selected === topic.id}
+                    onClick={() => onSelect(topic.id)}
+                >
+                    {topic.label} <span className={styles.topicCount}>{topic.sheets.length}</span>
+                </button>
+            ))}
+        </div>
+    );
+}
+
+function TopicSection({ topic, hiddenInPrint, onPrint, onDownload }) {
+    return (
+        <section className={clsx(styles.topic, hiddenInPrint && styles.printHidden)}>
+            <header className={styles.topicHeader}>
+                <h2 className={styles.topicTitle}>{topic.label}</h2>
+                <div className={styles.topicActions}>
+                    <button type="button" className={styles.actionButton} onClick={onPrint}>
+                        Print / PDF
+                    </button>
+                    <button type="button" className={styles.actionButton} onClick={onDownload}>
+                        Download .md
+                    </button>
+                </div>
+            </header>
+            <div className={styles.sheets}>
+                {topic.sheets.map((sheet) => (
+                    <article key={sheet.id} className={styles.sheet}>
+                        <h3 className={styles.sheetTitle}>
+                            <Link to={sheet.permalink}>{sheet.title}</Link>
+                        </h3>
+                        <div
+                            className={clsx('markdown', styles.sheetBody)}
+                            dangerouslySetInnerHTML={{ __html: sheet.html }}
+                        />
+                    </article>
+                ))}
+            </div>
+        </section>
+    );
+}
+
+export default function CheatSheetsPage({ cheatSheetData }) {
+    const { topics } = cheatSheetData;
+    const { siteConfig } = useDocusaurusContext();
+    const [selected, setSelected] = useState(ALL_TOPICS);
+    // Topic being printed on its own, or ALL_TOPICS for everything on screen.
+    const [printing, setPrinting] = useState(null);
+
+    // Print once the other topics are hidden, then restore the page.
+    useEffect(() => {
+        if (!printing) {
+            return undefined;
+        }
+        const handleAfterPrint = () => setPrinting(null);
+        window.addEventListener('afterprint', handleAfterPrint);
+        window.print();
+        return () => window.removeEventListener('afterprint', handleAfterPrint);
+    }, [printing]);
+
+    const visible = selected === ALL_TOPICS ? topics : topics.filter((topic) => topic.id === selected);
+
+    return (
+        <Layout
+            title="Cheat Sheets"
+            description="Every Quick Reference Card of the CS Fundamentals wiki on one printable page.">
+            <main className={clsx('container', styles.cheatsheets)}>
+                <div className={styles.header}>
+                    <h1>Cheat Sheets</h1>
+                    <p>
+                        The "Quick Reference Card" of {countSheets(topics)} chapters, grouped by topic. Print a
+                        topic (or everything shown) for a compact two-column PDF, or download it as Markdown.
+                    </p>
+                    <button
+                        type="button"
+                        className={styles.actionButton}
+                        onClick={() => setPrinting(ALL_TOPICS)}
+                    >
+                        Print all shown
+                    </button>
+                </div>
+
+                <TopicFilter topics={topics} selected={selected} onSelect={setSelected} />
+
+                {visible.map((topic) => (
+                    <TopicSection
+                        key={topic.id}
+                        topic={topic}
+                        hiddenInPrint={printing !== null && printing !== ALL_TOPICS && printing !== topic.id}
+                        onPrint={() => setPrinting(topic.id)}
+                        onDownload={() => downloadMarkdown(topic, siteConfig.url)}
+                    />
+                ))}
+                <ScrollToTop />
+            </main>
+        </Layout>
+    );
+}
@@ -1,26 +1,43 @@
 import React from 'react';
-import Giscus from '@giscus/react';
-import { useColorMode } from '@docusaurus/theme-common';
+import { useColorMode, useThemeConfig } from '@docusaurus/theme-common';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import providers from './providers';
 
-export default function Comments() {
+/**
+ * Comment thread for a doc or blog post, configured by `themeConfig.comments`
+ * (validated by plugins/comments). Nothing is rendered when comments are
+ * disabled for the site, for the content type or, with `comments: false` in
+ * the front matter, for the page.
+ *
+ * @param {{type: 'docs' | 'blog', frontMatter: object}} props
+ */
+export default function Comments({ type, frontMatter }) {
+    const { comments } = useThemeConfig();
     const { colorMode } = useColorMode();
+    const {
+        i18n: { currentLocale },
+    } = useDocusaurusContext();
+
+    const section = comments?.[type];
+    if (!comments?.provider || !section || frontMatter.comments === false) {
+        return null;
+    }
+
+    const Provider = providers[comments.provider];
+    if (!Provider) {
+        throw new Error(
+            `Unknown comment provider "${comments.provider}". Known providers: ${Object.keys(providers).join(', ')}`,
+        );
+    }
 
     return (
         <div style={{ marginTop: '50px' }}>
-            <Giscus
-                id="comments"
-                repo="Harendra1558/cs-master-wiki"
-                repoId="R_kgDOQ1maBA"
-                category="General"
-                categoryId="DIC_kwDOQ1maBM4C06xR"
-                mapping="pathname"
-                strict="0"
-                reactionsEnabled="1"
-                emitMetadata="0"
-                inputPosition="top"
-                theme={colorMode}
-                lang="en"
-                loading="lazy"
+            <Provider
+                options={comments[comments.provider]}
+                mapping={comments.mapping}
+                category={section.category}
+                colorMode={colorMode}
+                locale={currentLocale}
             />
         </div>
     );
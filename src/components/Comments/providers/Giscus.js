@@ -0,0 +1,30 @@
+import React from 'react';
+import Giscus from '@giscus/react';
+
+const flag = (value) => (value ? '1' : '0');
+
+// Languages of the giscus widget; other locales (such as "hi") fall back to English.
+const LANGUAGES = new Set([
+    'ar', 'be', 'bg', 'ca', 'cs', 'da', 'de', 'en', 'eo', 'es', 'eu', 'fa', 'fr', 'gr', 'gsw', 'hbs', 'he', 'hu',
+    'id', 'it', 'ja', 'kh', 'ko', 'nl', 'pl', 'pt', 'ro', 'ru', 'th', 'tr', 'vi', 'uk', 'uz', 'zh-CN', 'zh-TW',
+]);
+
+export default function GiscusProvider({ options, mapping, category, colorMode, locale }) {
+    return (
+        <Giscus
+            id="comments"
+            repo={options.repo}
+            repoId={options.repoId}
+            category={category}
+            categoryId={options.categoryIds[category]}
+            mapping={mapping}
+            strict={flag(options.strict)}
+            reactionsEnabled={flag(options.reactionsEnabled)}
+            emitMetadata={flag(options.emitMetadata)}
+            inputPosition={options.inputPosition}
+            theme={colorMode}
+            lang={options.lang ?? (LANGUAGES.has(locale) ? locale : 'en')}
+            loading="lazy"
+        />
+    );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+import ScriptEmbed from './ScriptEmbed';
+
+// Placeholders usable in attribute values, e.g. "data-theme": "{colorMode}".
+function interpolate(value, variables) {
+    return value.replace(/\{(\w+)\}/g, (match, name) => variables[name] ?? match);
+}
+
+/**
+ * Any widget embedded with a single script tag, such as a self-hosted comment
+ * server: `{src, attributes}` with {mapping}, {category}, {colorMode} and
+ * {locale} placeholders in the attribute values.
+ */
+export default function ScriptProvider({ options, ...variables }) {
+    const attributes = Object.fromEntries(
+        Object.entries(options.attributes).map(([name, value]) => [name, interpolate(value, variables)]),
+    );
+    return <ScriptEmbed src={options.src} attributes={attributes} />;
+}
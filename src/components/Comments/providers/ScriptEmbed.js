@@ -0,0 +1,24 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * Loads a third-party comment widget by appending its `<script>` tag (with the
+ * given attributes) to a container. The script is re-added whenever the
+ * attributes change, e.g. when the color mode is switched.
+ */
+export default function ScriptEmbed({ src, attributes }) {
+    const container = useRef(null);
+    const key = JSON.stringify(attributes);
+
+    useEffect(() => {
+        const element = container.current;
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        script.crossOrigin = 'anonymous';
+        Object.entries(JSON.parse(key)).forEach(([name, value]) => script.setAttribute(name, value));
+        element.replaceChildren(script);
+        return () => element.replaceChildren();
+    }, [src, key]);
+
+    return <div id="comments" ref={container} />;
+}
@@ -0,0 +1,14 @@
+import React from 'react';
+import ScriptEmbed from './ScriptEmbed';
+
+export default function UtterancesProvider({ options, mapping, category, colorMode }) {
+    const attributes = {
+        repo: options.repo,
+        'issue-term': mapping,
+        theme: colorMode === 'dark' ? 'github-dark' : 'github-light',
+    };
+    if (category) {
+        attributes.label = category;
+    }
+    return <ScriptEmbed src={options.src} attributes={attributes} />;
+}
@@ -0,0 +1,21 @@
+import Giscus from './Giscus';
+import Utterances from './Utterances';
+import Script from './Script';
+
+/**
+ * Comment providers by the name used in `themeConfig.comments.provider`.
+ *
+ * A provider is a component receiving:
+ * - `options`: its own block of the config (`themeConfig.comments[name]`)
+ * - `mapping`: how pages map to threads ("pathname", "url", "title", "og:title")
+ * - `category`: the category configured for docs or blog posts, if any
+ * - `colorMode` and `locale` of the current page
+ *
+ * To add one, create a component here, register it below and, optionally,
+ * describe its options in plugins/comments.
+ */
+export default {
+    giscus: Giscus,
+    utterances: Utterances,
+    script: Script,
+};
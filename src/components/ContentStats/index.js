@@ -0,0 +1,145 @@
+import React from 'react';
+import Link from '@docusaurus/Link';
+import { usePluginData } from '@docusaurus/useGlobalData';
+import styles from './styles.module.css';
+
+// Formatting
+const numberFormat = new Intl.NumberFormat('en-US');
+const dateFormat = new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+});
+
+function formatMinutes(minutes) {
+    if (minutes < 60) {
+        return `${minutes} min`;
+    }
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 === 0 ? `${hours} h` : `${hours} h ${minutes % 60} min`;
+}
+
+function countSamples(codeSamples) {
+    return Object.values(codeSamples).reduce((sum, count) => sum + count, 0);
+}
+
+function StatCards({ stats }) {
+    const cards = [
+        stats.topics !== undefined && { label: 'Topics', value: stats.topics },
+        { label: 'Chapters', value: stats.chapters },
+        { label: 'Words', value: numberFormat.format(stats.words) },
+        { label: 'Reading time', value: formatMinutes(stats.readingMinutes) },
+        { label: 'Interview questions', value: stats.questions },
+        { label: 'Diagrams', value: stats.diagrams },
+        { label: 'Code samples', value: countSamples(stats.codeSamples) },
+    ].filter(Boolean);
+
+    return (
+        <dl className={styles.cards}>
+            {cards.map((card) => (
+                <div key={card.label} className={styles.card}>
+                    <dt className={styles.cardLabel}>{card.label}</dt>
+                    <dd className={styles.cardValue}>{card.value}</dd>
+                </div>
+            ))}
+        </dl>
+    );
+}
+
+function Languages({ codeSamples }) {
+    const languages = Object.entries(codeSamples).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    if (languages.length === 0) {
+        return null;
+    }
+    return (
+        <div className={styles.languages}>
+            <span className={styles.languagesLabel}>Code samples by language:</span>
+            <ul className={styles.languageList}>
+                {languages.map(([language, count]) => (
+                    <li key={language} className={styles.language}>
+                        <code>{language}</code> {count}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+function LastUpdated({ timestamp }) {
+    if (!timestamp) {
+        return null;
+    }
+    return (
+        <p className={styles.updated}>
+            Last updated <time dateTime={new Date(timestamp).toISOString()}>{dateFormat.format(timestamp)}</time>
+        </p>
+    );
+}
+
+function TopicTable({ topics }) {
+    return (
+        <table className={styles.table}>
+            <thead>
+                <tr>
+                    <th>Topic</th>
+                    <th>Chapters</th>
+                    <th>Questions</th>
+                    <th>Diagrams</th>
+                    <th>Code samples</th>
+                    <th>Reading time</th>
+                    <th>Last updated</th>
+                </tr>
+            </thead>
+            <tbody>
+                {topics.map((topic) => (
+                    <tr key={topic.id}>
+                        <td>{topic.permalink ? <Link to={topic.permalink}>{topic.label}</Link> : topic.label}</td>
+                        <td>{topic.chapters}</td>
+                        <td>{topic.questions}</td>
+                        <td>{topic.diagrams}</td>
+                        <td>{countSamples(topic.codeSamples)}</td>
+                        <td>{formatMinutes(topic.readingMinutes)}</td>
+                        <td>{topic.lastUpdatedAt ? dateFormat.format(topic.lastUpdatedAt) : '—'}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+/**
+ * Content statistics computed at build time by the content-stats plugin.
+ * Without props it shows the whole wiki with a per-topic table; with
+ * `topic="08-caching"` it shows a single topic.
+ */
+export default function ContentStats({ topic }) {
+    const data = usePluginData('content-stats');
+
+    if (!topic) {
+        return (
+            <div className={styles.stats}>
+                <StatCards stats={data.totals} />
+                <Languages codeSamples={data.totals.codeSamples} />
+                <TopicTable topics={data.topics} />
+                <LastUpdated timestamp={data.totals.lastUpdatedAt} />
+            </div>
+        );
+    }
+
+    const stats = data.topics.find((entry) => entry.id === topic);
+    if (!stats) {
+        return (
+            <div className="alert alert--warning">
+                No content statistics found for topic <code>{topic}</code>.
+            </div>
+        );
+    }
+    return (
+        <div className={styles.stats}>
+            <StatCards stats={stats} />
+            <Languages codeSamples={stats.codeSamples} />
+            <LastUpdated timestamp={stats.lastUpdatedAt} />
+        </div>
+    );
+}
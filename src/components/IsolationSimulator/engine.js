@@ -0,0 +1,419 @@
+/**
+ * A small in-memory database for stepping through concurrent transactions.
+ * Reads work as in PostgreSQL and MySQL InnoDB; the write rules follow
+ * PostgreSQL:
+ *
+ * - Rows are kept as chains of versions (MVCC); a version is created by a
+ *   transaction and is visible to another one depending on its isolation
+ *   level: the newest version that is not rolled back (Read Uncommitted), the
+ *   newest committed version when each statement starts (Read Committed) or
+ *   the newest committed version when the transaction's first statement
+ *   started (Repeatable Read and Serializable, a snapshot).
+ * - Writes take an exclusive lock on the row, held until commit or rollback.
+ *   A write to a row locked by another transaction blocks, and runs again
+ *   when the lock is released; a wait that closes a cycle in the wait-for
+ *   graph is a deadlock, resolved by rolling back the transaction that
+ *   would wait.
+ * - Under Repeatable Read and Serializable, a write to a row changed by a
+ *   transaction that committed after the snapshot fails (first updater
+ *   wins). InnoDB's Repeatable Read instead writes over the latest committed
+ *   version, which lets lost updates through. Serializable also fails a
+ *   commit whose reads were overwritten by a concurrent transaction that
+ *   committed first.
+ *
+ * Statements note the anomalies they run into (dirty, non-repeatable and
+ * phantom reads, lost updates, write skew) so that the simulator can point
+ * them out.
+ */
+
+export const LEVELS = [
+    { id: 'read-uncommitted', label: 'Read Uncommitted' },
+    { id: 'read-committed', label: 'Read Committed' },
+    { id: 'repeatable-read', label: 'Repeatable Read' },
+    { id: 'serializable', label: 'Serializable' },
+];
+
+// Creator of the rows a scenario starts with, committed before anything else.
+const INITIAL = 0;
+
+const usesSnapshot = (level) => level === 'repeatable-read' || level === 'serializable';
+
+function createState(scenario, level) {
+    if (!LEVELS.some((candidate) => candidate.id === level)) {
+        throw new Error(`Unknown isolation level "${level}", expected one of ${LEVELS.map((l) => l.id).join(', ')}`);
+    }
+    return {
+        level,
+        scenario,
+        rows: Object.fromEntries(
+            Object.entries(scenario.rows).map(([key, value]) => [key, [{ value, creator: INITIAL }]]),
+        ),
+        // By transaction id: 'active', 'committed' or 'aborted'; commit order
+        status: { [INITIAL]: 'committed' },
+        commitSeq: { [INITIAL]: 0 },
+        names: { [INITIAL]: 'initial' },
+        seq: 0,
+        nextId: 1,
+        // Row key → name of the transaction holding its exclusive lock
+        locks: {},
+        txs: Object.fromEntries(
+            Object.keys(scenario.transactions).map((name) => [
+                name,
+                {
+                    name,
+                    id: null,
+                    // 'idle' (before BEGIN), 'active', 'blocked', 'committed' or 'aborted'
+                    state: 'idle',
+                    pc: 0,
+                    // Commits that happened before BEGIN
+                    startSeq: null,
+                    snapshot: null,
+                    waitingFor: null,
+                    waitingKey: null,
+                    reads: {},
+                    readFrom: {},
+                    scans: {},
+                    predicates: [],
+                    writes: new Set(),
+                },
+            ]),
+        ),
+        events: [],
+    };
+}
+
+function snapshotOf(state, tx) {
+    return usesSnapshot(state.level) ? tx.snapshot : state.seq;
+}
+
+function isVisible(state, tx, creator) {
+    if (creator === tx.id) {
+        return true;
+    }
+    if (state.level === 'read-uncommitted') {
+        return state.status[creator] !== 'aborted';
+    }
+    return state.status[creator] === 'committed' && state.commitSeq[creator] <= snapshotOf(state, tx);
+}
+
+/** The version of a row a transaction reads, or null when it sees no such row. */
+export function visibleVersion(state, tx, key) {
+    const chain = state.rows[key] ?? [];
+    for (let i = chain.length - 1; i >= 0; i--) {
+        if (isVisible(state, tx, chain[i].creator)) {
+            return chain[i];
+        }
+    }
+    return null;
+}
+
+function latestCommitted(state, key) {
+    const chain = state.rows[key] ?? [];
+    return [...chain].reverse().find((version) => state.status[version.creator] === 'committed') ?? null;
+}
+
+/** Committed values of the rows, as a transaction starting now would read them. */
+export function committedValues(state) {
+    return Object.fromEntries(
+        Object.keys(state.rows)
+            .map((key) => [key, latestCommitted(state, key)?.value])
+            .filter(([, value]) => value !== undefined),
+    );
+}
+
+function isDirty(state, tx, version) {
+    return version !== null && version.creator !== tx.id && state.status[version.creator] === 'active';
+}
+
+function record(state, tx, step, result, notes = []) {
+    state.events.push({ tx: tx.name, sql: step.sql, result, notes });
+}
+
+function releaseLocks(state, tx) {
+    Object.keys(state.locks)
+        .filter((key) => state.locks[key] === tx.name)
+        .forEach((key) => delete state.locks[key]);
+
+    // Blocked statements run again now that the lock they wait for is free.
+    Object.values(state.txs)
+        .filter((other) => other.state === 'blocked' && other.waitingFor === tx.name)
+        .forEach((other) => {
+            other.state = 'active';
+            other.waitingFor = null;
+            other.waitingKey = null;
+            runStep(state, other, { resumed: true });
+        });
+}
+
+function abort(state, tx, step, result, notes) {
+    state.status[tx.id] = 'aborted';
+    tx.state = 'aborted';
+    record(state, tx, step, result, notes);
+    releaseLocks(state, tx);
+}
+
+/** Whether `from` waits, directly or through other transactions, for `target`. */
+function waitsFor(state, from, target) {
+    const seen = new Set();
+    for (let current = from; current && !seen.has(current); current = state.txs[current].waitingFor) {
+        if (current === target) {
+            return true;
+        }
+        seen.add(current);
+    }
+    return false;
+}
+
+/** Rows `other` changed that `tx` read in an older version. */
+function staleReads(tx, other) {
+    return [...other.writes].filter((key) => key in tx.readFrom && tx.readFrom[key] !== other.id);
+}
+
+/**
+ * A transaction that committed while `tx` ran, read rows `tx` changed and
+ * changed other rows `tx` read: each decided on data the other one changed.
+ */
+function findWriteSkew(state, tx) {
+    return Object.values(state.txs).find(
+        (other) =>
+            other !== tx &&
+            other.state === 'committed' &&
+            state.commitSeq[other.id] > tx.startSeq &&
+            ![...other.writes].some((key) => tx.writes.has(key)) &&
+            staleReads(tx, other).length > 0 &&
+            staleReads(other, tx).length > 0,
+    );
+}
+
+function scanRows(state, tx, where) {
+    return Object.keys(state.rows)
+        .map((key) => ({ key, version: visibleVersion(state, tx, key) }))
+        .filter(({ key, version }) => version !== null && where(version.value, key));
+}
+
+const OPERATIONS = {
+    begin(state, tx, step) {
+        tx.id = state.nextId++;
+        tx.startSeq = state.seq;
+        state.status[tx.id] = 'active';
+        state.names[tx.id] = tx.name;
+        tx.state = 'active';
+        record(state, tx, step, LEVELS.find((level) => level.id === state.level).label);
+    },
+
+    read(state, tx, step) {
+        const version = visibleVersion(state, tx, step.key);
+        const value = version?.value ?? null;
+        const notes = [];
+        if (isDirty(state, tx, version)) {
+            notes.push({ kind: 'anomaly', text: `Dirty read: ${state.names[version.creator]} has not committed ${value}` });
+        }
+        if (step.key in tx.reads && tx.reads[step.key] !== value && !tx.writes.has(step.key)) {
+            notes.push({ kind: 'anomaly', text: `Non-repeatable read: was ${tx.reads[step.key]}` });
+        }
+        tx.reads[step.key] = value;
+        tx.readFrom[step.key] = version?.creator ?? null;
+        record(state, tx, step, value === null ? 'no row' : `${step.key} = ${value}`, notes);
+    },
+
+    scan(state, tx, step) {
+        const rows = scanRows(state, tx, step.where);
+        const keys = rows.map(({ key }) => key);
+        const notes = rows
+            .filter(({ version }) => isDirty(state, tx, version))
+            .map(({ key, version }) => ({
+                kind: 'anomaly',
+                text: `Dirty read: ${state.names[version.creator]} has not committed ${key} = ${version.value}`,
+            }));
+
+        const previous = tx.scans[step.sql];
+        if (previous) {
+            const appeared = keys.filter((key) => !previous.includes(key));
+            const vanished = previous.filter((key) => !keys.includes(key));
+            if (appeared.length > 0 || vanished.length > 0) {
+                const changes = [
+                    ...appeared.map((key) => `${key} appeared`),
+                    ...vanished.map((key) => `${key} vanished`),
+                ];
+                notes.push({ kind: 'anomaly', text: `Phantom read: ${changes.join(', ')}` });
+            }
+        }
+        tx.scans[step.sql] = keys;
+        tx.predicates.push(step.where);
+        rows.forEach(({ key, version }) => {
+            tx.readFrom[key] = version.creator;
+        });
+
+        const result =
+            step.aggregate === 'count'
+                ? `count = ${rows.length}`
+                : rows.map(({ key, version }) => `${key} = ${version.value}`).join(', ') || 'no rows';
+        record(state, tx, step, result, notes);
+    },
+
+    write(state, tx, step, { resumed }) {
+        const resumedNote = resumed ? [{ kind: 'resumed', text: 'Lock granted, statement resumed' }] : [];
+        const holder = state.locks[step.key];
+        if (holder && holder !== tx.name) {
+            if (waitsFor(state, holder, tx.name)) {
+                abort(state, tx, step, 'rolled back', [
+                    {
+                        kind: 'error',
+                        text:
+                            `Deadlock: ${tx.name} would wait for ${holder}'s lock on ${step.key} ` +
+                            `while ${holder} waits for ${tx.name}; ${tx.name} is rolled back`,
+                    },
+                ]);
+                return 'done';
+            }
+            tx.state = 'blocked';
+            tx.waitingFor = holder;
+            tx.waitingKey = step.key;
+            record(state, tx, step, 'waiting', [
+                { kind: 'blocked', text: `Blocked: ${holder} holds the lock on ${step.key}` },
+            ]);
+            return 'blocked';
+        }
+
+        const latest = latestCommitted(state, step.key);
+        const concurrent = latest !== null && latest.creator !== tx.id && !isVisible(state, tx, latest.creator);
+        if (usesSnapshot(state.level) && concurrent) {
+            abort(state, tx, step, 'rolled back', [
+                ...resumedNote,
+                {
+                    kind: 'error',
+                    text:
+                        `Serialization failure: ${state.names[latest.creator]} changed ${step.key} ` +
+                        "after this transaction's snapshot",
+                },
+            ]);
+            return 'done';
+        }
+
+        const notes = [...resumedNote];
+        const readFrom = tx.readFrom[step.key];
+        if (readFrom !== undefined && latest !== null && latest.creator !== readFrom && latest.creator !== tx.id) {
+            notes.push({
+                kind: 'anomaly',
+                text:
+                    `Lost update: overwrites ${state.names[latest.creator]}'s committed ${step.key} = ${latest.value}, ` +
+                    'which this transaction never read',
+            });
+        }
+
+        state.locks[step.key] = tx.name;
+        state.rows[step.key] = [...(state.rows[step.key] ?? []), { value: step.value, creator: tx.id }];
+        tx.writes.add(step.key);
+        record(state, tx, step, `${step.key} = ${step.value}`, notes);
+        return 'done';
+    },
+
+    commit(state, tx, step) {
+        if (state.level === 'serializable' && tx.writes.size > 0) {
+            const conflict = Object.values(state.txs).find(
+                (other) =>
+                    other !== tx &&
+                    other.state === 'committed' &&
+                    state.commitSeq[other.id] > tx.snapshot &&
+                    [...other.writes].some(
+                        (key) =>
+                            key in tx.readFrom ||
+                            state.rows[key].some(
+                                (version) =>
+                                    (version.creator === other.id || isVisible(state, tx, version.creator)) &&
+                                    tx.predicates.some((where) => where(version.value, key)),
+                            ),
+                    ),
+            );
+            if (conflict) {
+                abort(state, tx, step, 'rolled back', [
+                    {
+                        kind: 'error',
+                        text: `Serialization failure: ${conflict.name} committed a change to rows this transaction read`,
+                    },
+                ]);
+                return;
+            }
+        }
+
+        const notes = [];
+        const skewed = tx.writes.size > 0 && findWriteSkew(state, tx);
+        if (skewed) {
+            notes.push({
+                kind: 'anomaly',
+                text:
+                    `Write skew: ${skewed.name} changed ${staleReads(tx, skewed).join(', ')} after this transaction ` +
+                    `read it, and read ${staleReads(skewed, tx).join(', ')} that this transaction changed`,
+            });
+        }
+
+        state.seq++;
+        state.commitSeq[tx.id] = state.seq;
+        state.status[tx.id] = 'committed';
+        tx.state = 'committed';
+        record(state, tx, step, 'committed', notes);
+        releaseLocks(state, tx);
+    },
+
+    rollback(state, tx, step) {
+        abort(state, tx, step, 'rolled back', []);
+    },
+};
+
+function runStep(state, tx, options = {}) {
+    const step = state.scenario.transactions[tx.name][tx.pc];
+    if (usesSnapshot(state.level) && tx.snapshot === null && step.op !== 'begin') {
+        tx.snapshot = state.seq;
+    }
+    const outcome = OPERATIONS[step.op](state, tx, step, options);
+    if (outcome !== 'blocked' && tx.state !== 'aborted') {
+        tx.pc++;
+    }
+}
+
+/** Whether a transaction has a next statement and is not waiting for a lock. */
+export function canStep(state, name) {
+    const tx = state.txs[name];
+    return (
+        (tx.state === 'idle' || tx.state === 'active') && tx.pc < state.scenario.transactions[name].length
+    );
+}
+
+export function isFinished(state) {
+    return Object.values(state.txs).every((tx) => tx.state === 'committed' || tx.state === 'aborted');
+}
+
+/**
+ * Replays the statements the reader stepped through, as transaction names
+ * in the order they were stepped. Steps of a transaction that cannot move
+ * (blocked, finished) are ignored, so that the same steps can be replayed
+ * under another isolation level.
+ */
+export function simulate(scenario, level, steps) {
+    const state = createState(scenario, level);
+    steps.forEach((name) => {
+        if (canStep(state, name)) {
+            runStep(state, state.txs[name]);
+        }
+    });
+    return state;
+}
+
+/**
+ * The transaction the scenario's own interleaving (`scenario.order`) steps
+ * next after `steps`, or any transaction that can move when the reader went
+ * another way.
+ */
+export function suggestNext(state, steps) {
+    const { order, transactions } = state.scenario;
+    const taken = {};
+    steps.forEach((name) => {
+        taken[name] = (taken[name] ?? 0) + 1;
+    });
+    const planned = {};
+    const next = order.find((name) => {
+        planned[name] = (planned[name] ?? 0) + 1;
+        return planned[name] > (taken[name] ?? 0) && canStep(state, name);
+    });
+    return next ?? Object.keys(transactions).find((name) => canStep(state, name)) ?? null;
+}
@@ -0,0 +1,305 @@
+import React, { useMemo, useState } from 'react';
+import clsx from 'clsx';
+import { LEVELS, canStep, committedValues, isFinished, simulate, suggestNext, visibleVersion } from './engine';
+import { SCENARIOS } from './scenarios';
+import styles from './styles.module.css';
+
+const STATE_LABELS = {
+    idle: 'not started',
+    active: 'active',
+    blocked: 'blocked',
+    committed: 'committed',
+    aborted: 'rolled back',
+};
+
+function findScenario(id) {
+    const scenario = SCENARIOS.find((candidate) => candidate.id === id);
+    if (!scenario) {
+        throw new Error(`Unknown scenario "${id}", expected one of ${SCENARIOS.map((s) => s.id).join(', ')}`);
+    }
+    return scenario;
+}
+
+function Notes({ notes }) {
+    return notes.map((note, index) => (
+        <span key={index} className={clsx(styles.note, styles[`note_${note.kind}`])}>
+            {note.text}
+        </span>
+    ));
+}
+
+function Lane({ state, name, onStep }) {
+    const tx = state.txs[name];
+    const statements = state.scenario.transactions[name];
+    const done = (index) => index < tx.pc || (tx.state === 'aborted' && index <= tx.pc);
+
+    return (
+        <div className={styles.lane}>
+            <div className={styles.laneHeader}>
+                <strong>Transaction {name}</strong>
+                <span className={clsx(styles.state, styles[`state_${tx.state}`])}>{STATE_LABELS[tx.state]}</span>
+            </div>
+            <ol className={styles.statements}>
+                {statements.map((statement, index) => (
+                    <li
+                        key={index}
+                        className={clsx(
+                            done(index) && styles.statementDone,
+                            index === tx.pc && canStep(state, name) && styles.statementNext,
+                            index === tx.pc && tx.state === 'blocked' && styles.statementBlocked,
+                        )}
+                    >
+                        <code>{statement.sql}</code>
+                    </li>
+                ))}
+            </ol>
+            <button
+                type="button"
+                className="button button--secondary button--sm"
+                onClick={() => onStep(name)}
+                disabled={!canStep(state, name)}
+            >
+                {tx.state === 'blocked' ? `Waiting for ${tx.waitingFor}` : `Step ${name}`}
+            </button>
+        </div>
+    );
+}
+
+function Timeline({ state, names }) {
+    if (state.events.length === 0) {
+        return <p className={styles.hint}>Step a transaction, or press Next to follow the scenario.</p>;
+    }
+    return (
+        <div className={styles.tableWrapper}>
+            <table className={styles.timeline}>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        {names.map((name) => (
+                            <th key={name}>{name}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {state.events.map((event, index) => (
+                        <tr key={index}>
+                            <td className={styles.time}>{index + 1}</td>
+                            {names.map((name) => (
+                                <td key={name}>
+                                    {event.tx === name && (
+                                        <>
+                                            <code>{event.sql}</code>
+                                            <span className={styles.result}>→ {event.result}</span>
+                                            <Notes notes={event.notes} />
+                                        </>
+                                    )}
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+const VERSION_STATUS = { active: 'uncommitted', committed: 'committed', aborted: 'rolled back' };
+
+/** Each row's versions, who created them and which one each open transaction reads. */
+function Versions({ state, names }) {
+    const { table, column } = state.scenario;
+    const open = names.filter((name) => ['active', 'blocked'].includes(state.txs[name].state));
+
+    return (
+        <div className={styles.panel}>
+            <h4 className={styles.panelTitle}>
+                Row versions <code>{table}.{column}</code>
+            </h4>
+            <ul className={styles.rows}>
+                {Object.entries(state.rows).map(([key, chain]) => {
+                    const readers = open.map((name) => [name, visibleVersion(state, state.txs[name], key)]);
+                    return (
+                        <li key={key}>
+                            <span className={styles.rowKey}>{key}</span>
+                            {chain.map((version, index) => (
+                                <span
+                                    key={index}
+                                    className={clsx(styles.version, styles[`version_${state.status[version.creator]}`])}
+                                    title={`${state.names[version.creator]}, ${VERSION_STATUS[state.status[version.creator]]}`}
+                                >
+                                    {version.value}
+                                    <small>{state.names[version.creator]}</small>
+                                    {readers
+                                        .filter(([, visible]) => visible === version)
+                                        .map(([name]) => (
+                                            <span key={name} className={styles.reader}>
+                                                {name} reads
+                                            </span>
+                                        ))}
+                                </span>
+                            ))}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
+
+function Locks({ state }) {
+    const locks = Object.entries(state.locks);
+    const waiting = Object.values(state.txs).filter((tx) => tx.state === 'blocked');
+    return (
+        <div className={styles.panel}>
+            <h4 className={styles.panelTitle}>Locks</h4>
+            {locks.length === 0 ? (
+                <p className={styles.hint}>No locks held.</p>
+            ) : (
+                <ul className={styles.locks}>
+                    {locks.map(([key, holder]) => (
+                        <li key={key}>
+                            <code>{key}</code>: exclusive lock held by {holder}
+                            {waiting
+                                .filter((tx) => tx.waitingKey === key)
+                                .map((tx) => (
+                                    <span key={tx.name} className={clsx(styles.note, styles.note_blocked)}>
+                                        {tx.name} waits
+                                    </span>
+                                ))}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+function Outcome({ state }) {
+    const { invariant } = state.scenario;
+    if (!isFinished(state)) {
+        return null;
+    }
+    const values = committedValues(state);
+    const committed = Object.values(state.txs)
+        .filter((tx) => tx.state === 'committed')
+        .map((tx) => tx.name);
+    const holds = invariant?.holds(values, committed);
+    return (
+        <p className={clsx(styles.outcome, invariant && (holds ? styles.outcomeOk : styles.outcomeBroken))}>
+            Final data:{' '}
+            {Object.entries(values)
+                .map(([key, value]) => `${key} = ${value}`)
+                .join(', ')}
+            {invariant && (
+                <>
+                    <br />
+                    {invariant.label}: <strong>{holds ? 'holds' : 'violated'}</strong>
+                </>
+            )}
+        </p>
+    );
+}
+
+/**
+ * Steps two transactions side by side under a chosen isolation level on a
+ * small MVCC database with row locks (./engine.js): row versions, held
+ * locks, blocked statements, deadlocks and the anomalies each statement runs
+ * into are shown as they happen. Switching the level replays the same steps.
+ * `scenario` is the id of the scenario to open (./scenarios.js) and `level`
+ * the initial isolation level.
+ */
+export default function IsolationSimulator({
+    scenario: initialScenario = SCENARIOS[0].id,
+    level: initialLevel = 'read-committed',
+}) {
+    const [scenarioId, setScenarioId] = useState(initialScenario);
+    const [level, setLevel] = useState(initialLevel);
+    const [steps, setSteps] = useState([]);
+
+    const scenario = findScenario(scenarioId);
+    const state = useMemo(() => simulate(scenario, level, steps), [scenario, level, steps]);
+    const names = Object.keys(scenario.transactions);
+    const next = suggestNext(state, steps);
+
+    const step = (name) => setSteps([...steps, name]);
+    const chooseScenario = (id) => {
+        setScenarioId(id);
+        setSteps([]);
+    };
+
+    return (
+        <div className={styles.simulator}>
+            <div className={styles.controls}>
+                <label className={styles.control}>
+                    Scenario
+                    <select value={scenarioId} onChange={(event) => chooseScenario(event.target.value)}>
+                        {SCENARIOS.map((candidate) => (
+                            <option key={candidate.id} value={candidate.id}>
+                                {candidate.title}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <div className={styles.levels} role="radiogroup" aria-label="Isolation level">
+                    {LEVELS.map((candidate) => (
+                        <button
+                            key={candidate.id}
+                            type="button"
+                            role="radio"
+                            aria-checked={candidate.id === level}
+                            className={clsx(
+                                'button button--sm button--primary',
+                                candidate.id !== level && 'button--outline',
+                            )}
+                            onClick={() => setLevel(candidate.id)}
+                        >
+                            {candidate.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <p className={styles.description}>{scenario.description}</p>
+
+            <div className={styles.lanes}>
+                {names.map((name) => (
+                    <Lane key={name} state={state} name={name} onStep={step} />
+                ))}
+            </div>
+
+            <div className={styles.toolbar}>
+                <button
+                    type="button"
+                    className="button button--primary button--sm"
+                    onClick={() => step(next)}
+                    disabled={!next}
+                >
+                    {next ? `Next (${next})` : 'Done'}
+                </button>
+                <button
+                    type="button"
+                    className="button button--secondary button--sm"
+                    onClick={() => setSteps(steps.slice(0, -1))}
+                    disabled={steps.length === 0}
+                >
+                    Back
+                </button>
+                <button
+                    type="button"
+                    className="button button--secondary button--sm"
+                    onClick={() => setSteps([])}
+                    disabled={steps.length === 0}
+                >
+                    Reset
+                </button>
+            </div>
+
+            <Timeline state={state} names={names} />
+            <Outcome state={state} />
+
+            <div className={styles.panels}>
+                <Versions state={state} names={names} />
+                <Locks state={state} />
+            </div>
+        </div>
+    );
+}
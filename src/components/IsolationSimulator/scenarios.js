@@ -0,0 +1,142 @@
+/**
+ * Scenarios of the isolation simulator: the rows a table starts with, the
+ * statements of transactions A and B, and the interleaving "Next" follows
+ * (`order`, one transaction name per statement). `invariant` is a rule of
+ * the data checked once both transactions are over.
+ */
+
+const begin = { op: 'begin', sql: 'BEGIN' };
+const commit = { op: 'commit', sql: 'COMMIT' };
+const rollback = { op: 'rollback', sql: 'ROLLBACK' };
+
+const selectBalance = (key) => ({
+    op: 'read',
+    key,
+    sql: `SELECT balance FROM accounts WHERE id = '${key}'`,
+});
+const setBalance = (key, value, note = '') => ({
+    op: 'write',
+    key,
+    value,
+    sql: `UPDATE accounts SET balance = ${value} WHERE id = '${key}'${note ? ` -- ${note}` : ''}`,
+});
+
+const countRich = {
+    op: 'scan',
+    aggregate: 'count',
+    where: (balance) => balance >= 500,
+    sql: 'SELECT COUNT(*) FROM accounts WHERE balance >= 500',
+};
+
+const countOnCall = {
+    op: 'scan',
+    aggregate: 'count',
+    where: (onCall) => onCall === 1,
+    sql: 'SELECT COUNT(*) FROM doctors WHERE on_call = 1',
+};
+const goOffCall = (key) => ({
+    op: 'write',
+    key,
+    value: 0,
+    sql: `UPDATE doctors SET on_call = 0 WHERE id = '${key}'`,
+});
+
+export const SCENARIOS = [
+    {
+        id: 'dirty-read',
+        title: 'Dirty read',
+        description: 'A changes a balance and rolls back. Does B read the value that never existed?',
+        table: 'accounts',
+        column: 'balance',
+        rows: { alice: 1000 },
+        transactions: {
+            A: [begin, setBalance('alice', 500), rollback],
+            B: [begin, selectBalance('alice'), commit],
+        },
+        order: ['A', 'A', 'B', 'B', 'A', 'B'],
+    },
+    {
+        id: 'non-repeatable-read',
+        title: 'Non-repeatable read',
+        description: 'A reads the same row twice while B changes it and commits in between.',
+        table: 'accounts',
+        column: 'balance',
+        rows: { alice: 1000 },
+        transactions: {
+            A: [begin, selectBalance('alice'), selectBalance('alice'), commit],
+            B: [begin, setBalance('alice', 500), commit],
+        },
+        order: ['A', 'A', 'B', 'B', 'B', 'A', 'A'],
+    },
+    {
+        id: 'phantom-read',
+        title: 'Phantom read',
+        description: 'A counts the rows matching a condition twice while B inserts a matching row and commits.',
+        table: 'accounts',
+        column: 'balance',
+        rows: { alice: 1000, bob: 800, carol: 100 },
+        transactions: {
+            A: [begin, countRich, countRich, commit],
+            B: [
+                begin,
+                {
+                    op: 'write',
+                    key: 'dave',
+                    value: 700,
+                    sql: "INSERT INTO accounts (id, balance) VALUES ('dave', 700)",
+                },
+                commit,
+            ],
+        },
+        order: ['A', 'A', 'B', 'B', 'B', 'A', 'A'],
+    },
+    {
+        id: 'lost-update',
+        title: 'Lost update',
+        description:
+            'A withdraws 100 and B withdraws 200 from the same account, each computing the new balance from what it read.',
+        table: 'accounts',
+        column: 'balance',
+        rows: { alice: 1000 },
+        transactions: {
+            A: [begin, selectBalance('alice'), setBalance('alice', 900, '1000 - 100'), commit],
+            B: [begin, selectBalance('alice'), setBalance('alice', 800, '1000 - 200'), commit],
+        },
+        order: ['A', 'A', 'B', 'B', 'A', 'B', 'A', 'B'],
+        invariant: {
+            label: 'Both withdrawals are reflected (balance = 700), or one transaction failed',
+            holds: (values, committed) => committed.length < 2 || values.alice === 700,
+        },
+    },
+    {
+        id: 'write-skew',
+        title: 'Write skew',
+        description:
+            'At least one doctor must stay on call. Alice and Bob each check that someone else is on call, then go off call.',
+        table: 'doctors',
+        column: 'on_call',
+        rows: { alice: 1, bob: 1 },
+        transactions: {
+            A: [begin, countOnCall, goOffCall('alice'), commit],
+            B: [begin, countOnCall, goOffCall('bob'), commit],
+        },
+        order: ['A', 'A', 'B', 'B', 'A', 'B', 'A', 'B'],
+        invariant: {
+            label: 'At least one doctor is on call',
+            holds: (values) => Object.values(values).some((onCall) => onCall === 1),
+        },
+    },
+    {
+        id: 'deadlock',
+        title: 'Deadlock',
+        description: 'A transfers from Alice to Bob while B transfers from Bob to Alice, locking the rows in opposite order.',
+        table: 'accounts',
+        column: 'balance',
+        rows: { alice: 1000, bob: 1000 },
+        transactions: {
+            A: [begin, setBalance('alice', 900), setBalance('bob', 1100), commit],
+            B: [begin, setBalance('bob', 950), setBalance('alice', 1050), commit],
+        },
+        order: ['A', 'B', 'A', 'B', 'A', 'B', 'A', 'B'],
+    },
+];
@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from 'react';
+import clsx from 'clsx';
+import { useLocation } from '@docusaurus/router';
+import useActiveSection from './useActiveSection';
+import styles from './styles.module.css';
+
+// Sections of a page, or the h2 headings of a doc or blog post.
+export const SECTION_SELECTOR = 'main section[id]';
+export const HEADING_SELECTOR = '.markdown h2[id]';
+
+function labelOf(element) {
+    if (element.dataset.navLabel) {
+        return element.dataset.navLabel;
+    }
+    if (/^H\d$/.test(element.tagName)) {
+        // Leaves out the heading's anchor link, whose text is a zero-width space.
+        return element.textContent.replace(/\u200b/g, '').trim();
+    }
+    return element.id.charAt(0).toUpperCase() + element.id.slice(1).replace(/-/g, ' ');
+}
+
+/**
+ * Fixed column of dots linking to the sections of the current page, with the
+ * section being read highlighted. Sections are discovered in the DOM with
+ * `selector`; an element's `data-nav-label` overrides its label.
+ */
+export default function NavDots({ selector = SECTION_SELECTOR, label = 'Page sections', compact = false }) {
+    const { pathname } = useLocation();
+    const [elements, setElements] = useState([]);
+    const active = useActiveSection(elements);
+
+    useEffect(() => {
+        setElements([...document.querySelectorAll(selector)]);
+    }, [selector, pathname]);
+
+    if (elements.length < 2) {
+        return null;
+    }
+
+    return (
+        <nav className={clsx(styles.navDots, compact && styles.compact)} aria-label={label}>
+            <ol className={styles.list}>
+                {elements.map((element) => {
+                    const isActive = element.id === active;
+                    return (
+                        <li key={element.id}>
+                            <a
+                                href={`#${element.id}`}
+                                className={clsx(styles.navDot, isActive && styles.navDotActive)}
+                                aria-current={isActive ? 'location' : undefined}
+                            >
+                                <span className={styles.navDotLabel}>{labelOf(element)}</span>
+                            </a>
+                        </li>
+                    );
+                })}
+            </ol>
+        </nav>
+    );
+}
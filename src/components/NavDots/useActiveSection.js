@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+
+// A thin band a third of the way down the viewport: the section or heading
+// crossing it is the one being read.
+const ROOT_MARGIN = '-33% 0px -66% 0px';
+
+/**
+ * Watches the given elements and returns the id of the active one. Scrolling
+ * back above a heading makes the previous one active again, so short
+ * headings work as well as full-height sections.
+ *
+ * @param {HTMLElement[]} elements
+ */
+export default function useActiveSection(elements) {
+    const [active, setActive] = useState(null);
+
+    useEffect(() => {
+        if (elements.length === 0 || typeof IntersectionObserver === 'undefined') {
+            return undefined;
+        }
+        setActive(elements[0].id);
+
+        const observer = new IntersectionObserver(
+            (entries) => {
+                entries.forEach((entry) => {
+                    const index = elements.indexOf(entry.target);
+                    if (entry.isIntersecting) {
+                        setActive(entry.target.id);
+                    } else if (entry.rootBounds && entry.boundingClientRect.top > entry.rootBounds.bottom) {
+                        // Left the band downwards: the reader went back up past it.
+                        setActive((current) =>
+                            current === entry.target.id && index > 0 ? elements[index - 1].id : current,
+                        );
+                    }
+                });
+            },
+            { rootMargin: ROOT_MARGIN },
+        );
+        elements.forEach((element) => observer.observe(element));
+        return () => observer.disconnect();
+    }, [elements]);
+
+    return active;
+}
@@ -0,0 +1,137 @@
+import React from 'react';
+import clsx from 'clsx';
+import { usePluginData } from '@docusaurus/useGlobalData';
+import Layout from '@theme/Layout';
+import useOfflineDownloads from './useOfflineDownloads';
+import styles from './styles.module.css';
+
+function formatBytes(bytes) {
+    if (bytes === null) return '—';
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
+
+// Space used by downloads, by the whole site and the browser's quota
+function StorageUsage({ usage }) {
+    if (!usage) {
+        return null;
+    }
+    const share = usage.usage !== null && usage.quota ? Math.min(100, (usage.usage / usage.quota) * 100) : null;
+    return (
+        <section className={styles.storage} aria-label="Storage usage">
+            <div className={styles.storageFigures}>
+                <div>
+                    <span className={styles.storageValue}>{formatBytes(usage.offline)}</span>
+                    <span className={styles.storageLabel}>downloaded chapters</span>
+                </div>
+                <div>
+                    <span className={styles.storageValue}>{formatBytes(usage.usage)}</span>
+                    <span className={styles.storageLabel}>used by this site of {formatBytes(usage.quota)} available</span>
+                </div>
+            </div>
+            {share !== null && (
+                <div className={styles.meter} role="meter" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(share)}>
+                    <div className={styles.meterFill} style={{ width: `${share}%` }} />
+                </div>
+            )}
+            <p className={styles.storageNote}>
+                {usage.persisted
+                    ? 'Downloads are kept even when the device runs low on space.'
+                    : 'The browser may clear downloads when the device runs low on space.'}
+            </p>
+        </section>
+    );
+}
+
+function TopicRow({ topic, download, progress, onDownload, onRemove }) {
+    const busy = Boolean(progress);
+    const outdated =
+        download && topic.docs.some((doc) => download.pages[doc.permalink]?.hash !== doc.hash);
+
+    let status = `${topic.docs.length} chapter${topic.docs.length === 1 ? '' : 's'}`;
+    if (busy) {
+        status = progress.total ? `Downloading ${progress.done} / ${progress.total}…` : 'Preparing download…';
+    } else if (download) {
+        status += ` · downloaded ${new Date(download.downloadedAt).toLocaleDateString()}`;
+        if (outdated) status += ' · update available';
+    }
+
+    return (
+        <li className={clsx(styles.topic, download && styles.topicDownloaded)}>
+            <div className={styles.topicInfo}>
+                <span className={styles.topicLabel}>{topic.label}</span>
+                <span className={styles.topicStatus}>{status}</span>
+                {busy && (
+                    <progress className={styles.topicProgress} value={progress.done} max={progress.total ?? undefined} />
+                )}
+            </div>
+            <div className={styles.topicActions}>
+                {(!download || outdated) && (
+                    <button type="button" className={styles.downloadButton} disabled={busy} onClick={onDownload}>
+                        {download ? 'Update' : 'Download'}
+                    </button>
+                )}
+                {download && (
+                    <button type="button" className={styles.removeButton} disabled={busy} onClick={onRemove}>
+                        Remove
+                    </button>
+                )}
+            </div>
+        </li>
+    );
+}
+
+export default function OfflinePage() {
+    const { topics } = usePluginData('offline');
+    const { supported, downloads, usage, progress, error, download, remove } = useOfflineDownloads();
+
+    return (
+        <Layout
+            title="Offline Reading"
+            description="Download CS Fundamentals topics to read them without a connection.">
+            <main className={clsx('container', styles.offline)}>
+                <div className={styles.header}>
+                    <h1>Offline Reading</h1>
+                    <p>
+                        Pick the topics to keep on this device. Their chapters open without a connection, and
+                        they are refreshed in the background when the site changes, with a note listing what
+                        changed. Pages that are not downloaded show a list of the ones that are.
+                    </p>
+                </div>
+
+                {supported === false && (
+                    <div className="alert alert--warning" role="alert">
+                        This browser cannot store pages for offline reading
+                        {process.env.NODE_ENV !== 'production' && ' (downloads only work in production builds)'}.
+                    </div>
+                )}
+
+                {supported && (
+                    <>
+                        <StorageUsage usage={usage} />
+                        {error && (
+                            <div className="alert alert--danger" role="alert">
+                                {error}
+                            </div>
+                        )}
+                        <ul className={styles.topics}>
+                            {topics.map((topic) => (
+                                <TopicRow
+                                    key={topic.id}
+                                    topic={topic}
+                                    download={downloads[topic.id]}
+                                    progress={progress[topic.id]}
+                                    onDownload={() => download(topic.id)}
+                                    onRemove={() => remove(topic.id)}
+                                />
+                            ))}
+                        </ul>
+                    </>
+                )}
+
+                <p className={styles.footnote}>Installed as an app, the site keeps every page offline.</p>
+            </main>
+        </Layout>
+    );
+}
@@ -0,0 +1,213 @@
+/**
+ * Topics downloaded for offline reading live in one Cache Storage cache,
+ * shared by the pages and the service worker (src/sw.js): each chapter's HTML,
+ * the scripts, styles and images it needs, and a state entry recording what
+ * was downloaded from which build:
+ *
+ *     {topics: {[id]: {label, buildId, downloadedAt, pages: {[permalink]: {title, hash, assets}}}}}
+ *
+ * static/offline-fallback.html reads the same cache; keep both in sync.
+ */
+export const CACHE_NAME = 'cs-wiki-offline';
+export const FALLBACK_PAGE = 'offline-fallback.html';
+const STATE_ENTRY = '__offline/state.json';
+const MANIFEST_FILE = 'offline-manifest.json';
+
+// src="..." and href="..." of scripts, styles and images in a page
+const ASSET_ATTRIBUTE = /\b(?:src|href)="([^"]+\.(?:js|css|png|jpe?g|gif|svg|webp|ico|woff2?))"/g;
+
+export function isOfflineSupported() {
+    return process.env.NODE_ENV === 'production' && 'caches' in window && 'serviceWorker' in navigator;
+}
+
+function siteUrl(baseUrl, pathname) {
+    return new URL(pathname, new URL(baseUrl, self.location.origin)).href;
+}
+
+async function readJson(cache, url) {
+    const response = await cache.match(url);
+    return response ? response.json() : null;
+}
+
+export async function readState(baseUrl) {
+    const cache = await caches.open(CACHE_NAME);
+    return (await readJson(cache, siteUrl(baseUrl, STATE_ENTRY))) ?? { topics: {} };
+}
+
+async function writeState(cache, baseUrl, state) {
+    await cache.put(
+        siteUrl(baseUrl, STATE_ENTRY),
+        new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } }),
+    );
+}
+
+/** The latest build's manifest (plugins/offline), bypassing every cache. */
+export async function fetchManifest(baseUrl) {
+    const response = await fetch(siteUrl(baseUrl, MANIFEST_FILE), { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Could not load ${MANIFEST_FILE}: HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+// Deletes what no downloaded page needs any more.
+async function prune(cache, baseUrl, state) {
+    const keep = new Set([siteUrl(baseUrl, STATE_ENTRY), siteUrl(baseUrl, FALLBACK_PAGE)]);
+    Object.values(state.topics).forEach(({ pages }) =>
+        Object.entries(pages).forEach(([permalink, { assets }]) => {
+            keep.add(siteUrl(baseUrl, permalink));
+            assets.forEach((asset) => keep.add(asset));
+        }),
+    );
+    const requests = await cache.keys();
+    await Promise.all(requests.filter(({ url }) => !keep.has(url)).map((request) => cache.delete(request)));
+}
+
+/**
+ * Caches a page and the assets it needs: those named in its HTML, plus the
+ * route's script chunks, which only show up once Docusaurus preloads them.
+ */
+async function cachePage(cache, baseUrl, permalink) {
+    const url = siteUrl(baseUrl, permalink);
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Could not download ${permalink}: HTTP ${response.status}`);
+    }
+    const html = await response.text();
+    // Rebuilt so that a redirected response can still answer navigations.
+    await cache.put(url, new Response(html, { headers: response.headers }));
+
+    await window.docusaurus.preload(permalink);
+    const assets = new Set([...html.matchAll(ASSET_ATTRIBUTE)].map(([, src]) => new URL(src, url).href));
+    performance
+        .getEntriesByType('resource')
+        .filter(({ name }) => name.startsWith(siteUrl(baseUrl, 'assets/')))
+        .forEach(({ name }) => assets.add(name));
+
+    const sameOrigin = [...assets].filter((asset) => new URL(asset).origin === self.location.origin);
+    const cached = await Promise.all(sameOrigin.map((asset) => cache.match(asset)));
+    // Script, style and image names carry a content hash: one copy is enough.
+    await Promise.all(sameOrigin.filter((asset, index) => !cached[index]).map((asset) => cache.add(asset)));
+    return sameOrigin;
+}
+
+/**
+ * Downloads every chapter of a manifest topic, replacing an earlier download
+ * of it.
+ *
+ * @param {string} baseUrl
+ * @param {{buildId: string}} manifest
+ * @param {{id: string, label: string, docs: {title: string, permalink: string, hash: string}[]}} topic
+ * @param {(done: number, total: number) => void} [onProgress]
+ */
+export async function downloadTopic(baseUrl, manifest, topic, onProgress) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.add(siteUrl(baseUrl, FALLBACK_PAGE));
+    // The default buffer of 250 entries fills up over a long reading session.
+    performance.setResourceTimingBufferSize(2000);
+
+    const pages = {};
+    for (const [index, doc] of topic.docs.entries()) {
+        pages[doc.permalink] = {
+            title: doc.title,
+            hash: doc.hash,
+            assets: await cachePage(cache, baseUrl, doc.permalink),
+        };
+        onProgress?.(index + 1, topic.docs.length);
+    }
+
+    const state = await readState(baseUrl);
+    state.topics[topic.id] = {
+        label: topic.label,
+        buildId: manifest.buildId,
+        downloadedAt: new Date().toISOString(),
+        pages,
+    };
+    await writeState(cache, baseUrl, state);
+    await prune(cache, baseUrl, state);
+}
+
+export async function removeTopic(baseUrl, topicId) {
+    const cache = await caches.open(CACHE_NAME);
+    const state = await readState(baseUrl);
+    delete state.topics[topicId];
+    await writeState(cache, baseUrl, state);
+    await prune(cache, baseUrl, state);
+}
+
+/**
+ * Chapters of `docs` that differ from the downloaded `pages`, as
+ * {title, permalink, status: "added" | "updated" | "removed"}.
+ */
+export function diffChapters(pages, docs) {
+    const changes = docs
+        .filter((doc) => pages[doc.permalink]?.hash !== doc.hash)
+        .map(({ title, permalink }) => ({ title, permalink, status: pages[permalink] ? 'updated' : 'added' }));
+    const current = new Set(docs.map(({ permalink }) => permalink));
+    Object.entries(pages)
+        .filter(([permalink]) => !current.has(permalink))
+        .forEach(([permalink, { title }]) => changes.push({ title, permalink, status: 'removed' }));
+    return changes;
+}
+
+/**
+ * Brings the downloaded topics up to date with the latest build and returns
+ * the chapters that changed. Topics from an older build are downloaded again
+ * even when their text did not change, as their pages refer to that build's
+ * scripts.
+ */
+export async function refreshDownloads(baseUrl) {
+    const state = await readState(baseUrl);
+    const downloaded = Object.entries(state.topics);
+    if (downloaded.length === 0) {
+        return [];
+    }
+
+    const manifest = await fetchManifest(baseUrl);
+    const changes = [];
+    for (const [id, stored] of downloaded) {
+        const topic = manifest.topics.find((t) => t.id === id);
+        if (!topic) {
+            changes.push(...diffChapters(stored.pages, []));
+            await removeTopic(baseUrl, id);
+            continue;
+        }
+        const topicChanges = diffChapters(stored.pages, topic.docs);
+        if (topicChanges.length > 0 || stored.buildId !== manifest.buildId) {
+            await downloadTopic(baseUrl, manifest, topic);
+            changes.push(...topicChanges);
+        }
+    }
+    return changes;
+}
+
+/**
+ * Size of the downloaded copies and of everything the site stores in the
+ * browser, with the browser's quota for it.
+ */
+export async function storageUsage() {
+    const cache = await caches.open(CACHE_NAME);
+    const requests = await cache.keys();
+    const sizes = await Promise.all(
+        requests.map(async (request) => (await (await cache.match(request)).blob()).size),
+    );
+    const { usage = null, quota = null } = (await navigator.storage?.estimate()) ?? {};
+    const persisted = (await navigator.storage?.persisted?.()) ?? false;
+    return { offline: sizes.reduce((sum, size) => sum + size, 0), usage, quota, persisted };
+}
+
+/** Service worker side: the downloaded copy of a request, or the fallback page for navigations. */
+export async function matchOffline(request, baseUrl) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+    if (request.mode === 'navigate') {
+        const fallback = await cache.match(siteUrl(baseUrl, FALLBACK_PAGE));
+        if (fallback) {
+            return fallback;
+        }
+    }
+    return Response.error();
+}
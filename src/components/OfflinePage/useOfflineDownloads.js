@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useState } from 'react';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {
+    isOfflineSupported,
+    readState,
+    fetchManifest,
+    downloadTopic,
+    removeTopic,
+    storageUsage,
+} from './offlineCache';
+
+/**
+ * Downloaded topics and storage usage, with actions to download and remove
+ * topics. `progress` maps the topics being downloaded to {done, total}.
+ */
+export default function useOfflineDownloads() {
+    const {
+        siteConfig: { baseUrl },
+    } = useDocusaurusContext();
+    const [supported, setSupported] = useState(null);
+    const [downloads, setDownloads] = useState({});
+    const [usage, setUsage] = useState(null);
+    const [progress, setProgress] = useState({});
+    const [error, setError] = useState(null);
+
+    const reload = useCallback(async () => {
+        const [state, nextUsage] = await Promise.all([readState(baseUrl), storageUsage()]);
+        setDownloads(state.topics);
+        setUsage(nextUsage);
+    }, [baseUrl]);
+
+    useEffect(() => {
+        const isSupported = isOfflineSupported();
+        setSupported(isSupported);
+        if (isSupported) {
+            reload().catch((err) => setError(err.message));
+        }
+    }, [reload]);
+
+    const download = useCallback(
+        async (topicId) => {
+            setError(null);
+            setProgress((current) => ({ ...current, [topicId]: { done: 0, total: null } }));
+            try {
+                // Keep downloads when the browser runs low on space, where it allows it.
+                await navigator.storage?.persist?.();
+                // The manifest of the deployed build, in case this page is older
+                const manifest = await fetchManifest(baseUrl);
+                const topic = manifest.topics.find((t) => t.id === topicId);
+                if (!topic) {
+                    throw new Error(`Topic "${topicId}" is not part of the site any more; reload the page.`);
+                }
+                await downloadTopic(baseUrl, manifest, topic, (done, total) =>
+                    setProgress((current) => ({ ...current, [topicId]: { done, total } })),
+                );
+            } catch (err) {
+                setError(`Download failed: ${err.message}`);
+            } finally {
+                setProgress(({ [topicId]: finished, ...rest }) => rest);
+                await reload();
+            }
+        },
+        [baseUrl, reload],
+    );
+
+    const remove = useCallback(
+        async (topicId) => {
+            setError(null);
+            await removeTopic(baseUrl, topicId);
+            await reload();
+        },
+        [baseUrl, reload],
+    );
+
+    return { supported, downloads, usage, progress, error, download, remove };
+}
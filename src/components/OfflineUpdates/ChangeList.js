@@ -0,0 +1,26 @@
+import React from 'react';
+import styles from './styles.module.css';
+
+const MAX_SHOWN = 5;
+
+const STATUS_LABELS = {
+    added: 'New',
+    updated: 'Updated',
+    removed: 'Removed',
+};
+
+/** Chapters a new build added, updated or removed, as returned by diffChapters. */
+export default function ChangeList({ changes }) {
+    const shown = changes.slice(0, MAX_SHOWN);
+    return (
+        <ul className={styles.changes}>
+            {shown.map(({ title, permalink, status }) => (
+                <li key={permalink}>
+                    <span className={styles.changeStatus}>{STATUS_LABELS[status]}</span>{' '}
+                    {status === 'removed' ? title : <a href={permalink}>{title}</a>}
+                </li>
+            ))}
+            {changes.length > shown.length && <li>and {changes.length - shown.length} more</li>}
+        </ul>
+    );
+}
@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from 'react';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import { createStorageSlot } from '@docusaurus/theme-common';
+import { isOfflineSupported, refreshDownloads } from '@site/src/components/OfflinePage/offlineCache';
+import ChangeList from './ChangeList';
+import styles from './styles.module.css';
+
+// Set once the downloads were checked in this browser session
+const CHECKED_KEY = 'cs-wiki.offline-checked';
+
+/**
+ * Refreshes the topics downloaded for offline reading once per session, in
+ * the background, and lists the chapters that changed.
+ */
+export default function OfflineUpdates() {
+    const {
+        siteConfig: { baseUrl },
+    } = useDocusaurusContext();
+    const [changes, setChanges] = useState([]);
+
+    useEffect(() => {
+        if (!isOfflineSupported() || !navigator.onLine) {
+            return;
+        }
+        const checked = createStorageSlot(CHECKED_KEY, { persistence: 'sessionStorage' });
+        if (checked.get()) {
+            return;
+        }
+        checked.set('true');
+        refreshDownloads(baseUrl)
+            .then(setChanges)
+            .catch(() => checked.del());
+    }, [baseUrl]);
+
+    if (changes.length === 0) {
+        return null;
+    }
+    return (
+        <div className={styles.popup} role="status">
+            <p className={styles.message}>Your offline chapters were updated:</p>
+            <ChangeList changes={changes} />
+            <button type="button" className={styles.button} onClick={() => setChanges([])}>
+                Dismiss
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,288 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import Layout from '@theme/Layout';
+import ProgressTransfer from '@site/src/components/ProgressTransfer';
+import useReviewProgress from './useReviewProgress';
+import { RATINGS, formatInterval, isDue, nextInterval } from './scheduler';
+import styles from './styles.module.css';
+
+const ALL_TOPICS = 'all';
+
+const MODES = [
+    { id: 'all', label: 'All questions' },
+    { id: 'due', label: 'Due today' },
+    { id: 'new', label: 'New' },
+];
+
+function shuffle(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+function matchesMode(question, mode, reviews) {
+    const state = reviews[question.id];
+    if (mode === 'due') return isDue(state);
+    if (mode === 'new') return !state;
+    return true;
+}
+
+// Topic filter chips
+function TopicFilter({ topics, total, selected, onSelect }) {
+    return (
+        <div className={styles.topicFilter} role="group" aria-label="Filter by topic">
+            <button
+                type="button"
+                className={clsx(styles.topicChip, selected === ALL_TOPICS && styles.topicChipActive)}
+                aria-pressed={selected === ALL_TOPICS}
+                onClick={() => onSelect(ALL_TOPICS)}
+            >
+                All topics <span className={styles.topicCount}>{total}</span>
+            </button>
+            {topics.map((topic) => (
+                <button
+                    key={topic.id}
+                    type="button"
+                    className={clsx(styles.topicChip, selected === topic.id && styles.topicChipActive)}
+                    aria-pressed={selected === topic.id}
+                    onClick={() => onSelect(topic.id)}
+                >
+                    {topic.label} <span className={styles.topicCount}>{topic.count}</span>
+                </button>
+            ))}
+        </div>
+    );
+}
+
+// Study mode tabs with live counters
+function ModeTabs({ mode, counts, onSelect }) {
+    return (
+        <div className={styles.modeTabs} role="tablist" aria-label="Study mode">
+            {MODES.map(({ id, label }) => (
+                <button
+                    key={id}
+                    type="button"
+                    role="tab"
+                    aria-selected={mode === id}
+                    className={clsx(styles.modeTab, mode === id && styles.modeTabActive)}
+                    onClick={() => onSelect(id)}
+                >
+                    {label} <span className={styles.topicCount}>{counts[id]}</span>
+                </button>
+            ))}
+        </div>
+    );
+}
+
+// Again / Hard / Good / Easy buttons with a preview of the next interval
+function RatingButtons({ state, onRate }) {
+    return (
+        <div className={styles.ratings} role="group" aria-label="How well did you know the answer?">
+            {RATINGS.map((rating) => (
+                <button
+                    key={rating}
+                    type="button"
+                    className={clsx(styles.ratingButton, styles[`rating_${rating}`])}
+                    onClick={() => onRate(rating)}
+                >
+                    <span className={styles.ratingLabel}>{rating}</span>
+                    <span className={styles.ratingInterval}>{formatInterval(nextInterval(state, rating))}</span>
+                </button>
+            ))}
+        </div>
+    );
+}
+
+// Single flashcard
+function Flashcard({ question, topicLabel, state, revealed, onReveal, onRate }) {
+    return (
+        <article className={styles.card}>
+            <header className={styles.cardHeader}>
+                <span className={styles.cardTopic}>{topicLabel}</span>
+                <Link to={question.chapter.permalink} className={styles.cardSource}>
+                    {question.chapter.title} · Q{question.number}
+                </Link>
+            </header>
+            <h2 className={styles.cardQuestion}>{question.question}</h2>
+            {revealed ? (
+                <>
+                    <div
+                        className={clsx('markdown', styles.cardAnswer)}
+                        dangerouslySetInnerHTML={{ __html: question.answerHtml }}
+                    />
+                    <RatingButtons state={state} onRate={onRate} />
+                </>
+            ) : (
+                <button type="button" className={styles.revealButton} onClick={onReveal}>
+                    Show answer
+                </button>
+            )}
+        </article>
+    );
+}
+
+export default function PracticePage({ practiceData }) {
+    const { topics, questions } = practiceData;
+    const { reviews, rate, exportProgress, importProgress, reset } = useReviewProgress();
+    const [topic, setTopic] = useState(ALL_TOPICS);
+    const [mode, setMode] = useState('all');
+    const [shuffled, setShuffled] = useState(false);
+    const [deck, setDeck] = useState(questions);
+    const [index, setIndex] = useState(0);
+    const [revealed, setRevealed] = useState(false);
+
+    // The deck is a snapshot taken when the session settings change, so that
+    // rating a card does not reshuffle the cards still to come.
+    const reviewsRef = useRef(reviews);
+    reviewsRef.current = reviews;
+
+    useEffect(() => {
+        const inTopic = topic === ALL_TOPICS ? questions : questions.filter((q) => q.topic === topic);
+        const selected = inTopic.filter((q) => matchesMode(q, mode, reviewsRef.current));
+        setDeck(shuffled ? shuffle(selected) : selected);
+        setIndex(0);
+        setRevealed(false);
+    }, [questions, topic, mode, shuffled]);
+
+    const topicLabels = useMemo(
+        () => Object.fromEntries(topics.map((t) => [t.id, t.label])),
+        [topics],
+    );
+
+    const counts = useMemo(() => {
+        const inTopic = topic === ALL_TOPICS ? questions : questions.filter((q) => q.topic === topic);
+        return Object.fromEntries(
+            MODES.map(({ id }) => [id, inTopic.filter((q) => matchesMode(q, id, reviews)).length]),
+        );
+    }, [questions, topic, reviews]);
+
+    const goTo = useCallback(
+        (next) => {
+            if (deck.length === 0) {
+                return;
+            }
+            setIndex((next + deck.length) % deck.length);
+            setRevealed(false);
+        },
+        [deck],
+    );
+
+    const current = deck[index];
+
+    const handleRate = useCallback(
+        (rating) => {
+            rate(current.id, rating);
+            if (mode === 'all') {
+                goTo(index + 1);
+                return;
+            }
+            // In review sessions a rated card leaves the deck; "again" sends
+            // it to the back so it comes up once more today.
+            setDeck((cards) => {
+                const rest = cards.filter((card) => card.id !== current.id);
+                return rating === 'again' ? [...rest, current] : rest;
+            });
+            setIndex((i) => (i >= deck.length - 1 && rating !== 'again' ? 0 : i));
+            setRevealed(false);
+        },
+        [current, deck, goTo, index, mode, rate],
+    );
+
+    // Keyboard shortcuts: ← / → to navigate, space to reveal, 1-4 to rate
+    useEffect(() => {
+        const handleKey = (event) => {
+            if (event.target instanceof HTMLElement && event.target.closest('input, textarea, select')) {
+                return;
+            }
+            if (event.key === 'ArrowRight') {
+                goTo(index + 1);
+            } else if (event.key === 'ArrowLeft') {
+                goTo(index - 1);
+            } else if (event.key === ' ') {
+                event.preventDefault();
+                setRevealed(true);
+            } else if (revealed && current && ['1', '2', '3', '4'].includes(event.key)) {
+                handleRate(RATINGS[Number(event.key) - 1]);
+            }
+        };
+
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [current, goTo, handleRate, index, revealed]);
+
+    return (
+        <Layout
+            title="Interview Practice"
+            description="Flashcards generated from the interview questions of every CS Fundamentals chapter.">
+            <main className={clsx('container', styles.practice)}>
+                <div className={styles.header}>
+                    <h1>Interview Practice</h1>
+                    <p>
+                        {questions.length} questions collected from the "Interview Questions" section of
+                        every chapter. Try to answer out loud before revealing, then rate how well you knew
+                        it. Progress is stored in this browser and works offline.
+                    </p>
+                </div>
+
+                <TopicFilter
+                    topics={topics}
+                    total={questions.length}
+                    selected={topic}
+                    onSelect={setTopic}
+                />
+                <ModeTabs mode={mode} counts={counts} onSelect={setMode} />
+
+                {current ? (
+                    <>
+                        <Flashcard
+                            question={current}
+                            topicLabel={topicLabels[current.topic]}
+                            state={reviews[current.id]}
+                            revealed={revealed}
+                            onReveal={() => setRevealed(true)}
+                            onRate={handleRate}
+                        />
+                        <div className={styles.controls}>
+                            <button type="button" className={styles.navButton} onClick={() => goTo(index - 1)}>
+                                ← Previous
+                            </button>
+                            <span className={styles.progress} aria-live="polite">
+                                {index + 1} / {deck.length}
+                            </span>
+                            <button type="button" className={styles.navButton} onClick={() => goTo(index + 1)}>
+                                Next →
+                            </button>
+                        </div>
+                        <label className={styles.shuffleToggle}>
+                            <input
+                                type="checkbox"
+                                checked={shuffled}
+                                onChange={(event) => setShuffled(event.target.checked)}
+                            />
+                            Shuffle questions
+                        </label>
+                    </>
+                ) : (
+                    <p className={styles.empty}>
+                        {mode === 'due'
+                            ? 'Nothing due for review today. 🎉'
+                            : 'No questions found for this selection.'}
+                    </p>
+                )}
+
+                <ProgressTransfer
+                    onExport={() => ({ json: exportProgress(), fileName: 'practice-progress.json' })}
+                    onImport={importProgress}
+                    onReset={reset}
+                    unit="question"
+                    resetPrompt="Forget all review progress stored in this browser?"
+                    classNames={{ root: styles.transfer, button: styles.navButton, message: styles.transferMessage }}
+                />
+            </main>
+        </Layout>
+    );
+}
@@ -0,0 +1,89 @@
+/**
+ * SM-2 style spaced-repetition scheduler for the practice flashcards.
+ *
+ * Review state is kept per question and only stores plain JSON so it can be
+ * persisted in localStorage and exported/imported as-is. Due dates use local
+ * calendar days ("YYYY-MM-DD"): a card is due for the whole day it falls on.
+ */
+
+export const RATINGS = ['again', 'hard', 'good', 'easy'];
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+export function toDayString(date = new Date()) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(day, days) {
+    const [year, month, date] = day.split('-').map(Number);
+    return toDayString(new Date(year, month - 1, date + days));
+}
+
+/**
+ * Number of days until the card is shown again for a given rating.
+ * "again" returns 0, i.e. the card stays due today.
+ */
+export function nextInterval(state, rating) {
+    const repetitions = state?.repetitions ?? 0;
+    const interval = state?.interval ?? 0;
+    const ease = state?.ease ?? INITIAL_EASE;
+
+    switch (rating) {
+        case 'again':
+            return 0;
+        case 'hard':
+            return repetitions === 0 ? 1 : Math.max(interval + 1, Math.round(interval * 1.2));
+        case 'good':
+            if (repetitions === 0) return 1;
+            if (repetitions === 1) return 6;
+            return Math.max(interval + 1, Math.round(interval * ease));
+        case 'easy':
+            if (repetitions === 0) return 4;
+            if (repetitions === 1) return 8;
+            return Math.max(interval + 1, Math.round(interval * ease * 1.3));
+        default:
+            throw new Error(`Unknown rating "${rating}". Expected one of: ${RATINGS.join(', ')}`);
+    }
+}
+
+/**
+ * Applies a rating to a card's review state and returns the new state.
+ *
+ * @param {object | undefined} state previous state, undefined for a new card
+ * @param {'again' | 'hard' | 'good' | 'easy'} rating
+ * @param {Date} [now]
+ */
+export function review(state, rating, now = new Date()) {
+    const today = toDayString(now);
+    const interval = nextInterval(state, rating);
+    let ease = state?.ease ?? INITIAL_EASE;
+
+    if (rating === 'again') ease -= 0.2;
+    if (rating === 'hard') ease -= 0.15;
+    if (rating === 'easy') ease += 0.15;
+
+    return {
+        repetitions: rating === 'again' ? 0 : (state?.repetitions ?? 0) + 1,
+        lapses: (state?.lapses ?? 0) + (rating === 'again' ? 1 : 0),
+        interval,
+        ease: Math.max(MIN_EASE, Math.round(ease * 100) / 100),
+        due: addDays(today, interval),
+        lastReviewed: now.toISOString(),
+    };
+}
+
+export function isDue(state, now = new Date()) {
+    return Boolean(state) && state.due <= toDayString(now);
+}
+
+export function formatInterval(days) {
+    if (days === 0) return '<1d';
+    if (days < 30) return `${days}d`;
+    if (days < 365) return `${Math.round(days / 30)}mo`;
+    return `${Math.round((days / 365) * 10) / 10}y`;
+}
@@ -0,0 +1,93 @@
+import { useCallback, useMemo } from 'react';
+import { useStorageSlot } from '@docusaurus/theme-common';
+import { review } from './scheduler';
+
+const STORAGE_KEY = 'cs-wiki.practice-progress';
+const EXPORT_VERSION = 1;
+
+function parseProgress(raw) {
+    if (!raw) {
+        return {};
+    }
+    try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' ? parsed.reviews ?? {} : {};
+    } catch {
+        return {};
+    }
+}
+
+function serialize(reviews) {
+    return JSON.stringify({ version: EXPORT_VERSION, reviews });
+}
+
+function isReviewState(value) {
+    return (
+        value !== null &&
+        typeof value === 'object' &&
+        typeof value.due === 'string' &&
+        typeof value.interval === 'number' &&
+        typeof value.ease === 'number'
+    );
+}
+
+/**
+ * Per-question review state persisted in localStorage. Changes made in other
+ * tabs are picked up through the storage event.
+ */
+export default function useReviewProgress() {
+    const [raw, slot] = useStorageSlot(STORAGE_KEY);
+    const reviews = useMemo(() => parseProgress(raw), [raw]);
+
+    const rate = useCallback(
+        (questionId, rating) => {
+            const current = parseProgress(slot.get());
+            slot.set(serialize({ ...current, [questionId]: review(current[questionId], rating) }));
+        },
+        [slot],
+    );
+
+    const exportProgress = useCallback(
+        () =>
+            JSON.stringify(
+                { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), reviews: parseProgress(slot.get()) },
+                null,
+                2,
+            ),
+        [slot],
+    );
+
+    /**
+     * Merges an exported progress file into the local state. For questions
+     * present on both sides the most recently reviewed state wins.
+     * Returns the number of imported question states.
+     */
+    const importProgress = useCallback(
+        (json) => {
+            const data = JSON.parse(json);
+            if (!data || data.version !== EXPORT_VERSION || !data.reviews || typeof data.reviews !== 'object') {
+                throw new Error('Not a practice progress export (expected version 1).');
+            }
+
+            const merged = parseProgress(slot.get());
+            let imported = 0;
+            Object.entries(data.reviews).forEach(([id, state]) => {
+                if (!isReviewState(state)) {
+                    return;
+                }
+                const existing = merged[id];
+                if (!existing || (state.lastReviewed ?? '') > (existing.lastReviewed ?? '')) {
+                    merged[id] = state;
+                    imported++;
+                }
+            });
+            slot.set(serialize(merged));
+            return imported;
+        },
+        [slot],
+    );
+
+    const reset = useCallback(() => slot.del(), [slot]);
+
+    return { reviews, rate, exportProgress, importProgress, reset };
+}
@@ -0,0 +1,77 @@
+import React, { useRef, useState } from 'react';
+
+function downloadJson(json, fileName) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Export / import / reset buttons for progress kept in localStorage.
+ *
+ * `onExport` returns `{ json, fileName }`, or null to cancel the download.
+ * `onImport` receives the file text and returns the number of imported
+ * `unit`s, throwing when the file is rejected.
+ */
+export default function ProgressTransfer({ onExport, onImport, onReset, unit, resetPrompt, classNames }) {
+    const fileInput = useRef(null);
+    const [message, setMessage] = useState(null);
+
+    const handleExport = () => {
+        const file = onExport();
+        if (file) {
+            downloadJson(file.json, file.fileName);
+        }
+    };
+
+    const handleImport = async (event) => {
+        const [file] = event.target.files;
+        event.target.value = '';
+        if (!file) {
+            return;
+        }
+        try {
+            const imported = onImport(await file.text());
+            setMessage(`Imported progress for ${imported} ${unit}${imported === 1 ? '' : 's'}.`);
+        } catch (err) {
+            setMessage(`Import failed: ${err.message}`);
+        }
+    };
+
+    const handleReset = () => {
+        if (window.confirm(resetPrompt)) {
+            onReset();
+            setMessage('Progress cleared.');
+        }
+    };
+
+    return (
+        <div className={classNames.root}>
+            <button type="button" className={classNames.button} onClick={handleExport}>
+                Export progress
+            </button>
+            <button type="button" className={classNames.button} onClick={() => fileInput.current?.click()}>
+                Import progress
+            </button>
+            <button type="button" className={classNames.button} onClick={handleReset}>
+                Reset
+            </button>
+            <input
+                ref={fileInput}
+                type="file"
+                accept="application/json,.json"
+                hidden
+                onChange={handleImport}
+            />
+            {message && (
+                <p className={classNames.message} role="status">
+                    {message}
+                </p>
+            )}
+        </div>
+    );
+}
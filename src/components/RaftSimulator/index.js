@@ -0,0 +1,488 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import clsx from 'clsx';
+import { useLocation } from '@docusaurus/router';
+import useBrokenLinks from '@docusaurus/useBrokenLinks';
+import useIsBrowser from '@docusaurus/useIsBrowser';
+import { createSimulation, nodeName } from './raft';
+import { DEFAULT_SCENARIO, NODE_COUNTS, formatScenario, parseScenario } from './scenarioLink';
+import styles from './styles.module.css';
+
+// Links to a scenario are `?raft=<scenario>#raft-simulator` on the page holding the simulator.
+const QUERY_PARAM = 'raft';
+const ANCHOR = 'raft-simulator';
+
+// Simulated milliseconds per real millisecond
+const SPEEDS = [0.05, 0.1, 0.25, 1];
+const MIN_DURATION = 10000;
+// Room left on the timeline after the last action
+const TAIL = 5000;
+
+const SIZE = 320;
+const RING = 105;
+const RADIUS = 22;
+
+function position(id, size) {
+    const angle = -Math.PI / 2 + ((id - 1) * 2 * Math.PI) / size;
+    return { x: SIZE / 2 + RING * Math.cos(angle), y: SIZE / 2 + RING * Math.sin(angle) };
+}
+
+const reachable = (sim, from, to) =>
+    !sim.partition || sim.partition.some((group) => group.includes(from) && group.includes(to));
+
+// The leader a client would find: the live leader with the highest term
+function currentLeader(sim) {
+    return sim.nodes
+        .filter((node) => node.alive && node.role === 'leader')
+        .sort((a, b) => b.term - a.term)[0];
+}
+
+const formatTime = (time) => `${(time / 1000).toFixed(2)} s`;
+
+/**
+ * Replays the simulation up to `time`, continuing the previous run while time
+ * moves forward and starting over when it moves back or the scenario changes.
+ */
+function useSimulation(config, time) {
+    const cache = useRef(null);
+    if (!cache.current || cache.current.config !== config || cache.current.sim.time > time) {
+        cache.current = { config, sim: createSimulation(config) };
+    }
+    return cache.current.sim.advance(time);
+}
+
+function Cluster({ sim, time, selected, onSelect }) {
+    const pairs = sim.nodes.flatMap((a) => sim.nodes.filter((b) => b.id > a.id).map((b) => [a.id, b.id]));
+    return (
+        <svg className={styles.cluster} viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label="Raft cluster">
+            {pairs.map(([a, b]) => {
+                const from = position(a, sim.size);
+                const to = position(b, sim.size);
+                return (
+                    <line
+                        key={`${a}-${b}`}
+                        x1={from.x}
+                        y1={from.y}
+                        x2={to.x}
+                        y2={to.y}
+                        className={clsx(styles.link, !reachable(sim, a, b) && styles.linkCut)}
+                    />
+                );
+            })}
+            {[...sim.inFlight.values()].map((flight) => {
+                const from = position(flight.from, sim.size);
+                const to = position(flight.to, sim.size);
+                const progress = (time - flight.sentAt) / (flight.deliverAt - flight.sentAt);
+                const { type, entries } = flight.message;
+                return (
+                    <circle
+                        key={flight.id}
+                        cx={from.x + (to.x - from.x) * progress}
+                        cy={from.y + (to.y - from.y) * progress}
+                        r={entries?.length ? 5 : 3.5}
+                        className={clsx(styles.message, styles[`message_${type}`])}
+                    >
+                        <title>{`${type} ${nodeName(flight.from)} → ${nodeName(flight.to)}`}</title>
+                    </circle>
+                );
+            })}
+            {sim.nodes.map((node) => {
+                const { x, y } = position(node.id, sim.size);
+                const timer = node.alive && node.role !== 'leader' && node.timer;
+                const remaining = timer ? (timer.at - time) / (timer.at - timer.start) : 0;
+                return (
+                    <g
+                        key={node.id}
+                        className={clsx(
+                            styles.node,
+                            !node.alive && styles.nodeDown,
+                            node.id === selected && styles.nodeSelected,
+                        )}
+                        onClick={() => onSelect(node.id === selected ? null : node.id)}
+                    >
+                        <title>
+                            {node.alive
+                                ? `${nodeName(node.id)}: ${node.role}, term ${node.term}, ` +
+                                  `voted for ${node.votedFor ? nodeName(node.votedFor) : 'nobody'}`
+                                : `${nodeName(node.id)}: down`}
+                        </title>
+                        {timer && (
+                            <circle
+                                cx={x}
+                                cy={y}
+                                r={RADIUS + 5}
+                                pathLength="1"
+                                strokeDasharray={`${Math.max(0, remaining)} 1`}
+                                transform={`rotate(-90 ${x} ${y})`}
+                                className={styles.timer}
+                            />
+                        )}
+                        <circle
+                            cx={x}
+                            cy={y}
+                            r={RADIUS}
+                            className={styles[`role_${node.alive ? node.role : 'down'}`]}
+                        />
+                        <text x={x} y={y - 3} className={styles.nodeName}>
+                            {nodeName(node.id)}
+                        </text>
+                        <text x={x} y={y + 10} className={styles.nodeTerm}>
+                            {node.alive ? `T${node.term}` : 'down'}
+                        </text>
+                    </g>
+                );
+            })}
+        </svg>
+    );
+}
+
+function Logs({ sim }) {
+    return (
+        <div className={styles.panel}>
+            <h4 className={styles.panelTitle}>Logs</h4>
+            <ul className={styles.logs}>
+                {sim.nodes.map((node) => (
+                    <li key={node.id} className={clsx(!node.alive && styles.nodeDown)}>
+                        <span className={styles.logOwner}>{nodeName(node.id)}</span>
+                        {node.log.length === 0 && <span className={styles.hint}>empty</span>}
+                        {node.log.map((entry, index) => (
+                            <span
+                                key={index}
+                                className={clsx(styles.entry, index >= node.commitIndex && styles.entryUncommitted)}
+                                title={`index ${index + 1}, term ${entry.term}, ${
+                                    index < node.commitIndex ? 'committed' : 'not known to be committed'
+                                }`}
+                            >
+                                {entry.command}
+                                <small>T{entry.term}</small>
+                            </span>
+                        ))}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+function Events({ sim, onSeek }) {
+    const list = useRef(null);
+    useEffect(() => {
+        list.current?.scrollTo({ top: list.current.scrollHeight });
+    }, [sim.events.length]);
+
+    return (
+        <div className={styles.panel}>
+            <h4 className={styles.panelTitle}>Events</h4>
+            {sim.events.length === 0 ? (
+                <p className={styles.hint}>
+                    Nothing yet: all nodes start as followers and wait for an election timeout.
+                </p>
+            ) : (
+                <ol ref={list} className={styles.events}>
+                    {sim.events.map((event, index) => (
+                        <li key={index}>
+                            <button type="button" className={styles.eventTime} onClick={() => onSeek(event.time)}>
+                                {formatTime(event.time)}
+                            </button>
+                            <span className={clsx(styles.event, styles[`event_${event.kind}`])}>{event.text}</span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
+
+const ACTION_LABELS = {
+    kill: (action) => `Kill ${nodeName(action.node)}`,
+    restart: (action) => `Restart ${nodeName(action.node)}`,
+    write: (action) => (action.node ? `Client write to ${nodeName(action.node)}` : 'Client write'),
+    partition: (action) => `Partition ${action.groups.map((group) => group.map(nodeName).join(' ')).join(' | ')}`,
+    heal: () => 'Heal',
+};
+
+function Timeline({ time, duration, actions, onSeek }) {
+    return (
+        <div className={styles.timeline}>
+            <input
+                type="range"
+                min="0"
+                max={duration}
+                step="10"
+                value={time}
+                onChange={(event) => onSeek(Number(event.target.value))}
+                aria-label="Simulated time"
+            />
+            <div className={styles.markers}>
+                {actions.map((action, index) => (
+                    <button
+                        key={index}
+                        type="button"
+                        className={clsx(styles.marker, styles[`marker_${action.type}`])}
+                        style={{ left: `${(action.at / duration) * 100}%` }}
+                        title={`${formatTime(action.at)}: ${ACTION_LABELS[action.type](action)}`}
+                        onClick={() => onSeek(action.at)}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * A seedable Raft cluster (./raft.js) to break on purpose: nodes exchange
+ * RequestVote and AppendEntries messages with random delays while the reader
+ * crashes and restarts nodes, partitions the network, sends client writes
+ * and watches elections, replication and commits. Actions are recorded on a
+ * timeline at the moment they are taken, so the run can be scrubbed back and
+ * replayed, and shared as a link. `scenario` is the run to open, in the
+ * format of ./scenarioLink.js; a `?raft=` query parameter takes precedence.
+ */
+export default function RaftSimulator({ scenario: initialScenario }) {
+    const initial = useMemo(
+        () => (initialScenario ? parseScenario(initialScenario) : DEFAULT_SCENARIO),
+        [initialScenario],
+    );
+    const [config, setConfig] = useState(() => {
+        const { time: initialTime, ...initialConfig } = initial;
+        return initialConfig;
+    });
+    const [time, setTime] = useState(initial.time);
+    const [playing, setPlaying] = useState(false);
+    const [speed, setSpeed] = useState(0.1);
+    const [selected, setSelected] = useState(null);
+    const [linkError, setLinkError] = useState(null);
+    const [copied, setCopied] = useState(false);
+    const location = useLocation();
+    const isBrowser = useIsBrowser();
+    useBrokenLinks().collectAnchor(ANCHOR);
+
+    // Applied after hydration, as the page is prerendered without the query, and on every link followed.
+    useEffect(() => {
+        const linked = new URLSearchParams(location.search).get(QUERY_PARAM);
+        if (!linked) {
+            return;
+        }
+        try {
+            const { time: linkedTime, ...linkedConfig } = parseScenario(linked);
+            setConfig(linkedConfig);
+            setTime(linkedTime);
+            setLinkError(null);
+        } catch (error) {
+            setLinkError(error.message);
+        }
+    }, [location.search]);
+
+    const lastAction = config.actions[config.actions.length - 1]?.at ?? 0;
+    const duration = Math.max(MIN_DURATION, lastAction + TAIL, Math.ceil(time / 1000) * 1000);
+    const sim = useSimulation(config, time);
+    const leader = currentLeader(sim);
+    const selectedNode = selected && sim.nodes[selected - 1];
+
+    useEffect(() => {
+        if (!playing) {
+            return undefined;
+        }
+        let frame = null;
+        let last = null;
+        const tick = (now) => {
+            if (last !== null) {
+                setTime((current) => Math.min(duration, current + (now - last) * speed));
+            }
+            last = now;
+            frame = window.requestAnimationFrame(tick);
+        };
+        frame = window.requestAnimationFrame(tick);
+        return () => window.cancelAnimationFrame(frame);
+    }, [playing, speed, duration]);
+
+    useEffect(() => {
+        if (playing && time >= duration) {
+            setPlaying(false);
+        }
+    }, [playing, time, duration]);
+
+    // A new action replaces whatever was recorded after it.
+    const act = (action) => {
+        const at = Math.round(time);
+        setConfig({ ...config, actions: [...config.actions.filter((other) => other.at <= at), { ...action, at }] });
+        setTime(at);
+    };
+    const seek = (to) => {
+        setPlaying(false);
+        setTime(to);
+    };
+    const reset = () => {
+        setConfig({ ...config, actions: [] });
+        setTime(0);
+        setPlaying(false);
+    };
+    const others = (ids) => sim.nodes.map((node) => node.id).filter((id) => !ids.includes(id));
+
+    const search = `?${QUERY_PARAM}=${formatScenario({ ...config, time })}`;
+    const link = isBrowser ? `${window.location.origin}${location.pathname}${search}#${ANCHOR}` : '';
+    const copy = () =>
+        navigator.clipboard.writeText(link).then(
+            () => setCopied(true),
+            () => setCopied(false),
+        );
+    useEffect(() => setCopied(false), [link]);
+
+    return (
+        <div id={ANCHOR} className={styles.simulator}>
+            {linkError && (
+                <p className={clsx(styles.outcome, styles.outcomeBroken)}>Could not open the linked run: {linkError}</p>
+            )}
+            <div className={styles.controls}>
+                <button
+                    type="button"
+                    className="button button--primary button--sm"
+                    onClick={() => setPlaying(!playing)}
+                    disabled={!playing && time >= duration}
+                >
+                    {playing ? 'Pause' : 'Play'}
+                </button>
+                <label className={styles.control}>
+                    Speed
+                    <select value={speed} onChange={(event) => setSpeed(Number(event.target.value))}>
+                        {SPEEDS.map((candidate) => (
+                            <option key={candidate} value={candidate}>
+                                {candidate}×
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className={styles.control}>
+                    Seed
+                    <input
+                        type="number"
+                        min="0"
+                        value={config.seed}
+                        onChange={(event) =>
+                            setConfig({ ...config, seed: Math.max(0, Math.floor(Number(event.target.value))) })
+                        }
+                    />
+                </label>
+                <label className={styles.control}>
+                    Nodes
+                    <select
+                        value={config.nodes}
+                        onChange={(event) => {
+                            setConfig({ ...config, nodes: Number(event.target.value), actions: [] });
+                            setSelected(null);
+                            setTime(0);
+                        }}
+                    >
+                        {NODE_COUNTS.map((count) => (
+                            <option key={count} value={count}>
+                                {count}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <span className={styles.clock}>{formatTime(time)}</span>
+            </div>
+
+            <Timeline time={time} duration={duration} actions={config.actions} onSeek={seek} />
+
+            <div className={styles.stage}>
+                <Cluster sim={sim} time={time} selected={selected} onSelect={setSelected} />
+                <div className={styles.actions}>
+                    <div className={styles.toolbar}>
+                        <button
+                            type="button"
+                            className="button button--secondary button--sm"
+                            onClick={() => act({ type: 'kill', node: leader.id })}
+                            disabled={!leader}
+                        >
+                            Kill leader
+                        </button>
+                        <button
+                            type="button"
+                            className="button button--secondary button--sm"
+                            onClick={() => act({ type: 'write' })}
+                        >
+                            Client write
+                        </button>
+                    </div>
+                    <div className={styles.toolbar}>
+                        <button
+                            type="button"
+                            className="button button--secondary button--sm"
+                            onClick={() => {
+                                const minority = [leader.id, ...others([leader.id])].slice(
+                                    0,
+                                    Math.floor(sim.size / 2),
+                                );
+                                act({ type: 'partition', groups: [minority, others(minority)] });
+                            }}
+                            disabled={!leader}
+                            title="Cut the leader off with a minority of the cluster"
+                        >
+                            Leader into minority
+                        </button>
+                        <button
+                            type="button"
+                            className="button button--secondary button--sm"
+                            onClick={() => act({ type: 'heal' })}
+                            disabled={!sim.partition}
+                        >
+                            Heal network
+                        </button>
+                    </div>
+                    {selectedNode ? (
+                        <div className={styles.toolbar}>
+                            <button
+                                type="button"
+                                className="button button--secondary button--sm"
+                                onClick={() => act({ type: selectedNode.alive ? 'kill' : 'restart', node: selected })}
+                            >
+                                {selectedNode.alive ? 'Kill' : 'Restart'} {nodeName(selected)}
+                            </button>
+                            <button
+                                type="button"
+                                className="button button--secondary button--sm"
+                                onClick={() => act({ type: 'partition', groups: [[selected], others([selected])] })}
+                            >
+                                Isolate {nodeName(selected)}
+                            </button>
+                            {selectedNode.role === 'leader' && selectedNode.alive && (
+                                <button
+                                    type="button"
+                                    className="button button--secondary button--sm"
+                                    onClick={() => act({ type: 'write', node: selected })}
+                                >
+                                    Write to {nodeName(selected)}
+                                </button>
+                            )}
+                        </div>
+                    ) : (
+                        <p className={styles.hint}>Click a node to kill, restart or isolate it.</p>
+                    )}
+                    <p className={styles.hint}>
+                        Actions are recorded at the current time; taking one after scrubbing back replaces the
+                        ones recorded later.
+                    </p>
+                    <div className={styles.toolbar}>
+                        <button
+                            type="button"
+                            className="button button--secondary button--sm"
+                            onClick={reset}
+                            disabled={config.actions.length === 0 && time === 0}
+                        >
+                            Reset
+                        </button>
+                        <button type="button" className="button button--secondary button--sm" onClick={copy}>
+                            {copied ? 'Copied' : 'Copy link'}
+                        </button>
+                    </div>
+                    <input className={styles.linkField} readOnly value={link} aria-label="Link to this run" />
+                </div>
+            </div>
+
+            <div className={styles.panels}>
+                <Logs sim={sim} />
+                <Events sim={sim} onSeek={seek} />
+            </div>
+        </div>
+    );
+}
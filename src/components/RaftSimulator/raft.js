@@ -0,0 +1,372 @@
+/**
+ * A deterministic discrete-event simulation of Raft leader election and log
+ * replication. Election timeouts and message delays are drawn from a seeded
+ * random number generator, so the same seed, cluster size, delays and
+ * actions (crashes, restarts, partitions, client writes at given times)
+ * always play out the same way: a run can be rewound by simulating it again
+ * up to an earlier time, and shared as a link (./scenarioLink.js).
+ *
+ * Times are simulated milliseconds. Messages are dropped when their
+ * receiver is down or on the other side of a partition, both when sent and
+ * when delivered; nodes keep their term, vote and log across a crash.
+ */
+
+export const HEARTBEAT_INTERVAL = 50;
+export const ELECTION_TIMEOUT = [150, 300];
+export const DEFAULT_DELAY = [10, 30];
+
+/** mulberry32: a small seedable PRNG returning floats in [0, 1). */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export const nodeName = (id) => `S${id}`;
+
+const lastLogTerm = (node) => node.log[node.log.length - 1]?.term ?? 0;
+
+/**
+ * @param {{seed: number, nodes: number, delay?: [number, number], actions?: object[]}} config
+ *   actions: `{at, type: 'kill' | 'restart', node}`, `{at, type: 'partition', groups: number[][]}`,
+ *   `{at, type: 'heal'}` and `{at, type: 'write', node?}` (to `node` if it leads, else to the leader
+ *   of the highest term).
+ */
+export function createSimulation({ seed, nodes: size, delay = DEFAULT_DELAY, actions = [] }) {
+    const random = createRandom(seed);
+    const between = ([min, max]) => min + Math.floor(random() * (max - min + 1));
+    const majority = Math.floor(size / 2) + 1;
+
+    const sim = {
+        time: 0,
+        size,
+        nodes: [],
+        // Messages sent and not yet delivered or dropped, for drawing
+        inFlight: new Map(),
+        // Groups of node ids that can reach each other, or null when the network is whole
+        partition: null,
+        events: [],
+        writes: 0,
+    };
+
+    let seq = 0;
+    const queue = [];
+    function schedule(time, item) {
+        const entry = { ...item, time, seq: seq++ };
+        let index = queue.length;
+        // Ties keep scheduling order; seq only grows, so comparing times is enough.
+        while (index > 0 && queue[index - 1].time > time) {
+            index--;
+        }
+        queue.splice(index, 0, entry);
+    }
+
+    const note = (kind, text) => sim.events.push({ time: sim.time, kind, text });
+    const node = (id) => sim.nodes[id - 1];
+    const peers = (self) => sim.nodes.filter((other) => other !== self);
+
+    function reachable(from, to) {
+        if (!sim.partition) {
+            return true;
+        }
+        return sim.partition.some((group) => group.includes(from) && group.includes(to));
+    }
+
+    function resetElectionTimer(self) {
+        const length = between(ELECTION_TIMEOUT);
+        self.timer = { start: sim.time, at: sim.time + length, token: seq };
+        schedule(self.timer.at, { kind: 'election-timeout', node: self.id, token: self.timer.token });
+    }
+
+    function scheduleHeartbeat(self) {
+        self.timer = { start: sim.time, at: sim.time + HEARTBEAT_INTERVAL, token: seq };
+        schedule(self.timer.at, { kind: 'heartbeat', node: self.id, token: self.timer.token });
+    }
+
+    function send(from, to, message) {
+        if (!from.alive || !reachable(from.id, to.id)) {
+            return;
+        }
+        const id = seq;
+        const deliverAt = sim.time + between(delay);
+        sim.inFlight.set(id, { id, from: from.id, to: to.id, sentAt: sim.time, deliverAt, message });
+        schedule(deliverAt, { kind: 'deliver', id });
+    }
+
+    function stepDown(self, term) {
+        if (term > self.term) {
+            self.term = term;
+            self.votedFor = null;
+        }
+        if (self.role === 'leader') {
+            note('stepdown', `${nodeName(self.id)} steps down: it saw term ${term}`);
+        }
+        if (self.role !== 'follower') {
+            self.role = 'follower';
+            resetElectionTimer(self);
+        }
+    }
+
+    function sendAppendEntries(leader, peer) {
+        const prevLogIndex = leader.nextIndex[peer.id] - 1;
+        send(leader, peer, {
+            type: 'AppendEntries',
+            term: leader.term,
+            prevLogIndex,
+            prevLogTerm: leader.log[prevLogIndex - 1]?.term ?? 0,
+            entries: leader.log.slice(prevLogIndex),
+            leaderCommit: leader.commitIndex,
+        });
+    }
+
+    function becomeLeader(self) {
+        self.role = 'leader';
+        peers(self).forEach((peer) => {
+            self.nextIndex[peer.id] = self.log.length + 1;
+            self.matchIndex[peer.id] = 0;
+        });
+        const voters = [...self.votes].map(nodeName).join(', ');
+        note('leader', `${nodeName(self.id)} is leader of term ${self.term} (votes: ${voters})`);
+        peers(self).forEach((peer) => sendAppendEntries(self, peer));
+        scheduleHeartbeat(self);
+    }
+
+    function startElection(self) {
+        self.role = 'candidate';
+        self.term++;
+        self.votedFor = self.id;
+        self.votes = new Set([self.id]);
+        note('election', `${nodeName(self.id)} timed out and starts an election for term ${self.term}`);
+        resetElectionTimer(self);
+        peers(self).forEach((peer) =>
+            send(self, peer, {
+                type: 'RequestVote',
+                term: self.term,
+                lastLogIndex: self.log.length,
+                lastLogTerm: lastLogTerm(self),
+            }),
+        );
+    }
+
+    function advanceCommitIndex(leader) {
+        for (let index = leader.log.length; index > leader.commitIndex; index--) {
+            const replicas = 1 + peers(leader).filter((peer) => leader.matchIndex[peer.id] >= index).length;
+            // Only entries of the leader's own term are committed by counting replicas.
+            if (replicas >= majority && leader.log[index - 1].term === leader.term) {
+                const committed = leader.log.slice(leader.commitIndex, index).map((entry) => entry.command);
+                leader.commitIndex = index;
+                note(
+                    'commit',
+                    `${committed.join(', ')} committed by ${nodeName(leader.id)} (${replicas} of ${size} replicas)`,
+                );
+                return;
+            }
+        }
+    }
+
+    const handlers = {
+        RequestVote(self, from, message) {
+            if (message.term > self.term) {
+                stepDown(self, message.term);
+            }
+            const upToDate =
+                message.lastLogTerm > lastLogTerm(self) ||
+                (message.lastLogTerm === lastLogTerm(self) && message.lastLogIndex >= self.log.length);
+            const granted =
+                message.term === self.term && (self.votedFor === null || self.votedFor === from.id) && upToDate;
+            if (granted) {
+                self.votedFor = from.id;
+                resetElectionTimer(self);
+            } else if (message.term === self.term && !upToDate) {
+                note('vote', `${nodeName(self.id)} refuses ${nodeName(from.id)}: its log is behind`);
+            }
+            send(self, from, { type: 'RequestVoteResponse', term: self.term, granted });
+        },
+
+        RequestVoteResponse(self, from, message) {
+            if (message.term > self.term) {
+                stepDown(self, message.term);
+                return;
+            }
+            if (self.role === 'candidate' && message.term === self.term && message.granted) {
+                self.votes.add(from.id);
+                if (self.votes.size >= majority) {
+                    becomeLeader(self);
+                }
+            }
+        },
+
+        AppendEntries(self, from, message) {
+            if (message.term < self.term) {
+                send(self, from, { type: 'AppendEntriesResponse', term: self.term, success: false, matchIndex: 0 });
+                return;
+            }
+            if (message.term > self.term || self.role !== 'follower') {
+                stepDown(self, message.term);
+            }
+            self.leader = from.id;
+            resetElectionTimer(self);
+
+            const { prevLogIndex, prevLogTerm, entries } = message;
+            const matches = prevLogIndex === 0 || self.log[prevLogIndex - 1]?.term === prevLogTerm;
+            if (!matches) {
+                send(self, from, { type: 'AppendEntriesResponse', term: self.term, success: false, matchIndex: 0 });
+                return;
+            }
+            entries.forEach((entry, offset) => {
+                const index = prevLogIndex + offset + 1;
+                const existing = self.log[index - 1];
+                if (existing && existing.term !== entry.term) {
+                    const dropped = self.log.slice(index - 1).map((dropping) => dropping.command);
+                    note(
+                        'conflict',
+                        `${nodeName(self.id)} drops uncommitted ${dropped.join(', ')} ` +
+                            `that conflict with ${nodeName(from.id)}'s log`,
+                    );
+                    self.log = self.log.slice(0, index - 1);
+                }
+                if (!self.log[index - 1]) {
+                    self.log.push(entry);
+                }
+            });
+            const lastNewIndex = prevLogIndex + entries.length;
+            self.commitIndex = Math.max(self.commitIndex, Math.min(message.leaderCommit, lastNewIndex));
+            send(self, from, {
+                type: 'AppendEntriesResponse',
+                term: self.term,
+                success: true,
+                matchIndex: lastNewIndex,
+            });
+        },
+
+        AppendEntriesResponse(self, from, message) {
+            if (message.term > self.term) {
+                stepDown(self, message.term);
+                return;
+            }
+            if (self.role !== 'leader' || message.term !== self.term) {
+                return;
+            }
+            if (message.success) {
+                self.matchIndex[from.id] = Math.max(self.matchIndex[from.id], message.matchIndex);
+                self.nextIndex[from.id] = self.matchIndex[from.id] + 1;
+                advanceCommitIndex(self);
+            } else {
+                // Log Matching: back up until the follower's log agrees with ours.
+                self.nextIndex[from.id] = Math.max(1, self.nextIndex[from.id] - 1);
+            }
+        },
+    };
+
+    const ACTIONS = {
+        kill({ node: id }) {
+            const self = node(id);
+            if (self.alive) {
+                self.alive = false;
+                note('fault', `${nodeName(id)} crashes${self.role === 'leader' ? ' (it was the leader)' : ''}`);
+            }
+        },
+        restart({ node: id }) {
+            const self = node(id);
+            if (!self.alive) {
+                self.alive = true;
+                self.role = 'follower';
+                self.commitIndex = 0;
+                self.leader = null;
+                note('fault', `${nodeName(id)} restarts as a follower in term ${self.term}`);
+                resetElectionTimer(self);
+            }
+        },
+        partition({ groups }) {
+            sim.partition = groups;
+            const sides = groups.map((group) => `{${group.map(nodeName).join(', ')}}`);
+            note('fault', `Network partitioned: ${sides.join(' | ')}`);
+        },
+        heal() {
+            if (sim.partition) {
+                sim.partition = null;
+                note('fault', 'Network healed');
+            }
+        },
+        write({ node: id }) {
+            const leaders = sim.nodes.filter((candidate) => candidate.alive && candidate.role === 'leader');
+            const target =
+                leaders.find((leader) => leader.id === id) ?? leaders.sort((a, b) => b.term - a.term)[0];
+            sim.writes++;
+            const command = `x=${sim.writes}`;
+            if (!target) {
+                note('client', `Client write ${command} fails: no leader`);
+                return;
+            }
+            target.log.push({ term: target.term, command });
+            note(
+                'client',
+                `Client writes ${command} to ${nodeName(target.id)} (term ${target.term}, index ${target.log.length})`,
+            );
+            peers(target).forEach((peer) => sendAppendEntries(target, peer));
+        },
+    };
+
+    for (let id = 1; id <= size; id++) {
+        sim.nodes.push({
+            id,
+            role: 'follower',
+            term: 0,
+            votedFor: null,
+            votes: new Set(),
+            log: [],
+            commitIndex: 0,
+            leader: null,
+            alive: true,
+            nextIndex: {},
+            matchIndex: {},
+            timer: null,
+        });
+    }
+    [...actions].sort((a, b) => a.at - b.at).forEach((action) => schedule(action.at, { kind: 'action', action }));
+    sim.nodes.forEach(resetElectionTimer);
+
+    function process(item) {
+        if (item.kind === 'action') {
+            ACTIONS[item.action.type](item.action);
+            return;
+        }
+        if (item.kind === 'deliver') {
+            const flight = sim.inFlight.get(item.id);
+            sim.inFlight.delete(item.id);
+            const to = node(flight.to);
+            if (to.alive && reachable(flight.from, flight.to)) {
+                handlers[flight.message.type](to, node(flight.from), flight.message);
+            }
+            return;
+        }
+        const self = node(item.node);
+        if (!self.alive || self.timer?.token !== item.token) {
+            return;
+        }
+        if (item.kind === 'election-timeout' && self.role !== 'leader') {
+            startElection(self);
+        } else if (item.kind === 'heartbeat' && self.role === 'leader') {
+            peers(self).forEach((peer) => sendAppendEntries(self, peer));
+            scheduleHeartbeat(self);
+        }
+    }
+
+    /** Runs every event up to and including `until`. */
+    sim.advance = (until) => {
+        while (queue.length > 0 && queue[0].time <= until) {
+            const item = queue.shift();
+            sim.time = item.time;
+            process(item);
+        }
+        sim.time = Math.max(sim.time, until);
+        return sim;
+    };
+
+    return sim;
+}
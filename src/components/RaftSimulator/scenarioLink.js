@@ -0,0 +1,103 @@
+/**
+ * Encodes a Raft simulation (seed, cluster size, message delays, actions and
+ * the replay position) into a short URL-safe string, so that a scenario can
+ * be linked from anywhere as `?raft=<scenario>#raft-simulator` or passed to
+ * `<RaftSimulator scenario="..." />`. Parts are joined with `_`:
+ *
+ *     s42        seed                 n5         number of nodes (3 or 5)
+ *     d10-30     message delay (ms)   t8000      replay position (ms)
+ *     k1200-1    kill S1 at 1200 ms   r4000-1    restart S1 at 4000 ms
+ *     c2000      client write         c2000-3    client write sent to S3
+ *     p3000-12.345  partition {S1, S2} | {S3, S4, S5}
+ *     h6000      heal the partition
+ */
+
+import { DEFAULT_DELAY } from './raft';
+
+export const NODE_COUNTS = [3, 5];
+
+const TYPES = { k: 'kill', r: 'restart', c: 'write', p: 'partition', h: 'heal' };
+const CODES = Object.fromEntries(Object.entries(TYPES).map(([code, type]) => [type, code]));
+
+export const DEFAULT_SCENARIO = { seed: 1, nodes: 5, delay: DEFAULT_DELAY, actions: [], time: 0 };
+
+function parseNumber(text, part) {
+    if (!/^\d+$/.test(text)) {
+        throw new Error(`Raft scenario: expected a number in "${part}"`);
+    }
+    return Number(text);
+}
+
+/** Parses a scenario string, throwing on malformed parts. */
+export function parseScenario(text) {
+    const scenario = { ...DEFAULT_SCENARIO, actions: [] };
+    text.split('_')
+        .filter(Boolean)
+        .forEach((part) => {
+            const code = part[0];
+            const [first, second] = part.slice(1).split('-');
+            if (code === 's') {
+                scenario.seed = parseNumber(first, part);
+            } else if (code === 'n') {
+                scenario.nodes = parseNumber(first, part);
+                if (!NODE_COUNTS.includes(scenario.nodes)) {
+                    throw new Error(`Raft scenario: expected ${NODE_COUNTS.join(' or ')} nodes in "${part}"`);
+                }
+            } else if (code === 'd') {
+                scenario.delay = [parseNumber(first, part), parseNumber(second ?? first, part)];
+                if (scenario.delay[0] > scenario.delay[1]) {
+                    throw new Error(`Raft scenario: the delay range is reversed in "${part}"`);
+                }
+            } else if (code === 't') {
+                scenario.time = parseNumber(first, part);
+            } else if (TYPES[code]) {
+                const action = { at: parseNumber(first, part), type: TYPES[code] };
+                if (code === 'p') {
+                    action.groups = (second ?? '').split('.').map((group) =>
+                        [...group].map((digit) => parseNumber(digit, part)),
+                    );
+                    if (action.groups.length < 2 || action.groups.some((group) => group.length === 0)) {
+                        throw new Error(`Raft scenario: expected two or more node groups in "${part}"`);
+                    }
+                } else if (code !== 'h' && second !== undefined) {
+                    action.node = parseNumber(second, part);
+                } else if (code === 'k' || code === 'r') {
+                    throw new Error(`Raft scenario: missing node in "${part}"`);
+                }
+                scenario.actions.push(action);
+            } else {
+                throw new Error(`Raft scenario: unknown part "${part}"`);
+            }
+        });
+    const outOfRange = scenario.actions.find((action) =>
+        [action.node ?? 1, ...(action.groups ?? []).flat()].some((id) => id < 1 || id > scenario.nodes),
+    );
+    if (outOfRange) {
+        throw new Error(
+            `Raft scenario: ${outOfRange.type} at ${outOfRange.at} names a node outside 1..${scenario.nodes}`,
+        );
+    }
+    scenario.actions.sort((a, b) => a.at - b.at);
+    return scenario;
+}
+
+/** The inverse of parseScenario. */
+export function formatScenario({ seed, nodes, delay, actions, time }) {
+    const parts = [`s${seed}`, `n${nodes}`];
+    if (delay[0] !== DEFAULT_DELAY[0] || delay[1] !== DEFAULT_DELAY[1]) {
+        parts.push(`d${delay[0]}-${delay[1]}`);
+    }
+    actions.forEach((action) => {
+        let part = `${CODES[action.type]}${action.at}`;
+        if (action.groups) {
+            part += `-${action.groups.map((group) => group.join('')).join('.')}`;
+        } else if (action.node !== undefined) {
+            part += `-${action.node}`;
+        }
+        parts.push(part);
+    });
+    if (time > 0) {
+        parts.push(`t${Math.round(time)}`);
+    }
+    return parts.join('_');
+}
@@ -0,0 +1,50 @@
+import React from 'react';
+import useReadingProgress from './useReadingProgress';
+import ProgressTransfer from './ProgressTransfer';
+import styles from './styles.module.css';
+
+/** Ids of all docs below a list of sidebar items, nested categories included. */
+export function collectDocIds(items) {
+    return items.flatMap((item) => {
+        if (item.type === 'category') {
+            return collectDocIds(item.items);
+        }
+        return item.type === 'link' && item.docId ? [item.docId] : [];
+    });
+}
+
+/**
+ * Share of a category's chapters marked as done, shown on generated-index
+ * pages together with the export / import controls.
+ */
+export default function CategoryProgress({ items }) {
+    const { chapters } = useReadingProgress();
+    const docIds = collectDocIds(items);
+    if (docIds.length === 0) {
+        return null;
+    }
+
+    const done = docIds.filter((docId) => chapters[docId]?.done).length;
+    const percent = Math.round((done / docIds.length) * 100);
+
+    return (
+        <section className={styles.categoryProgress} aria-label="Reading progress">
+            <div className={styles.meterRow}>
+                <span className={styles.meterLabel}>
+                    {done} of {docIds.length} chapters done · {percent}%
+                </span>
+                <div
+                    className={styles.meter}
+                    role="progressbar"
+                    aria-label="Chapters done"
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={percent}
+                >
+                    <div className={styles.meterFill} style={{ width: `${percent}%` }} />
+                </div>
+            </div>
+            <ProgressTransfer />
+        </section>
+    );
+}
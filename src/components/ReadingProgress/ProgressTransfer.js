@@ -0,0 +1,37 @@
+import React from 'react';
+import ProgressTransfer from '@site/src/components/ProgressTransfer';
+import useReadingProgress from './useReadingProgress';
+import styles from './styles.module.css';
+
+function fileName(reader) {
+    const slug = reader
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    return slug ? `reading-progress-${slug}.json` : 'reading-progress.json';
+}
+
+// Export / import of the reading progress JSON
+export default function ReadingProgressTransfer() {
+    const { reader, exportProgress, importProgress, reset } = useReadingProgress();
+
+    const handleExport = () => {
+        // The name lets a study group tell the exported files apart.
+        const name = window.prompt('Name to include in the export:', reader);
+        if (name === null) {
+            return null;
+        }
+        return { json: exportProgress(name.trim()), fileName: fileName(name.trim()) };
+    };
+
+    return (
+        <ProgressTransfer
+            onExport={handleExport}
+            onImport={importProgress}
+            onReset={reset}
+            unit="chapter"
+            resetPrompt="Forget all reading progress stored in this browser?"
+            classNames={{ root: styles.transfer, button: styles.transferButton, message: styles.transferMessage }}
+        />
+    );
+}
@@ -0,0 +1,45 @@
+import React from 'react';
+import clsx from 'clsx';
+import { useDoc } from '@docusaurus/plugin-content-docs/client';
+import useReadingProgress from './useReadingProgress';
+import useScrollDepth from './useScrollDepth';
+import styles from './styles.module.css';
+
+/**
+ * Shown below every doc: how much of the chapter has been read and a toggle to
+ * mark it as done. Scroll depth is recorded automatically.
+ */
+export default function ChapterProgress() {
+    const { metadata } = useDoc();
+    const { chapters, setDone, recordScroll } = useReadingProgress();
+    const depth = useScrollDepth(metadata.id, recordScroll);
+    const state = chapters[metadata.id];
+    const done = state?.done ?? false;
+    const read = Math.max(depth, state?.scroll ?? 0);
+
+    return (
+        <div className={styles.chapterProgress}>
+            <div className={styles.meterRow}>
+                <span className={styles.meterLabel}>{done ? 'Completed' : `Read ${read}%`}</span>
+                <div
+                    className={styles.meter}
+                    role="progressbar"
+                    aria-label="Chapter read"
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={done ? 100 : read}
+                >
+                    <div className={styles.meterFill} style={{ width: `${done ? 100 : read}%` }} />
+                </div>
+            </div>
+            <button
+                type="button"
+                className={clsx(styles.doneButton, done && styles.doneButtonActive)}
+                aria-pressed={done}
+                onClick={() => setDone(metadata.id, !done)}
+            >
+                {done ? '✓ Done' : 'Mark as done'}
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,133 @@
+import { useCallback, useMemo } from 'react';
+import { useStorageSlot } from '@docusaurus/theme-common';
+
+const STORAGE_KEY = 'cs-wiki.reading-progress';
+const EXPORT_VERSION = 1;
+const EMPTY = { reader: '', chapters: {} };
+
+// Every sidebar link reads the progress, so parse each stored value only once.
+let cache = { raw: null, progress: EMPTY };
+
+function parseProgress(raw) {
+    if (!raw) {
+        return EMPTY;
+    }
+    if (cache.raw !== raw) {
+        let progress = EMPTY;
+        try {
+            const parsed = JSON.parse(raw);
+            if (parsed && typeof parsed === 'object') {
+                progress = { reader: parsed.reader ?? '', chapters: parsed.chapters ?? {} };
+            }
+        } catch {
+            // Corrupt value: start over.
+        }
+        cache = { raw, progress };
+    }
+    return cache.progress;
+}
+
+function serialize(progress) {
+    return JSON.stringify({ version: EXPORT_VERSION, ...progress });
+}
+
+function isChapterState(value) {
+    return (
+        value !== null &&
+        typeof value === 'object' &&
+        typeof value.updatedAt === 'string' &&
+        (value.scroll === undefined || typeof value.scroll === 'number') &&
+        (value.done === undefined || typeof value.done === 'boolean')
+    );
+}
+
+/**
+ * Per-chapter reading state (furthest scroll depth in percent and whether the
+ * chapter was marked as done), keyed by doc id and persisted in localStorage.
+ * Changes made in other tabs are picked up through the storage event.
+ */
+export default function useReadingProgress() {
+    const [raw, slot] = useStorageSlot(STORAGE_KEY);
+    const { reader, chapters } = useMemo(() => parseProgress(raw), [raw]);
+
+    const updateChapter = useCallback(
+        (docId, update) => {
+            const current = parseProgress(slot.get());
+            const chapter = update(current.chapters[docId] ?? { scroll: 0, done: false });
+            if (chapter) {
+                const updated = { ...chapter, updatedAt: new Date().toISOString() };
+                slot.set(serialize({ ...current, chapters: { ...current.chapters, [docId]: updated } }));
+            }
+        },
+        [slot],
+    );
+
+    const setDone = useCallback(
+        (docId, done) => updateChapter(docId, (chapter) => ({ ...chapter, done })),
+        [updateChapter],
+    );
+
+    // Only ever moves forward, so scrolling back up does not lose progress.
+    const recordScroll = useCallback(
+        (docId, percent) =>
+            updateChapter(docId, (chapter) => (percent > chapter.scroll ? { ...chapter, scroll: percent } : null)),
+        [updateChapter],
+    );
+
+    const exportProgress = useCallback(
+        (name) => {
+            const current = parseProgress(slot.get());
+            slot.set(serialize({ ...current, reader: name }));
+            return JSON.stringify(
+                {
+                    version: EXPORT_VERSION,
+                    exportedAt: new Date().toISOString(),
+                    reader: name,
+                    chapters: current.chapters,
+                },
+                null,
+                2,
+            );
+        },
+        [slot],
+    );
+
+    /**
+     * Merges an exported progress file into the local state. For chapters
+     * present on both sides the most recently updated state wins, keeping the
+     * furthest scroll depth of the two. Returns the number of imported chapters.
+     */
+    const importProgress = useCallback(
+        (json) => {
+            const data = JSON.parse(json);
+            if (!data || data.version !== EXPORT_VERSION || !data.chapters || typeof data.chapters !== 'object') {
+                throw new Error('Not a reading progress export (expected version 1).');
+            }
+
+            const current = parseProgress(slot.get());
+            const merged = { ...current.chapters };
+            let imported = 0;
+            Object.entries(data.chapters).forEach(([docId, state]) => {
+                if (!isChapterState(state)) {
+                    return;
+                }
+                const existing = merged[docId];
+                if (!existing || state.updatedAt > existing.updatedAt) {
+                    merged[docId] = {
+                        scroll: Math.max(state.scroll ?? 0, existing?.scroll ?? 0),
+                        done: state.done ?? false,
+                        updatedAt: state.updatedAt,
+                    };
+                    imported++;
+                }
+            });
+            slot.set(serialize({ ...current, chapters: merged }));
+            return imported;
+        },
+        [slot],
+    );
+
+    const reset = useCallback(() => slot.del(), [slot]);
+
+    return { reader, chapters, setDone, recordScroll, exportProgress, importProgress, reset };
+}
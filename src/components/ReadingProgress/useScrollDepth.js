@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react';
+import { ThemeClassNames } from '@docusaurus/theme-common';
+
+const STEP = 10;
+
+// How far (in percent) the bottom of the viewport has moved through the doc body.
+function measure(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.height <= 0) {
+        return 0;
+    }
+    const read = (window.innerHeight - rect.top) / rect.height;
+    return Math.round(Math.min(1, Math.max(0, read)) * 100);
+}
+
+/**
+ * Tracks the furthest scroll depth reached in the current doc and reports it
+ * to `onRecord` in steps of 10%, so storage is not written on every scroll
+ * event. Returns the live depth for display.
+ */
+export default function useScrollDepth(docId, onRecord) {
+    const [depth, setDepth] = useState(0);
+
+    useEffect(() => {
+        const element = document.querySelector(`.${ThemeClassNames.docs.docMarkdown}`);
+        if (!element) {
+            return undefined;
+        }
+
+        let furthest = 0;
+        let recorded = 0;
+        let frame = null;
+        const update = () => {
+            frame = null;
+            const current = measure(element);
+            if (current <= furthest) {
+                return;
+            }
+            furthest = current;
+            setDepth(current);
+            if (current - recorded >= STEP || current === 100) {
+                recorded = current;
+                onRecord(docId, current);
+            }
+        };
+        const onScroll = () => {
+            frame ??= window.requestAnimationFrame(update);
+        };
+
+        setDepth(0);
+        update();
+        window.addEventListener('scroll', onScroll, { passive: true });
+        window.addEventListener('resize', onScroll);
+        return () => {
+            window.removeEventListener('scroll', onScroll);
+            window.removeEventListener('resize', onScroll);
+            if (frame !== null) {
+                window.cancelAnimationFrame(frame);
+            }
+            if (furthest > recorded) {
+                onRecord(docId, furthest);
+            }
+        };
+    }, [docId, onRecord]);
+
+    return depth;
+}
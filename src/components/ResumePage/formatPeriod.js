@@ -0,0 +1,11 @@
+const MONTH = new Intl.DateTimeFormat('en', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+function formatMonth(date) {
+    const [year, month = '01'] = date.split('-');
+    return MONTH.format(new Date(Date.UTC(Number(year), Number(month) - 1)));
+}
+
+/** "2023-02" and "2025-05" -> "Feb 2023 – May 2025"; no end date means "Present". */
+export default function formatPeriod(startDate, endDate) {
+    return `${formatMonth(startDate)} – ${endDate ? formatMonth(endDate) : 'Present'}`;
+}
@@ -0,0 +1,135 @@
+import React from 'react';
+import Link from '@docusaurus/Link';
+import useBaseUrl from '@docusaurus/useBaseUrl';
+import Layout from '@theme/Layout';
+import formatPeriod from './formatPeriod';
+import styles from './styles.module.css';
+
+function displayUrl(url) {
+    return url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+}
+
+// Name, title and contact line
+function Header({ basics }) {
+    const contacts = [
+        basics.email && { label: basics.email, href: `mailto:${basics.email}` },
+        basics.url && { label: displayUrl(basics.url), href: basics.url },
+        ...(basics.profiles ?? []).map((profile) => ({ label: displayUrl(profile.url), href: profile.url })),
+    ].filter(Boolean);
+
+    return (
+        <header className={styles.header}>
+            <h1>{basics.name}</h1>
+            {basics.label && <p className={styles.label}>{basics.label}</p>}
+            <ul className={styles.contacts}>
+                {contacts.map((contact) => (
+                    <li key={contact.href}>
+                        <a href={contact.href}>{contact.label}</a>
+                    </li>
+                ))}
+            </ul>
+            {basics.summary && <p className={styles.summary}>{basics.summary}</p>}
+        </header>
+    );
+}
+
+function Work({ work }) {
+    return (
+        <section className={styles.section}>
+            <h2>Experience</h2>
+            {work.map((job) => (
+                <article key={`${job.name}-${job.startDate}`} className={styles.entry}>
+                    <div className={styles.entryHeader}>
+                        <h3>
+                            {job.position} · {job.name}
+                        </h3>
+                        <span className={styles.entryMeta}>
+                            {formatPeriod(job.startDate, job.endDate)}
+                            {job.location && ` · ${job.location}`}
+                        </span>
+                    </div>
+                    {job.summary && <p>{job.summary}</p>}
+                    {job.highlights?.length > 0 && (
+                        <ul>
+                            {job.highlights.map((highlight) => (
+                                <li key={highlight}>{highlight}</li>
+                            ))}
+                        </ul>
+                    )}
+                    {job.keywords?.length > 0 && <p className={styles.keywords}>{job.keywords.join(' · ')}</p>}
+                </article>
+            ))}
+        </section>
+    );
+}
+
+function Skills({ skills }) {
+    return (
+        <section className={styles.section}>
+            <h2>Skills</h2>
+            <dl className={styles.skills}>
+                {skills.map((skill) => (
+                    <React.Fragment key={skill.name}>
+                        <dt>{skill.name}</dt>
+                        <dd>{skill.keywords.join(', ')}</dd>
+                    </React.Fragment>
+                ))}
+            </dl>
+        </section>
+    );
+}
+
+function Projects({ projects }) {
+    return (
+        <section className={styles.section}>
+            <h2>Projects</h2>
+            {projects.map((project) => (
+                <article key={project.name} className={styles.entry}>
+                    <div className={styles.entryHeader}>
+                        <h3>{project.url ? <a href={project.url}>{project.name}</a> : project.name}</h3>
+                        {project.repository && (
+                            <a className={styles.entryMeta} href={project.repository}>
+                                {displayUrl(project.repository)}
+                            </a>
+                        )}
+                    </div>
+                    <p>{project.description}</p>
+                    {project.keywords?.length > 0 && <p className={styles.keywords}>{project.keywords.join(' · ')}</p>}
+                </article>
+            ))}
+        </section>
+    );
+}
+
+/**
+ * Printable resume rendered from the JSON Resume document generated by
+ * plugins/portfolio, the same data as /resume.json and the homepage.
+ */
+export default function ResumePage({ resume }) {
+    const { basics, work, skills, projects } = resume;
+    const resumeJson = useBaseUrl('/resume.json');
+
+    return (
+        <Layout title={`${basics.name} – Resume`} description={basics.summary}>
+            <main className={styles.page}>
+                <div className={styles.toolbar}>
+                    <Link to="/">← Portfolio</Link>
+                    <div className={styles.actions}>
+                        <a className={styles.actionButton} href={resumeJson} download="resume.json">
+                            resume.json
+                        </a>
+                        <button type="button" className={styles.actionButton} onClick={() => window.print()}>
+                            Print / PDF
+                        </button>
+                    </div>
+                </div>
+                <div className={styles.resume}>
+                    <Header basics={basics} />
+                    {work.length > 0 && <Work work={work} />}
+                    {skills.length > 0 && <Skills skills={skills} />}
+                    {projects.length > 0 && <Projects projects={projects} />}
+                </div>
+            </main>
+        </Layout>
+    );
+}
@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react';
+import clsx from 'clsx';
+import styles from './styles.module.css';
+
+// Where the main content starts; focus moves there after scrolling up.
+const CONTENT_ID = '__docusaurus_skipToContent_fallback';
+
+/**
+ * "Back to top" button shown once the page has been scrolled past `offset`
+ * pixels. Visibility is driven by an IntersectionObserver on an invisible
+ * marker at that offset instead of a scroll listener.
+ */
+export default function ScrollToTop({ offset = 500 }) {
+    const [isVisible, setIsVisible] = useState(false);
+
+    useEffect(() => {
+        if (typeof IntersectionObserver === 'undefined') {
+            return undefined;
+        }
+        const marker = document.createElement('div');
+        marker.setAttribute('aria-hidden', 'true');
+        Object.assign(marker.style, { position: 'absolute', top: `${offset}px`, left: '0', width: '1px', height: '1px' });
+        document.body.prepend(marker);
+
+        const observer = new IntersectionObserver(([entry]) => {
+            setIsVisible(!entry.isIntersecting && entry.boundingClientRect.top < 0);
+        });
+        observer.observe(marker);
+        return () => {
+            observer.disconnect();
+            marker.remove();
+        };
+    }, [offset]);
+
+    const scrollToTop = () => {
+        const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        window.scrollTo({ top: 0, behavior: reduceMotion ? 'auto' : 'smooth' });
+        document.getElementById(CONTENT_ID)?.focus({ preventScroll: true });
+    };
+
+    return (
+        <button
+            type="button"
+            className={clsx(styles.scrollToTop, isVisible && styles.scrollToTopVisible)}
+            onClick={scrollToTop}
+            aria-label="Scroll to top"
+            aria-hidden={!isVisible}
+            tabIndex={isVisible ? 0 : -1}
+        >
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M18 15l-6-6-6 6" />
+            </svg>
+        </button>
+    );
+}
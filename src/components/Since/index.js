@@ -0,0 +1,36 @@
+import React from 'react';
+import clsx from 'clsx';
+import { compareVersions, productLabel, useReaderVersion } from '@site/src/components/VersionTabs/platforms';
+import styles from './styles.module.css';
+
+/**
+ * Marks a feature introduced in a given version: `<Since version="21" />` as
+ * an inline badge, or wrapping the content that needs it. When the docs
+ * version being read targets an older release, the badge says so.
+ */
+export default function Since({ version, product = 'java', children }) {
+    const label = productLabel(product);
+    const readerVersion = useReaderVersion(product);
+    const unavailable = readerVersion !== undefined && compareVersions(readerVersion, version) < 0;
+    const title = unavailable
+        ? `Requires ${label} ${version}; this version of the docs covers ${label} ${readerVersion}`
+        : `Available since ${label} ${version}`;
+
+    const badge = (
+        <span className={clsx(styles.badge, unavailable && styles.badgeUnavailable)} title={title}>
+            {label} {version}+
+        </span>
+    );
+    if (!children) {
+        return badge;
+    }
+    return (
+        <div className={clsx(styles.since, unavailable && styles.sinceUnavailable)}>
+            <div className={styles.sinceHeader}>
+                {badge}
+                {unavailable && <span>Not available in {label} {readerVersion}</span>}
+            </div>
+            {children}
+        </div>
+    );
+}
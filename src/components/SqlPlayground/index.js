@@ -0,0 +1,180 @@
+import React, { Children, isValidElement, useState } from 'react';
+import clsx from 'clsx';
+import { usePluginData } from '@docusaurus/useGlobalData';
+import { useDoc } from '@docusaurus/plugin-content-docs/client';
+import useDatabase from './useDatabase';
+import { MAX_ROWS, runStatements } from './runStatements';
+import styles from './styles.module.css';
+
+/** The text of the ```sql block passed as children. */
+function codeText(node) {
+    if (typeof node === 'string') {
+        return node;
+    }
+    if (isValidElement(node)) {
+        return codeText(node.props.children);
+    }
+    return Children.toArray(node).map(codeText).join('');
+}
+
+function formatElapsed(ms) {
+    return ms < 1 ? `${ms.toFixed(2)} ms` : `${ms.toFixed(1)} ms`;
+}
+
+function PlanNodes({ nodes }) {
+    return (
+        <ul className={styles.plan}>
+            {nodes.map((node) => (
+                <li key={node.id}>
+                    <code>{node.detail}</code>
+                    {node.children.length > 0 && <PlanNodes nodes={node.children} />}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+function ResultTable({ columns, rows }) {
+    return (
+        <div className={styles.tableWrapper}>
+            <table className={styles.table}>
+                <thead>
+                    <tr>
+                        {columns.map((column, index) => (
+                            <th key={index}>{column}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((row, rowIndex) => (
+                        <tr key={rowIndex}>
+                            {row.map((value, index) => (
+                                <td key={index} className={clsx(value === null && styles.null)}>
+                                    {value === null ? 'NULL' : String(value)}
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function Result({ result }) {
+    const summary =
+        result.changes !== null
+            ? `${result.changes} row(s) changed`
+            : result.columns.length > 0
+              ? `${result.rowCount} row(s)`
+              : 'Done';
+
+    return (
+        <section className={styles.result}>
+            <header className={styles.resultHeader}>
+                <code className={styles.resultSql}>{result.sql}</code>
+                <span className={styles.resultMeta}>
+                    {summary} · {formatElapsed(result.elapsed)}
+                </span>
+            </header>
+            {result.plan && (
+                <div className={styles.planBox}>
+                    <span className={styles.planLabel}>Query plan</span>
+                    <PlanNodes nodes={result.plan} />
+                </div>
+            )}
+            {result.columns.length > 0 && <ResultTable columns={result.columns} rows={result.rows} />}
+            {result.rowCount > result.rows.length && (
+                <p className={styles.more}>
+                    First {MAX_ROWS} of {result.rowCount} rows shown.
+                </p>
+            )}
+        </section>
+    );
+}
+
+/**
+ * Runs SQL in the reader's browser on an in-memory SQLite database (WASM, no
+ * server) seeded with the chapter's schema and data from data/sql-seeds
+ * (plugins/sql-playground). The query to start from is the ```sql block
+ * between the tags, or `query`; `seed` picks another chapter's seed by doc
+ * id. Each statement shows its rows, timing and, with "Query plan" on, its
+ * EXPLAIN QUERY PLAN. Readers' changes last until they reset the database.
+ */
+export default function SqlPlayground({ seed, query, plan = false, children }) {
+    const { seeds } = usePluginData('sql-playground');
+    const { metadata } = useDoc();
+    const seedId = seed ?? metadata.id;
+    const seedSql = seeds[seedId];
+    if (seedSql === undefined) {
+        throw new Error(`<SqlPlayground>: no seed data/sql-seeds/${seedId}.sql`);
+    }
+
+    const initialSql = (query ?? codeText(children)).trim();
+    const [sql, setSql] = useState(initialSql);
+    const [showPlan, setShowPlan] = useState(plan);
+    const [output, setOutput] = useState(null);
+    const { status, withDatabase, reset } = useDatabase(seedSql);
+
+    const run = async () => {
+        try {
+            setOutput(await withDatabase((db) => runStatements(db, sql, { plan: showPlan })));
+        } catch (err) {
+            setOutput({ results: [], error: `SQLite could not be loaded: ${err.message}` });
+        }
+    };
+
+    const onKeyDown = (event) => {
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            run();
+        }
+    };
+
+    const resetDatabase = () => {
+        reset();
+        setSql(initialSql);
+        setOutput(null);
+    };
+
+    return (
+        <div className={styles.playground}>
+            <textarea
+                className={styles.editor}
+                value={sql}
+                onChange={(event) => setSql(event.target.value)}
+                onKeyDown={onKeyDown}
+                rows={Math.max(3, sql.split('\n').length)}
+                spellCheck={false}
+                aria-label="SQL to run"
+            />
+            <div className={styles.toolbar}>
+                <button
+                    type="button"
+                    className="button button--primary button--sm"
+                    onClick={run}
+                    disabled={status === 'loading'}
+                    title="Ctrl+Enter"
+                >
+                    {status === 'loading' ? 'Loading SQLite…' : 'Run'}
+                </button>
+                <label className={styles.toggle}>
+                    <input type="checkbox" checked={showPlan} onChange={(event) => setShowPlan(event.target.checked)} />
+                    Query plan
+                </label>
+                <button type="button" className="button button--secondary button--sm" onClick={resetDatabase}>
+                    Reset
+                </button>
+                <span className={styles.engine}>SQLite, in your browser</span>
+            </div>
+            {output && (
+                <div className={styles.output} aria-live="polite">
+                    {output.results.map((result, index) => (
+                        <Result key={index} result={result} />
+                    ))}
+                    {output.error && <p className={styles.error}>{output.error}</p>}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,68 @@
+// Rows shown per result; the rest are only counted.
+export const MAX_ROWS = 200;
+
+const WRITE = /^(?:insert|update|delete|replace)\b/i;
+// A statement's SQL starts with the comments between it and the one before.
+const LEADING_COMMENTS = /^(?:\s+|--[^\n]*(?:\n|$)|\/\*[\s\S]*?\*\/)*/;
+
+/**
+ * EXPLAIN QUERY PLAN rows (id, parent, detail) as a tree: each node's
+ * children are the steps whose parent is its id, 0 being the root.
+ */
+function planTree(rows) {
+    const nodes = rows.map(([id, parent, , detail]) => ({ id, parent, detail, children: [] }));
+    const byId = new Map(nodes.map((node) => [node.id, node]));
+    const roots = [];
+    nodes.forEach((node) => (byId.get(node.parent)?.children ?? roots).push(node));
+    return roots;
+}
+
+function explain(db, sql) {
+    const [result] = db.exec(`EXPLAIN QUERY PLAN ${sql}`);
+    return planTree(result?.values ?? []);
+}
+
+/**
+ * Runs the statements of `sql` one after the other on a sql.js database and
+ * reports, for each: its SQL, the columns and (up to MAX_ROWS) rows it
+ * returned with their total count, the rows it changed and how long it took.
+ * Queries also get their EXPLAIN QUERY PLAN when `plan` is set. Running stops
+ * at the first error, reported after the results of the statements before it.
+ *
+ * @returns {{results: object[], error: string | null}}
+ */
+export function runStatements(db, sql, { plan = false } = {}) {
+    const results = [];
+    try {
+        for (const statement of db.iterateStatements(sql)) {
+            const text = statement.getSQL().replace(LEADING_COMMENTS, '').trim();
+            const columns = statement.getColumnNames();
+            const queryPlan = plan && columns.length > 0 ? explain(db, text) : null;
+
+            const rows = [];
+            let rowCount = 0;
+            const start = performance.now();
+            while (statement.step()) {
+                if (rows.length < MAX_ROWS) {
+                    rows.push(statement.get());
+                }
+                rowCount++;
+            }
+            const elapsed = performance.now() - start;
+
+            results.push({
+                sql: text,
+                columns,
+                rows,
+                rowCount,
+                // SQLite only counts the rows changed by INSERT, UPDATE and DELETE
+                changes: WRITE.test(text) ? db.getRowsModified() : null,
+                elapsed,
+                plan: queryPlan,
+            });
+        }
+        return { results, error: null };
+    } catch (err) {
+        return { results, error: err.message ?? String(err) };
+    }
+}
@@ -0,0 +1,65 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+let sqlJs = null;
+
+/**
+ * Loads the WASM build of SQLite once per page, on first use. A failed load
+ * (e.g. offline) is forgotten, so the next query tries again.
+ */
+function loadSqlJs() {
+    sqlJs ??= Promise.all([import('sql.js'), import('sql.js/dist/sql-wasm-browser.wasm')])
+        .then(([{ default: initSqlJs }, { default: wasmUrl }]) => initSqlJs({ locateFile: () => wasmUrl }))
+        .catch((err) => {
+            sqlJs = null;
+            throw err;
+        });
+    return sqlJs;
+}
+
+/**
+ * An in-memory SQLite database holding `seed`, created when first used
+ * (`withDatabase`) so that pages do not download SQLite until a reader runs
+ * a query. `reset` drops the reader's changes by seeding a new database.
+ */
+export default function useDatabase(seed) {
+    const database = useRef(null);
+    const [status, setStatus] = useState('idle');
+
+    const close = useCallback(() => {
+        database.current?.then((db) => db.close()).catch(() => {});
+        database.current = null;
+    }, []);
+
+    const withDatabase = useCallback(
+        async (callback) => {
+            if (!database.current) {
+                setStatus('loading');
+                database.current = loadSqlJs().then((SQL) => {
+                    const db = new SQL.Database();
+                    db.exec(seed);
+                    return db;
+                });
+            }
+            let db;
+            try {
+                db = await database.current;
+            } catch (err) {
+                database.current = null;
+                setStatus('failed');
+                throw err;
+            }
+            setStatus('ready');
+            return callback(db);
+        },
+        [seed],
+    );
+
+    const reset = useCallback(() => {
+        close();
+        setStatus('idle');
+    }, [close]);
+
+    useEffect(() => close, [close, seed]);
+
+    return { status, withDatabase, reset };
+}
@@ -0,0 +1,78 @@
+import React from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import { usePluginData } from '@docusaurus/useGlobalData';
+import styles from './styles.module.css';
+
+function CoverageBar({ covered, total, percent }) {
+    return (
+        <div className={styles.summary}>
+            <div
+                className={styles.bar}
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={percent}
+                aria-label="Syllabus coverage"
+            >
+                <div className={styles.barFill} style={{ width: `${percent}%` }} />
+            </div>
+            <span className={styles.summaryText}>
+                <strong>{percent}%</strong> covered · {covered} of {total} syllabus items have a matching section
+            </span>
+        </div>
+    );
+}
+
+function SyllabusItem({ item }) {
+    const covered = Boolean(item.link);
+    return (
+        <li
+            className={clsx(styles.item, covered ? styles.itemCovered : styles.itemMissing)}
+            style={{ marginLeft: `${item.depth * 1.25}rem` }}
+        >
+            <span className={styles.checkbox} aria-label={covered ? 'Covered' : 'Not covered yet'}>
+                {covered ? '✓' : ''}
+            </span>
+            {covered ? (
+                <Link to={item.link} title={item.heading}>
+                    {item.text}
+                </Link>
+            ) : (
+                <span>{item.text}</span>
+            )}
+        </li>
+    );
+}
+
+/**
+ * Renders a topic's syllabus from data/syllabus.yml as a checklist, linking
+ * each item to the chapter section that covers it.
+ */
+export default function SyllabusCoverage({ topic }) {
+    const coverage = usePluginData('syllabus-coverage').topics[topic];
+
+    if (!coverage) {
+        return (
+            <div className="alert alert--warning">
+                No syllabus found for topic <code>{topic}</code> in data/syllabus.yml.
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles.coverage}>
+            <CoverageBar {...coverage} />
+            {coverage.sections.map((section, idx) => (
+                <section key={idx} className={styles.section}>
+                    {section.title && <h4 className={styles.sectionTitle}>{section.title}</h4>}
+                    <ul className={styles.items}>
+                        {section.items.map((item, iIdx) => (
+                            <SyllabusItem key={iIdx} item={item} />
+                        ))}
+                    </ul>
+                </section>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import Translate from '@docusaurus/Translate';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import { usePluginData } from '@docusaurus/useGlobalData';
+import { useDoc } from '@docusaurus/plugin-content-docs/client';
+
+const TRANSLATED_SOURCE = /^@site\/i18n\//;
+
+/**
+ * Tells readers of a non-default locale that the doc is shown in English
+ * because it has no translation yet, or that its translation predates the
+ * latest changes to the English original.
+ */
+export default function TranslationNotice() {
+    const {
+        i18n: { currentLocale, defaultLocale },
+    } = useDocusaurusContext();
+    const { outdated } = usePluginData('translation-status');
+    const { metadata } = useDoc();
+
+    if (currentLocale === defaultLocale) {
+        return null;
+    }
+    if (!TRANSLATED_SOURCE.test(metadata.source)) {
+        return (
+            <div className="alert alert--info margin-bottom--md" role="note">
+                <Translate id="translationNotice.untranslated" description="Shown on docs served in English because they have no translation yet">
+                    This chapter has not been translated yet, so it is shown in English.
+                </Translate>
+            </div>
+        );
+    }
+    if (outdated.includes(metadata.source.replace('@site/', ''))) {
+        return (
+            <div className="alert alert--warning margin-bottom--md" role="note">
+                <Translate id="translationNotice.outdated" description="Shown on translated docs whose English original changed since they were translated">
+                    The English original of this chapter has changed since it was translated; some parts may be out of date.
+                </Translate>
+            </div>
+        );
+    }
+    return null;
+}
@@ -0,0 +1,27 @@
+import React, { Children } from 'react';
+import Tabs from '@theme/Tabs';
+import { productLabel, useReaderVersion } from './platforms';
+
+/**
+ * Tabs for code or prose that differs between versions of a product, one
+ * `<TabItem value="17">` per version. The tab matching the docs version being
+ * read is selected by default; a reader's choice is remembered and shared by
+ * every VersionTabs of the same product.
+ */
+export default function VersionTabs({ product = 'java', children }) {
+    const label = productLabel(product);
+    const readerVersion = useReaderVersion(product);
+    const values = Children.toArray(children).map((child) => ({
+        value: child.props.value,
+        label: child.props.label ?? `${label} ${child.props.value}`,
+    }));
+    const defaultValue = values.some((tab) => tab.value === readerVersion)
+        ? readerVersion
+        : values[values.length - 1]?.value;
+
+    return (
+        <Tabs groupId={`${product}-version`} values={values} defaultValue={defaultValue}>
+            {children}
+        </Tabs>
+    );
+}
@@ -0,0 +1,38 @@
+import { useActivePluginAndVersion } from '@docusaurus/plugin-content-docs/client';
+import docsVersions from '@site/data/docs-versions.json';
+
+// Products whose version a docs version targets, keyed as in data/docs-versions.json.
+export const PRODUCTS = {
+    java: 'Java',
+    'spring-boot': 'Spring Boot',
+};
+
+/** Compares dotted version numbers: "3.2" > "3" > "2.7". */
+export function compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] ?? 0) - (right[i] ?? 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return 0;
+}
+
+export function productLabel(product) {
+    const label = PRODUCTS[product];
+    if (!label) {
+        throw new Error(`Unknown product "${product}", expected one of ${Object.keys(PRODUCTS).join(', ')}`);
+    }
+    return label;
+}
+
+/**
+ * The version of `product` covered by the docs version being read, e.g. "17"
+ * for Java on /docs/java-17/*. Undefined outside the docs (blog posts, pages).
+ */
+export function useReaderVersion(product) {
+    const activeVersion = useActivePluginAndVersion()?.activeVersion;
+    return activeVersion ? docsVersions[activeVersion.name]?.[product] : undefined;
+}
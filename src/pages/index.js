@@ -1,8 +1,11 @@
 import React, { useEffect, useState } from 'react';
 import clsx from 'clsx';
 import Link from '@docusaurus/Link';
-import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import { usePluginData } from '@docusaurus/useGlobalData';
 import Layout from '@theme/Layout';
+import NavDots from '@site/src/components/NavDots';
+import ScrollToTop from '@site/src/components/ScrollToTop';
+import formatPeriod from '@site/src/components/ResumePage/formatPeriod';
 import styles from './index.module.css';
 
 // Animated Background
@@ -17,50 +20,57 @@ function AnimatedBackground() {
     );
 }
 
-// Navigation Dots
-function NavDots() {
-    const sections = ['hero', 'about', 'experience', 'skills', 'projects', 'contact'];
-    const [activeSection, setActiveSection] = useState('hero');
-
-    useEffect(() => {
-        const handleScroll = () => {
-            const scrollPosition = window.scrollY + window.innerHeight / 3;
+// Icons for the hero links; profiles of other networks are not shown there.
+const SOCIAL_ICONS = {
+    github: 'M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z',
+    linkedin: 'M19 0h-14c-2.761 0-5 2.239-5 5v14c0 2.761 2.239 5 5 5h14c2.762 0 5-2.239 5-5v-14c0-2.761-2.238-5-5-5zm-11 19h-3v-11h3v11zm-1.5-12.268c-.966 0-1.75-.79-1.75-1.764s.784-1.764 1.75-1.764 1.75.79 1.75 1.764-.783 1.764-1.75 1.764zm13.5 12.268h-3v-5.604c0-3.368-4-3.113-4 0v5.604h-3v-11h3v1.765c1.396-2.586 7-2.777 7 2.476v6.759z',
+    email: 'M24 5.457v13.909c0 .904-.732 1.636-1.636 1.636h-3.819V11.73L12 16.64l-6.545-4.91v9.273H1.636A1.636 1.636 0 0 1 0 19.366V5.457c0-2.023 2.309-3.178 3.927-1.964L5.455 4.64 12 9.548l6.545-4.91 1.528-1.145C21.69 2.28 24 3.434 24 5.457z',
+    leetcode: 'M13.483 0a1.374 1.374 0 0 0-.961.438L7.116 6.226l-3.854 4.126a5.266 5.266 0 0 0-1.209 2.104 5.35 5.35 0 0 0-.125.513 5.527 5.527 0 0 0 .062 2.362 5.83 5.83 0 0 0 .349 1.017 5.938 5.938 0 0 0 1.271 1.818l4.277 4.193.039.038c2.248 2.165 5.852 2.133 8.063-.074l2.396-2.392c.54-.54.54-1.414.003-1.955a1.378 1.378 0 0 0-1.951-.003l-2.396 2.392a3.021 3.021 0 0 1-4.205.038l-.02-.019-4.276-4.193c-.652-.64-.972-1.469-.948-2.263a2.68 2.68 0 0 1 .066-.523 2.545 2.545 0 0 1 .619-1.164L9.13 8.114c1.058-1.134 3.204-1.27 4.43-.278l3.501 2.831c.593.48 1.461.387 1.94-.207a1.384 1.384 0 0 0-.207-1.943l-3.5-2.831c-.8-.647-1.766-1.045-2.774-1.202l2.015-2.158A1.384 1.384 0 0 0 13.483 0zm-2.866 12.815a1.38 1.38 0 0 0-1.38 1.382 1.38 1.38 0 0 0 1.38 1.382H20.79a1.38 1.38 0 0 0 1.38-1.382 1.38 1.38 0 0 0-1.38-1.382z',
+};
+
+// "**FameScore**" -> <strong>FameScore</strong>
+function withBold(text) {
+    return text.split(/\*\*(.+?)\*\*/).map((part, idx) => (idx % 2 === 1 ? <strong key={idx}>{part}</strong> : part));
+}
 
-            for (const section of sections) {
-                const element = document.getElementById(section);
-                if (element) {
-                    const { offsetTop, offsetHeight } = element;
-                    if (scrollPosition >= offsetTop && scrollPosition < offsetTop + offsetHeight) {
-                        setActiveSection(section);
-                        break;
-                    }
-                }
-            }
+// The hero's code window, filled from the current position and the hero data
+function heroCode(basics, hero, experiences) {
+    const current = experiences.find((exp) => !exp.endDate) ?? experiences[0];
+    const className = basics.name.replace(/[^A-Za-z0-9_$]/g, '') || 'Me';
+    const fields = [
+        current && `    private String role = "${current.role}";`,
+        hero.yearsOfExperience !== undefined && `    private int experience = ${hero.yearsOfExperience}; // years`,
+        current && `    private String company = "${current.company}";`,
+    ].filter(Boolean);
+    const skillLines = [];
+    for (let i = 0; i < hero.skills.length; i += 2) {
+        skillLines.push(`            ${hero.skills.slice(i, i + 2).map((skill) => `"${skill}"`).join(', ')}`);
+    }
+    const code = `public class ${className} {
+    
+${fields.join('\n')}
+    
+    public String[] getSkills() {
+        return new String[] {
+${skillLines.join(',\n')}
         };
-
-        window.addEventListener('scroll', handleScroll);
-        return () => window.removeEventListener('scroll', handleScroll);
-    }, []);
-
-    return (
-        <nav className={styles.navDots}>
-            {sections.map((section) => (
-                <a
-                    key={section}
-                    href={`#${section}`}
-                    className={clsx(styles.navDot, activeSection === section && styles.navDotActive)}
-                    aria-label={`Navigate to ${section}`}
-                >
-                    <span className={styles.navDotLabel}>{section.charAt(0).toUpperCase() + section.slice(1)}</span>
-                </a>
-            ))}
-        </nav>
-    );
+    }
+    
+    public boolean isAvailable() {
+        return true; // Let's connect!
+    }
+}`;
+    return { fileName: `${className}.java`, code };
 }
 
 // Hero Section
-function Hero() {
-    const roles = ['Software Engineer', 'Backend Specialist', 'System Design Enthusiast'];
+function Hero({ basics, hero, experiences }) {
+    const socialLinks = [
+        ...basics.profiles.map((profile) => ({ label: profile.network, href: profile.url })),
+        { label: 'Email', href: `mailto:${basics.email}` },
+    ].filter((link) => SOCIAL_ICONS[link.label.toLowerCase()]);
+    const { roles } = hero;
+    const { fileName, code } = heroCode(basics, hero, experiences);
     const [currentRole, setCurrentRole] = useState(0);
     const [isVisible, setIsVisible] = useState(true);
 
@@ -86,7 +96,7 @@ function Hero() {
                     </div>
                     <h1 className={styles.heroName}>
                         <span className={styles.greeting}>Hello, I'm</span>
-                        <span className={styles.name}>Harendra</span>
+                        <span className={styles.name}>{basics.name}</span>
                     </h1>
                     <div className={styles.roleWrapper}>
                         <span className={clsx(styles.role, isVisible && styles.roleVisible)}>
@@ -106,37 +116,28 @@ function Hero() {
                                 <path d="M5 12h14M12 5l7 7-7 7" />
                             </svg>
                         </Link>
-                        <a href="https://drive.google.com/file/d/1aFKAM-ZU8xbPwqrADwt0FwaFVfOf_zXq/view?usp=drive_link"
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className={styles.secondaryBtn}>
+                        <Link to="/resume" className={styles.secondaryBtn}>
                             <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                 <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4M7 10l5 5 5-5M12 15V3" />
                             </svg>
-                            <span>Download CV</span>
-                        </a>
+                            <span>View Resume</span>
+                        </Link>
                     </div>
                     <div className={styles.socialLinks}>
-                        <a href="https://github.com/Harendra1558" target="_blank" rel="noopener noreferrer" className={styles.socialLink} aria-label="GitHub">
-                            <svg viewBox="0 0 24 24" fill="currentColor">
-                                <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z" />
-                            </svg>
-                        </a>
-                        <a href="https://www.linkedin.com/in/harendra1558/" target="_blank" rel="noopener noreferrer" className={styles.socialLink} aria-label="LinkedIn">
-                            <svg viewBox="0 0 24 24" fill="currentColor">
-                                <path d="M19 0h-14c-2.761 0-5 2.239-5 5v14c0 2.761 2.239 5 5 5h14c2.762 0 5-2.239 5-5v-14c0-2.761-2.238-5-5-5zm-11 19h-3v-11h3v11zm-1.5-12.268c-.966 0-1.75-.79-1.75-1.764s.784-1.764 1.75-1.764 1.75.79 1.75 1.764-.783 1.764-1.75 1.764zm13.5 12.268h-3v-5.604c0-3.368-4-3.113-4 0v5.604h-3v-11h3v1.765c1.396-2.586 7-2.777 7 2.476v6.759z" />
-                            </svg>
-                        </a>
-                        <a href="mailto:harendrakumar1558@gmail.com" className={styles.socialLink} aria-label="Email">
-                            <svg viewBox="0 0 24 24" fill="currentColor">
-                                <path d="M24 5.457v13.909c0 .904-.732 1.636-1.636 1.636h-3.819V11.73L12 16.64l-6.545-4.91v9.273H1.636A1.636 1.636 0 0 1 0 19.366V5.457c0-2.023 2.309-3.178 3.927-1.964L5.455 4.64 12 9.548l6.545-4.91 1.528-1.145C21.69 2.28 24 3.434 24 5.457z" />
-                            </svg>
-                        </a>
-                        <a href="https://leetcode.com/u/Harendra1558/" target="_blank" rel="noopener noreferrer" className={styles.socialLink} aria-label="LeetCode">
-                            <svg viewBox="0 0 24 24" fill="currentColor">
-                                <path d="M13.483 0a1.374 1.374 0 0 0-.961.438L7.116 6.226l-3.854 4.126a5.266 5.266 0 0 0-1.209 2.104 5.35 5.35 0 0 0-.125.513 5.527 5.527 0 0 0 .062 2.362 5.83 5.83 0 0 0 .349 1.017 5.938 5.938 0 0 0 1.271 1.818l4.277 4.193.039.038c2.248 2.165 5.852 2.133 8.063-.074l2.396-2.392c.54-.54.54-1.414.003-1.955a1.378 1.378 0 0 0-1.951-.003l-2.396 2.392a3.021 3.021 0 0 1-4.205.038l-.02-.019-4.276-4.193c-.652-.64-.972-1.469-.948-2.263a2.68 2.68 0 0 1 .066-.523 2.545 2.545 0 0 1 .619-1.164L9.13 8.114c1.058-1.134 3.204-1.27 4.43-.278l3.501 2.831c.593.48 1.461.387 1.94-.207a1.384 1.384 0 0 0-.207-1.943l-3.5-2.831c-.8-.647-1.766-1.045-2.774-1.202l2.015-2.158A1.384 1.384 0 0 0 13.483 0zm-2.866 12.815a1.38 1.38 0 0 0-1.38 1.382 1.38 1.38 0 0 0 1.38 1.382H20.79a1.38 1.38 0 0 0 1.38-1.382 1.38 1.38 0 0 0-1.38-1.382z" />
-                            </svg>
-                        </a>
+                        {socialLinks.map((link) => (
+                            <a
+                                key={link.href}
+                                href={link.href}
+                                target={link.href.startsWith('mailto:') ? undefined : '_blank'}
+                                rel="noopener noreferrer"
+                                className={styles.socialLink}
+                                aria-label={link.label}
+                            >
+                                <svg viewBox="0 0 24 24" fill="currentColor">
+                                    <path d={SOCIAL_ICONS[link.label.toLowerCase()]} />
+                                </svg>
+                            </a>
+                        ))}
                     </div>
                 </div>
                 <div className={styles.heroRight}>
@@ -148,28 +149,11 @@ function Hero() {
                                     <span className={styles.dotYellow}></span>
                                     <span className={styles.dotGreen}></span>
                                 </div>
-                                <span className={styles.fileName}>Harendra.java</span>
+                                <span className={styles.fileName}>{fileName}</span>
                             </div>
                             <pre className={styles.codeContent}>
                                 <code>
-                                    {`public class Harendra {
-    
-    private String role = "Programmer Analyst";
-    private int experience = 3; // years
-    private String company = "Finagg";
-    
-    public String[] getSkills() {
-        return new String[] {
-            "Java", "Spring Boot",
-            "Microservices", "AWS",
-            "System Design", "DSA"
-        };
-    }
-    
-    public boolean isAvailable() {
-        return true; // Let's connect!
-    }
-}`}
+                                    {code}
                                 </code>
                             </pre>
                         </div>
@@ -187,13 +171,8 @@ function Hero() {
 }
 
 // About Section
-function About() {
-    const stats = [
-        { number: '3', label: 'Years Experience', icon: '💼' },
-        { number: '400+', label: 'DSA Problems', icon: '🧩' },
-        { number: '1612', label: 'LeetCode Rating', icon: '🏆' },
-        { number: '10+', label: 'Projects Built', icon: '🚀' },
-    ];
+function About({ about }) {
+    const { journey, stats, techStack } = about;
 
     return (
         <section className={styles.section} id="about">
@@ -210,26 +189,15 @@ function About() {
                     <div className={styles.aboutContent}>
                         <div className={styles.aboutCard}>
                             <h3>My Journey</h3>
-                            <p>
-                                I'm a <strong>Programmer Analyst at Finagg</strong> with 3 years of experience specializing in
-                                backend development. Currently building <strong>FameScore</strong> and <strong>FameReport</strong> -
-                                innovative influence analytics platforms for brands and influencers.
-                            </p>
-                            <p>
-                                Previously at <strong>UGRO Capital</strong>, I built scalable fintech applications
-                                processing millions of transactions. My expertise lies in <strong>Java, Spring Boot,
-                                    and Microservices architecture</strong>.
-                            </p>
-                            <p>
-                                When I'm not coding, you'll find me solving algorithmic challenges on LeetCode
-                                or exploring new technologies to stay ahead of the curve.
-                            </p>
+                            {journey.map((paragraph, idx) => (
+                                <p key={idx}>{withBold(paragraph)}</p>
+                            ))}
                         </div>
 
                         <div className={styles.techStack}>
                             <h4>Current Tech Stack</h4>
                             <div className={styles.techIcons}>
-                                {['Java', 'Spring', 'AWS', 'Docker', 'PostgreSQL', 'Redis'].map((tech) => (
+                                {techStack.map((tech) => (
                                     <span key={tech} className={styles.techBadge}>{tech}</span>
                                 ))}
                             </div>
@@ -252,44 +220,7 @@ function About() {
 }
 
 // Experience Section
-function Experience() {
-    const experiences = [
-        {
-            company: 'Finagg',
-            role: 'Programmer Analyst',
-            period: 'May 2025 – Present',
-            location: 'India',
-            description: 'Building innovative fintech products for influence analytics',
-            highlights: [
-                'Developing FameScore - A comprehensive influence analytics platform (famescore.in)',
-                'Building FameReport - Detailed influencer reporting and analytics solution',
-                'Architecting scalable backend systems for real-time data processing',
-                'Implementing robust APIs for social media analytics integration',
-                'Collaborating with cross-functional teams to deliver high-quality products',
-            ],
-            technologies: ['Java', 'Spring Boot', 'Microservices', 'AWS', 'PostgreSQL', 'Redis'],
-            links: [
-                { label: 'FameScore', url: 'https://famescore.in/' }
-            ]
-        },
-        {
-            company: 'UGRO Capital',
-            role: 'Software Engineer',
-            period: 'Feb 2023 – May 2025',
-            location: 'India',
-            description: 'Built next-generation fintech solutions for lending operations',
-            highlights: [
-                'Developed and managed Loan Origination System (LOS) and Loan Management System (LMS)',
-                'Led integration of third-party APIs (GST, CIBIL, TransUnion, Perfios) using Reactive Java',
-                'Improved API performance by reducing latency by 50% through multithreading optimization',
-                'Implemented RSA/AES hybrid encryption for secure communication',
-                'Designed CI/CD pipelines using Docker, Jenkins, and AWS ECS',
-                'Collaborated with security teams to ensure RBI compliance',
-            ],
-            technologies: ['Java', 'Spring Boot', 'AWS', 'Docker', 'MySQL', 'Redis'],
-        },
-    ];
-
+function Experience({ experiences }) {
     return (
         <section className={clsx(styles.section, styles.sectionAlt)} id="experience">
             <div className={styles.container}>
@@ -315,7 +246,7 @@ function Experience() {
                                     </div>
                                 </div>
                                 <div className={styles.expMeta}>
-                                    <span className={styles.expPeriod}>{exp.period}</span>
+                                    <span className={styles.expPeriod}>{formatPeriod(exp.startDate, exp.endDate)}</span>
                                     <span className={styles.expLocation}>{exp.location}</span>
                                 </div>
                             </div>
@@ -344,55 +275,8 @@ function Experience() {
 }
 
 // Skills Section
-function Skills() {
-    const skillCategories = [
-        {
-            title: 'Languages',
-            icon: '💻',
-            skills: [
-                { name: 'Java', level: 95 },
-                { name: 'JavaScript', level: 75 },
-                { name: 'SQL', level: 85 },
-                { name: 'Python', level: 60 },
-            ],
-        },
-        {
-            title: 'Frameworks',
-            icon: '🔧',
-            skills: [
-                { name: 'Spring Boot', level: 90 },
-                { name: 'Spring MVC', level: 85 },
-                { name: 'Hibernate', level: 80 },
-                { name: 'React', level: 65 },
-            ],
-        },
-        {
-            title: 'Cloud & DevOps',
-            icon: '☁️',
-            skills: [
-                { name: 'AWS', level: 80 },
-                { name: 'Docker', level: 85 },
-                { name: 'Kubernetes', level: 70 },
-                { name: 'Jenkins', level: 75 },
-            ],
-        },
-        {
-            title: 'Databases',
-            icon: '🗄️',
-            skills: [
-                { name: 'MySQL', level: 90 },
-                { name: 'PostgreSQL', level: 85 },
-                { name: 'Redis', level: 80 },
-                { name: 'MongoDB', level: 70 },
-            ],
-        },
-    ];
-
-    const concepts = [
-        'System Design', 'Microservices', 'REST APIs', 'Data Structures',
-        'Algorithms', 'Design Patterns', 'SOLID Principles', 'Clean Architecture',
-        'Distributed Systems', 'Message Queues', 'Caching Strategies', 'API Security'
-    ];
+function Skills({ skills }) {
+    const { categories: skillCategories, concepts } = skills;
 
     return (
         <section className={styles.section} id="skills">
@@ -445,64 +329,33 @@ function Skills() {
     );
 }
 
+// Stars, languages and last commit of a project's repository, fetched at build time
+function RepositoryMeta({ repository }) {
+    const updated = new Date(repository.lastCommitAt).toLocaleDateString('en', { month: 'short', year: 'numeric' });
+    return (
+        <div className={styles.projectRepo}>
+            <ul className={styles.projectRepoStats}>
+                <li title="GitHub stars">★ {repository.stars}</li>
+                {repository.languages.map((language) => (
+                    <li key={language.name}>
+                        {language.name} {language.percent}%
+                    </li>
+                ))}
+                <li>
+                    Updated <time dateTime={repository.lastCommitAt}>{updated}</time>
+                </li>
+            </ul>
+            {repository.readmeExcerpt && <blockquote>{repository.readmeExcerpt}</blockquote>}
+        </div>
+    );
+}
+
 // Projects Section
-function Projects() {
-    const projects = [
-        {
-            title: 'FameScore',
-            description: 'A comprehensive influence analytics platform that measures social media influence and provides detailed scoring metrics. Real-time analytics for brands and influencers.',
-            tech: ['Java', 'Spring Boot', 'PostgreSQL', 'AWS', 'Redis'],
-            github: null,
-            demo: 'https://famescore.in/',
-            featured: true,
-            icon: '⭐',
-        },
-        {
-            title: 'FameReport',
-            description: 'Detailed influencer reporting and analytics solution. Generates comprehensive reports on social media performance, engagement metrics, and audience insights.',
-            tech: ['Java', 'Spring Boot', 'Microservices', 'AWS'],
-            github: null,
-            demo: null,
-            featured: true,
-            icon: '📊',
-        },
-        {
-            title: 'URL Shortener with QR Code',
-            description: 'A robust URL shortening service with custom aliases, expiration dates, and customizable QR code generation. Features analytics tracking for monitoring user engagement.',
-            tech: ['Java', 'Spring Boot', 'MySQL', 'React', 'Redis'],
-            github: 'https://github.com/Harendra1558',
-            demo: null,
-            featured: false,
-            icon: '🔗',
-        },
-        {
-            title: 'CS Fundamentals Wiki',
-            description: 'Comprehensive documentation covering JVM internals, DBMS optimization, Spring Boot, distributed systems, and more. A one-stop resource for interview preparation.',
-            tech: ['Docusaurus', 'React', 'Mermaid', 'Markdown'],
-            github: 'https://github.com/Harendra1558/cs-master-wiki',
-            demo: '/docs',
-            featured: false,
-            icon: '📚',
-        },
-        {
-            title: 'Loan Management System',
-            description: 'Enterprise-grade loan origination and management system handling end-to-end loan lifecycle. Integrated with multiple third-party services for verification.',
-            tech: ['Java', 'Spring Boot', 'AWS', 'PostgreSQL'],
-            github: null,
-            demo: null,
-            featured: false,
-            icon: '💰',
-        },
-        {
-            title: 'HSpring Framework',
-            description: 'A lightweight Spring Boot implementation built from scratch in Java 17. Features a complete IoC Container with component scanning, Dependency Injection using Reflection API with @Autowired support, custom annotation processor for @RestController, @GetMapping, @PostMapping, URL routing with path variable extraction, and a filter chain pattern for request/response interception.',
-            tech: ['Java 17', 'Maven', 'Reflection API', 'Jackson', 'Railway'],
-            github: 'https://github.com/Harendra1558/hspring-framework',
-            demo: 'https://hspring-framework-production.up.railway.app',
-            featured: true,
-            icon: '🌱',
-        },
-    ];
+function Projects({ projects, profiles }) {
+    const github = profiles.find((profile) => profile.network.toLowerCase() === 'github');
+    const [tech, setTech] = useState(null);
+    const techs = [...new Set(projects.flatMap((project) => project.tech))].sort((a, b) => a.localeCompare(b));
+    const visible = tech ? projects.filter((project) => project.tech.includes(tech)) : projects;
 
     return (
         <section className={clsx(styles.section, styles.sectionAlt)} id="projects">
@@ -515,15 +368,35 @@ function Projects() {
                     </p>
                 </div>
 
+                <div className={styles.projectFilter} role="group" aria-label="Filter projects by technology">
+                    {[null, ...techs].map((name) => (
+                        <button
+                            key={name ?? 'all'}
+                            type="button"
+                            aria-pressed={tech === name}
+                            className={clsx(styles.projectFilterChip, tech === name && styles.projectFilterChipActive)}
+                            onClick={() => setTech(name)}>
+                            {name ?? 'All'}
+                        </button>
+                    ))}
+                </div>
+
                 <div className={styles.projectsGrid}>
-                    {projects.map((project, idx) => (
-                        <div key={idx} className={clsx(styles.projectCard, project.featured && styles.projectFeatured)}>
+                    {visible.map((project) => (
+                        <div key={project.title} className={clsx(styles.projectCard, project.featured && styles.projectFeatured)}>
                             <div className={styles.projectIcon}>{project.icon}</div>
                             <h3>{project.title}</h3>
                             <p>{project.description}</p>
+                            {project.repository && <RepositoryMeta repository={project.repository} />}
                             <div className={styles.projectTech}>
-                                {project.tech.map((tech, tIdx) => (
-                                    <span key={tIdx}>{tech}</span>
+                                {project.tech.map((name) => (
+                                    <button
+                                        key={name}
+                                        type="button"
+                                        aria-pressed={tech === name}
+                                        onClick={() => setTech(tech === name ? null : name)}>
+                                        {name}
+                                    </button>
                                 ))}
                             </div>
                             <div className={styles.projectLinks}>
@@ -548,41 +421,24 @@ function Projects() {
                     ))}
                 </div>
 
-                <div className={styles.moreProjects}>
-                    <a href="https://github.com/Harendra1558" target="_blank" rel="noopener noreferrer" className={styles.viewAllBtn}>
-                        View All Projects on GitHub
-                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                            <path d="M5 12h14M12 5l7 7-7 7" />
-                        </svg>
-                    </a>
-                </div>
+                {github && (
+                    <div className={styles.moreProjects}>
+                        <a href={github.url} target="_blank" rel="noopener noreferrer" className={styles.viewAllBtn}>
+                            View All Projects on GitHub
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M5 12h14M12 5l7 7-7 7" />
+                            </svg>
+                        </a>
+                    </div>
+                )}
             </div>
         </section>
     );
 }
 
 // Contact Section
-function Contact() {
-    const contactMethods = [
-        {
-            icon: '📧',
-            label: 'Email',
-            value: 'harendrakumar1558@gmail.com',
-            href: 'mailto:harendrakumar1558@gmail.com',
-        },
-        {
-            icon: '💼',
-            label: 'LinkedIn',
-            value: 'Connect with me',
-            href: 'https://www.linkedin.com/in/harendra1558/',
-        },
-        {
-            icon: '💻',
-            label: 'GitHub',
-            value: '@Harendra1558',
-            href: 'https://github.com/Harendra1558',
-        },
-    ];
+function Contact({ contact, email }) {
+    const { methods: contactMethods } = contact;
 
     return (
         <section className={styles.contactSection} id="contact">
@@ -615,7 +471,7 @@ function Contact() {
                                 <span className={styles.contactEmoji}>🚀</span>
                                 <h3>Ready to collaborate?</h3>
                                 <p>Let's discuss scalable backend architectures, fintech solutions, or your next big project.</p>
-                                <a href="mailto:harendrakumar1558@gmail.com" className={styles.contactCta}>
+                                <a href={`mailto:${email}`} className={styles.contactCta}>
                                     Send Message
                                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                         <path d="M22 2L11 13M22 2l-7 20-4-9-9-4 20-7z" />
@@ -630,52 +486,22 @@ function Contact() {
     );
 }
 
-// Scroll to Top Button
-function ScrollToTop() {
-    const [isVisible, setIsVisible] = useState(false);
-
-    useEffect(() => {
-        const toggleVisibility = () => {
-            setIsVisible(window.scrollY > 500);
-        };
-
-        window.addEventListener('scroll', toggleVisibility);
-        return () => window.removeEventListener('scroll', toggleVisibility);
-    }, []);
-
-    const scrollToTop = () => {
-        window.scrollTo({ top: 0, behavior: 'smooth' });
-    };
-
-    return (
-        <button
-            className={clsx(styles.scrollToTop, isVisible && styles.scrollToTopVisible)}
-            onClick={scrollToTop}
-            aria-label="Scroll to top"
-        >
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M18 15l-6-6-6 6" />
-            </svg>
-        </button>
-    );
-}
-
 // Main Component
 export default function Home() {
-    const { siteConfig } = useDocusaurusContext();
+    // Loaded from data/portfolio.yml by plugins/portfolio
+    const portfolio = usePluginData('portfolio');
+    const { basics } = portfolio;
 
     return (
-        <Layout
-            title="Harendra - Software Engineer"
-            description="Portfolio of Harendra, a Software Engineer specializing in Java, Spring Boot, and Microservices. Building scalable backend systems.">
+        <Layout title={`${basics.name} - ${basics.label}`} description={basics.summary}>
             <main className={styles.main}>
                 <NavDots />
-                <Hero />
-                <About />
-                <Experience />
-                <Skills />
-                <Projects />
-                <Contact />
+                <Hero basics={basics} hero={portfolio.hero} experiences={portfolio.experience} />
+                <About about={portfolio.about} />
+                <Experience experiences={portfolio.experience} />
+                <Skills skills={portfolio.skills} />
+                <Projects projects={portfolio.projects} profiles={basics.profiles} />
+                <Contact contact={portfolio.contact} email={basics.email} />
                 <ScrollToTop />
             </main>
         </Layout>
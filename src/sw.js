@@ -0,0 +1,23 @@
+import { matchOffline } from './components/OfflinePage/offlineCache';
+
+/**
+ * Custom code of the PWA service worker (`swCustom` in docusaurus.config.js).
+ * Unless the whole site is precached (Docusaurus' offline mode, for the
+ * installed app), requests go to the network first and fall back to the
+ * topics downloaded from the /offline page, then to an offline page listing
+ * them.
+ */
+export default function swCustom(params) {
+    if (params.offlineMode) {
+        return;
+    }
+    const baseUrl = new URL(self.registration.scope).pathname;
+
+    self.addEventListener('fetch', (event) => {
+        const { request } = event;
+        if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+            return;
+        }
+        event.respondWith(fetch(request).catch(() => matchOffline(request, baseUrl)));
+    });
+}
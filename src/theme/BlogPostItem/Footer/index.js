@@ -1,12 +1,23 @@
 import React from 'react';
 import Footer from '@theme-original/BlogPostItem/Footer';
+import { useBlogPost } from '@docusaurus/plugin-content-blog/client';
 import Comments from '@site/src/components/Comments';
+import NavDots, { HEADING_SELECTOR } from '@site/src/components/NavDots';
+import ScrollToTop from '@site/src/components/ScrollToTop';
 
 export default function FooterWrapper(props) {
+    const { frontMatter, isBlogPostPage } = useBlogPost();
     return (
         <>
             <Footer {...props} />
-            <Comments />
+            {/* Blog list pages render the footer of every post: these belong on the post page only */}
+            {isBlogPostPage && (
+                <>
+                    <Comments type="blog" frontMatter={frontMatter} />
+                    {frontMatter.nav_dots && <NavDots selector={HEADING_SELECTOR} label="Post sections" compact />}
+                    <ScrollToTop />
+                </>
+            )}
         </>
     );
 }
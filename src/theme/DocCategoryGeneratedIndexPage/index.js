@@ -0,0 +1,76 @@
+/**
+ * Ejected from @docusaurus/theme-classic to show the topic's content
+ * statistics and the reader's progress between the category header and its
+ * chapter cards.
+ */
+import React from 'react';
+import { PageMetadata } from '@docusaurus/theme-common';
+import { useCurrentSidebarCategory } from '@docusaurus/plugin-content-docs/client';
+import { usePluginData } from '@docusaurus/useGlobalData';
+import useBaseUrl from '@docusaurus/useBaseUrl';
+import DocCardList from '@theme/DocCardList';
+import DocPaginator from '@theme/DocPaginator';
+import DocVersionBanner from '@theme/DocVersionBanner';
+import DocVersionBadge from '@theme/DocVersionBadge';
+import DocBreadcrumbs from '@theme/DocBreadcrumbs';
+import Heading from '@theme/Heading';
+import ContentStats from '@site/src/components/ContentStats';
+import CategoryProgress, { collectDocIds } from '@site/src/components/ReadingProgress/CategoryProgress';
+import styles from './styles.module.css';
+
+function DocCategoryGeneratedIndexPageMetadata({ categoryGeneratedIndex }) {
+    return (
+        <PageMetadata
+            title={categoryGeneratedIndex.title}
+            description={categoryGeneratedIndex.description}
+            keywords={categoryGeneratedIndex.keywords}
+            image={useBaseUrl(categoryGeneratedIndex.image)}
+        />
+    );
+}
+
+// Categories are topic folders; match them by the folder of their docs, as
+// the page title is the label translated for the current locale.
+function useCategoryTopic(items) {
+    const { topics } = usePluginData('content-stats');
+    const dirs = new Set(collectDocIds(items).map((docId) => docId.split('/')[0]));
+    return topics.find((topic) => dirs.has(topic.docDir))?.id;
+}
+
+function DocCategoryGeneratedIndexPageContent({ categoryGeneratedIndex }) {
+    const category = useCurrentSidebarCategory();
+    const topic = useCategoryTopic(category.items);
+    return (
+        <div className={styles.generatedIndexPage}>
+            <DocVersionBanner />
+            <DocBreadcrumbs />
+            <DocVersionBadge />
+            <header>
+                <Heading as="h1" className={styles.title}>
+                    {categoryGeneratedIndex.title}
+                </Heading>
+                {categoryGeneratedIndex.description && <p>{categoryGeneratedIndex.description}</p>}
+            </header>
+            {topic && <ContentStats topic={topic} />}
+            <CategoryProgress items={category.items} />
+            <article className="margin-top--lg">
+                <DocCardList items={category.items} className={styles.list} />
+            </article>
+            <footer className="margin-top--md">
+                <DocPaginator
+                    previous={categoryGeneratedIndex.navigation.previous}
+                    next={categoryGeneratedIndex.navigation.next}
+                />
+            </footer>
+        </div>
+    );
+}
+
+export default function DocCategoryGeneratedIndexPage(props) {
+    return (
+        <>
+            <DocCategoryGeneratedIndexPageMetadata {...props} />
+            <DocCategoryGeneratedIndexPageContent {...props} />
+        </>
+    );
+}
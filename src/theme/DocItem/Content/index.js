@@ -0,0 +1,12 @@
+import React from 'react';
+import Content from '@theme-original/DocItem/Content';
+import TranslationNotice from '@site/src/components/TranslationNotice';
+
+export default function ContentWrapper(props) {
+    return (
+        <>
+            <TranslationNotice />
+            <Content {...props} />
+        </>
+    );
+}
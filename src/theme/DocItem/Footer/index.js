@@ -1,12 +1,18 @@
 import React from 'react';
 import Footer from '@theme-original/DocItem/Footer';
+import { useDoc } from '@docusaurus/plugin-content-docs/client';
+import ChapterProgress from '@site/src/components/ReadingProgress';
 import Comments from '@site/src/components/Comments';
+import NavDots, { HEADING_SELECTOR } from '@site/src/components/NavDots';
 
 export default function FooterWrapper(props) {
+    const { frontMatter } = useDoc();
     return (
         <>
             <Footer {...props} />
-            <Comments />
+            <ChapterProgress />
+            <Comments type="docs" frontMatter={frontMatter} />
+            {frontMatter.nav_dots && <NavDots selector={HEADING_SELECTOR} label="Chapter sections" compact />}
         </>
     );
 }
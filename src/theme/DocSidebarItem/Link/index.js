@@ -0,0 +1,12 @@
+import React from 'react';
+import clsx from 'clsx';
+import Link from '@theme-original/DocSidebarItem/Link';
+import useReadingProgress from '@site/src/components/ReadingProgress/useReadingProgress';
+import styles from './styles.module.css';
+
+// Adds a completion badge to docs marked as done.
+export default function LinkWrapper({ item, ...props }) {
+    const { chapters } = useReadingProgress();
+    const done = item.docId !== undefined && chapters[item.docId]?.done;
+    return <Link item={done ? { ...item, className: clsx(item.className, styles.done) } : item} {...props} />;
+}
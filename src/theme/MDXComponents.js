@@ -0,0 +1,18 @@
+import MDXComponents from '@theme-original/MDXComponents';
+import TabItem from '@theme/TabItem';
+import ContentStats from '@site/src/components/ContentStats';
+import SyllabusCoverage from '@site/src/components/SyllabusCoverage';
+import Since from '@site/src/components/Since';
+import VersionTabs from '@site/src/components/VersionTabs';
+
+// Components usable in any doc or blog post without an import statement. Heavier
+// widgets used by a few chapters (SqlPlayground, IsolationSimulator,
+// RaftSimulator) are imported by those chapters instead.
+export default {
+    ...MDXComponents,
+    ContentStats,
+    SyllabusCoverage,
+    Since,
+    VersionTabs,
+    TabItem,
+};
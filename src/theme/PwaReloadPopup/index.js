@@ -1,14 +1,37 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import clsx from 'clsx';
+import globalData from '@generated/globalData';
+import siteConfig from '@generated/docusaurus.config';
+import { fetchManifest, diffChapters } from '@site/src/components/OfflinePage/offlineCache';
+import ChangeList from '@site/src/components/OfflineUpdates/ChangeList';
 import styles from './styles.module.css';
 
+// Chapters the waiting version changes, from this build's chapter hashes
+// (plugins/offline) and the deployed manifest. The popup is rendered outside
+// the app, hence the direct imports of the generated data.
+function useUpcomingChanges() {
+    const [changes, setChanges] = useState([]);
+    useEffect(() => {
+        const { topics } = globalData.offline.default;
+        const current = Object.fromEntries(topics.flatMap((topic) => topic.docs).map((doc) => [doc.permalink, doc]));
+        fetchManifest(siteConfig.baseUrl)
+            .then((latest) => setChanges(diffChapters(current, latest.topics.flatMap((topic) => topic.docs))))
+            .catch(() => setChanges([]));
+    }, []);
+    return changes;
+}
+
 export default function PwaReloadPopup({ onReload }) {
+    const changes = useUpcomingChanges();
     return (
         <div className={clsx(styles.popup)}>
             <div className={styles.content}>
-                <p className={styles.message}>
-                    ✨ New content is available!
-                </p>
+                <div>
+                    <p className={styles.message}>
+                        ✨ New content is available!
+                    </p>
+                    {changes.length > 0 && <ChangeList changes={changes} />}
+                </div>
                 <button
                     className={styles.button}
                     type="button"
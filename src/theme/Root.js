@@ -0,0 +1,14 @@
+import React from 'react';
+import ConsentBanner from '@site/src/components/Analytics/ConsentBanner';
+import OfflineUpdates from '@site/src/components/OfflineUpdates';
+
+// Wraps the whole app, so the consent banner and offline update notes show on every page.
+export default function Root({ children }) {
+    return (
+        <>
+            {children}
+            <ConsentBanner />
+            <OfflineUpdates />
+        </>
+    );
+}
@@ -0,0 +1,74 @@
+// Search worker and helpers of @easyops-cn/docusaurus-search-local. They are
+// not part of its public API, so only this module imports them and
+// package.json pins the exact version: check these paths before upgrading.
+import { fetchIndexesByWorker, searchByWorker } from '@easyops-cn/docusaurus-search-local/dist/client/client/theme/searchByWorker';
+import { SearchDocumentType } from '@easyops-cn/docusaurus-search-local/dist/client/shared/interfaces';
+
+export { SearchDocumentType, fetchIndexesByWorker };
+export { highlight } from '@easyops-cn/docusaurus-search-local/dist/client/client/utils/highlight';
+export { highlightStemmed } from '@easyops-cn/docusaurus-search-local/dist/client/client/utils/highlightStemmed';
+export { getStemmedPositions } from '@easyops-cn/docusaurus-search-local/dist/client/client/utils/getStemmedPositions';
+export { Mark } from '@easyops-cn/docusaurus-search-local/dist/client/client/utils/proxiedGenerated';
+
+const RESULT_LIMIT = 100;
+// Question headings are a small share of all matches; look further for them.
+const QUESTION_RESULT_LIMIT = 1000;
+// "### Q3: What is MVCC?" headings (see plugins/interview-questions)
+const QUESTION_HEADING = /^Q\d+[:.]/;
+
+function formPattern(form) {
+    const source = form
+        .split(/[\s-]+/)
+        .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[\\s-]+');
+    return new RegExp(`\\b${source}\\b`, 'i');
+}
+
+/**
+ * The query followed by its variants with an abbreviation swapped for its
+ * other forms: "gc tuning" -> ["gc tuning", "garbage collection tuning", ...].
+ *
+ * @param {string} query
+ * @param {string[][]} synonyms groups of equivalent forms
+ */
+export function expandQuery(query, synonyms) {
+    const queries = [query];
+    for (const forms of synonyms) {
+        // Longest first, so "cap theorem" is not read as "cap" + "theorem"
+        const used = [...forms].sort((a, b) => b.length - a.length).find((form) => formPattern(form).test(query));
+        if (!used) {
+            continue;
+        }
+        forms
+            .filter((form) => form !== used)
+            .forEach((form) => queries.push(query.replace(formPattern(used), form)));
+    }
+    return [...new Set(queries)];
+}
+
+/**
+ * Searches the index for the query and its synonym variants, keeping each
+ * document once. With `questionsOnly`, only interview question headings are
+ * returned.
+ */
+export async function search(versionUrl, query, { synonyms, questionsOnly }) {
+    const limit = questionsOnly ? QUESTION_RESULT_LIMIT : RESULT_LIMIT;
+    const lists = await Promise.all(
+        expandQuery(query, synonyms).map((variant) => searchByWorker(versionUrl, '', variant, limit)),
+    );
+
+    const seen = new Set();
+    const results = lists.flat().filter(({ document }) => {
+        if (seen.has(document.i)) {
+            return false;
+        }
+        seen.add(document.i);
+        return true;
+    });
+    if (!questionsOnly) {
+        return results.slice(0, RESULT_LIMIT);
+    }
+    return results.filter(
+        ({ type, document }) => type === SearchDocumentType.Heading && QUESTION_HEADING.test(document.t),
+    );
+}
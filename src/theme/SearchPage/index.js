@@ -0,0 +1,369 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import clsx from 'clsx';
+import Head from '@docusaurus/Head';
+import Link from '@docusaurus/Link';
+import Translate, { translate } from '@docusaurus/Translate';
+import { useHistory, useLocation } from '@docusaurus/router';
+import useBaseUrl from '@docusaurus/useBaseUrl';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import { usePluginData } from '@docusaurus/useGlobalData';
+import { usePluralForm } from '@docusaurus/theme-common';
+import Layout from '@theme/Layout';
+import {
+    search,
+    fetchIndexesByWorker,
+    SearchDocumentType,
+    highlight,
+    highlightStemmed,
+    getStemmedPositions,
+    Mark,
+} from './engine';
+import { recordMissedQuery, useMissedQueries } from './missedQueries';
+import styles from './styles.module.css';
+
+const ALL_TOPICS = 'all';
+// A query still showing no results after this long was not just being typed.
+const MISSED_QUERY_DELAY = 2000;
+
+// Search parameters: q, topic, questions=1 and the docs version of the plugin
+function useSearchParams() {
+    const history = useHistory();
+    const location = useLocation();
+    const params = new URLSearchParams(location.search);
+
+    const update = (changes) => {
+        const next = new URLSearchParams(location.search);
+        Object.entries(changes).forEach(([name, value]) => {
+            if (value) {
+                next.set(name, value);
+            } else {
+                next.delete(name);
+            }
+        });
+        history.replace({ search: next.toString() });
+    };
+
+    return {
+        query: params.get('q') ?? '',
+        topic: params.get('topic') ?? ALL_TOPICS,
+        questionsOnly: params.get('questions') === '1',
+        version: params.get('version') ?? '',
+        update,
+    };
+}
+
+// Topic of each result, from its URL in any docs version; blog posts and other pages get their own group
+function useGroups(results) {
+    const { topics } = usePluginData('search');
+    const blogPath = useBaseUrl('/blog');
+
+    return useMemo(() => {
+        const groups = [
+            ...topics.map((topic) => ({ ...topic, results: [] })),
+            { id: 'blog', label: translate({ id: 'search.group.blog', message: 'Blog' }), results: [] },
+            { id: 'other', label: translate({ id: 'search.group.other', message: 'Other pages' }), results: [] },
+        ];
+        (results ?? []).forEach((result) => {
+            const url = result.document.u;
+            const group =
+                groups.find((g) => g.paths?.some((path) => url.startsWith(path))) ??
+                groups.find((g) => g.id === (url.startsWith(blogPath) ? 'blog' : 'other'));
+            group.results.push(result);
+        });
+        return groups.filter((group) => group.results.length > 0);
+    }, [topics, blogPath, results]);
+}
+
+function TopicFilter({ groups, total, selected, onSelect }) {
+    return (
+        <div className={styles.topicFilter} role="group" aria-label="Filter results by topic">
+            <button
+                type="button"
+                className={clsx(styles.topicChip, selected === ALL_TOPICS && styles.topicChipActive)}
+                aria-pressed={selected === ALL_TOPICS}
+                onClick={() => onSelect(ALL_TOPICS)}>
+                <Translate id="search.topics.all">All topics</Translate> <span className={styles.topicCount}>{total}</span>
+            </button>
+            {groups.map((group) => (
+                <button
+                    key={group.id}
+                    type="button"
+                    className={clsx(styles.topicChip, selected === group.id && styles.topicChipActive)}
+                    aria-pressed={selected === group.id}
+                    onClick={() => onSelect(group.id)}>
+                    {group.label} <span className={styles.topicCount}>{group.results.length}</span>
+                </button>
+            ))}
+        </div>
+    );
+}
+
+function SearchResultItem({ result: { document, type, page, tokens, metadata } }) {
+    const isTitle = type === SearchDocumentType.Title;
+    const isDescriptionOrKeywords = type === SearchDocumentType.Description || type === SearchDocumentType.Keywords;
+    const isContent = type === SearchDocumentType.Content;
+    const title = isContent || isDescriptionOrKeywords ? document.s : document.t;
+    const pathItems = (isTitle ? document.b : page.b).slice();
+    if (!isTitle && !isDescriptionOrKeywords) {
+        pathItems.push(page.t);
+    }
+
+    let highlightParams = '';
+    if (Mark && tokens.length > 0) {
+        const params = new URLSearchParams();
+        tokens.forEach((token) => params.append('_highlight', token));
+        highlightParams = `?${params.toString()}`;
+    }
+
+    return (
+        <article className={styles.result}>
+            <h3 className={styles.resultTitle}>
+                <Link
+                    to={document.u + highlightParams + (document.h || '')}
+                    dangerouslySetInnerHTML={{
+                        __html:
+                            isContent || isDescriptionOrKeywords
+                                ? highlight(title, tokens)
+                                : highlightStemmed(title, getStemmedPositions(metadata, 't'), tokens, 100),
+                    }}
+                />
+            </h3>
+            {pathItems.length > 0 && <p className={styles.resultPath}>{pathItems.join(' › ')}</p>}
+            {(isContent || type === SearchDocumentType.Description) && (
+                <p
+                    className={styles.resultSummary}
+                    dangerouslySetInnerHTML={{
+                        __html: highlightStemmed(document.t, getStemmedPositions(metadata, 't'), tokens, 100),
+                    }}
+                />
+            )}
+        </article>
+    );
+}
+
+function MissedQueries() {
+    const [queries, clear] = useMissedQueries();
+    if (queries.length === 0) {
+        return null;
+    }
+    return (
+        <section className={styles.missed}>
+            <div className={styles.missedHeader}>
+                <h2>
+                    <Translate id="search.missedQueries.title">Searches that found nothing</Translate>
+                </h2>
+                <button type="button" className={styles.clearButton} onClick={clear}>
+                    <Translate id="search.missedQueries.clear">Clear</Translate>
+                </button>
+            </div>
+            <p className={styles.missedNote}>
+                <Translate id="search.missedQueries.note">
+                    Kept in this browser only, to find topics worth writing about; nothing is sent anywhere.
+                </Translate>
+            </p>
+            <ul className={styles.missedList}>
+                {queries.map(({ query, count }) => (
+                    <li key={query}>
+                        <Link to={`/search?q=${encodeURIComponent(query)}`}>{query}</Link>
+                        <span className={styles.topicCount}> ×{count}</span>
+                    </li>
+                ))}
+            </ul>
+        </section>
+    );
+}
+
+function SearchPageContent() {
+    const {
+        siteConfig: { baseUrl },
+    } = useDocusaurusContext();
+    const { synonyms } = usePluginData('search');
+    const { selectMessage } = usePluralForm();
+    const params = useSearchParams();
+    const { query, questionsOnly, version } = params;
+    const [input, setInput] = useState(query);
+    const [results, setResults] = useState();
+    const [indexReady, setIndexReady] = useState(false);
+    // Set when the index cannot be fetched or searched, e.g. offline
+    const [failed, setFailed] = useState(false);
+    const versionUrl = `${baseUrl}${version}`;
+
+    useEffect(() => {
+        setFailed(false);
+        fetchIndexesByWorker(versionUrl, '')
+            .then(() => setIndexReady(true))
+            .catch((err) => {
+                console.error('Failed to load the search index', err);
+                setFailed(true);
+            });
+    }, [versionUrl]);
+
+    // Follow the query of the URL, e.g. when coming from the navbar search bar
+    useEffect(() => {
+        setInput(query);
+    }, [query]);
+
+    useEffect(() => {
+        let cancelled = false;
+        if (!query) {
+            setResults(undefined);
+            return undefined;
+        }
+        search(versionUrl, query, { synonyms, questionsOnly })
+            .then((found) => {
+                if (!cancelled) {
+                    setResults(found);
+                }
+            })
+            .catch((err) => {
+                console.error('Search failed', err);
+                if (!cancelled) {
+                    setFailed(true);
+                }
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [versionUrl, query, questionsOnly, synonyms]);
+
+    useEffect(() => {
+        if (process.env.NODE_ENV !== 'production' || !results || results.length > 0) {
+            return undefined;
+        }
+        const timeout = setTimeout(() => recordMissedQuery(query), MISSED_QUERY_DELAY);
+        return () => clearTimeout(timeout);
+    }, [results, query]);
+
+    const groups = useGroups(results);
+    const topic = groups.some((group) => group.id === params.topic) ? params.topic : ALL_TOPICS;
+    const visibleGroups = topic === ALL_TOPICS ? groups : groups.filter((group) => group.id === topic);
+
+    const pageTitle = query
+        ? translate(
+              {
+                  id: 'theme.SearchPage.existingResultsTitle',
+                  message: 'Search results for "{query}"',
+                  description: 'The search page title for non-empty query',
+              },
+              { query },
+          )
+        : translate({
+              id: 'theme.SearchPage.emptyResultsTitle',
+              message: 'Search the documentation',
+              description: 'The search page title for empty query',
+          });
+
+    return (
+        <div className="container margin-vert--lg">
+            <Head>
+                {/* Search pages should not be indexed, see https://github.com/facebook/docusaurus/pull/3233 */}
+                <meta property="robots" content="noindex, follow" />
+                <title>{pageTitle}</title>
+            </Head>
+
+            <h1>{pageTitle}</h1>
+
+            <div className={styles.controls}>
+                <input
+                    type="search"
+                    name="q"
+                    className={styles.queryInput}
+                    aria-label="Search"
+                    value={input}
+                    onChange={(e) => {
+                        setInput(e.target.value);
+                        params.update({ q: e.target.value });
+                    }}
+                    autoComplete="off"
+                    autoFocus
+                />
+                <label className={styles.questionsToggle}>
+                    <input
+                        type="checkbox"
+                        checked={questionsOnly}
+                        onChange={(e) => params.update({ questions: e.target.checked ? '1' : '' })}
+                    />
+                    <Translate id="search.questionsOnly" description="Search page option limiting results to interview questions">
+                        Interview questions only
+                    </Translate>
+                </label>
+            </div>
+
+            {failed && query && (
+                <p className={styles.status} role="alert">
+                    <Translate id="search.loadFailed">
+                        The search index could not be loaded. Check your connection and reload the page.
+                    </Translate>
+                </p>
+            )}
+
+            {!failed && !indexReady && query && (
+                <p className={styles.status}>
+                    <Translate id="search.loadingIndex">Loading the search index…</Translate>
+                </p>
+            )}
+
+            {results &&
+                (results.length > 0 ? (
+                    <>
+                        <p className={styles.status}>
+                            {selectMessage(
+                                results.length,
+                                translate(
+                                    {
+                                        id: 'theme.SearchPage.documentsFound.plurals',
+                                        message: '1 document found|{count} documents found',
+                                    },
+                                    { count: results.length },
+                                ),
+                            )}
+                        </p>
+                        <TopicFilter
+                            groups={groups}
+                            total={results.length}
+                            selected={topic}
+                            onSelect={(id) => params.update({ topic: id === ALL_TOPICS ? '' : id })}
+                        />
+                    </>
+                ) : (
+                    <p className={styles.status}>
+                        {process.env.NODE_ENV === 'production'
+                            ? translate({
+                                  id: 'theme.SearchPage.noResultsText',
+                                  message: 'No documents were found',
+                                  description: 'The paragraph for empty search result',
+                              })
+                            : '⚠️ The search index is only available when you run docusaurus build!'}
+                    </p>
+                ))}
+
+            {visibleGroups.map((group) => (
+                <section key={group.id} className={styles.group}>
+                    {topic === ALL_TOPICS && (
+                        <h2 className={styles.groupTitle}>
+                            {group.label} <span className={styles.topicCount}>{group.results.length}</span>
+                        </h2>
+                    )}
+                    {group.results.map((result) => (
+                        <SearchResultItem key={result.document.i} result={result} />
+                    ))}
+                </section>
+            ))}
+
+            {!query && <MissedQueries />}
+        </div>
+    );
+}
+
+/**
+ * Full search page: results grouped by docs topic with a topic filter, an
+ * interview-questions-only mode and synonyms for common abbreviations (see
+ * plugins/search). Queries that find nothing are remembered locally.
+ */
+export default function SearchPage() {
+    return (
+        <Layout>
+            <SearchPageContent />
+        </Layout>
+    );
+}
@@ -0,0 +1,48 @@
+import { useMemo } from 'react';
+import { createStorageSlot, useStorageSlot } from '@docusaurus/theme-common';
+
+// Queries that found nothing, kept in this browser only and never sent
+// anywhere: {"<query>": {count, lastSearched}}.
+const MISSED_QUERIES_KEY = 'cs-wiki.search-misses';
+const MAX_QUERIES = 100;
+
+function parse(value) {
+    try {
+        return JSON.parse(value) ?? {};
+    } catch {
+        return {};
+    }
+}
+
+function normalize(query) {
+    return query.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+export function recordMissedQuery(query) {
+    const key = normalize(query);
+    if (key.length < 2) {
+        return;
+    }
+    const slot = createStorageSlot(MISSED_QUERIES_KEY);
+    const queries = parse(slot.get());
+    queries[key] = { count: (queries[key]?.count ?? 0) + 1, lastSearched: new Date().toISOString() };
+
+    // Forget the oldest queries beyond the limit.
+    const kept = Object.entries(queries)
+        .sort(([, a], [, b]) => b.lastSearched.localeCompare(a.lastSearched))
+        .slice(0, MAX_QUERIES);
+    slot.set(JSON.stringify(Object.fromEntries(kept)));
+}
+
+/** Missed queries, most frequent first, and a function clearing them. */
+export function useMissedQueries() {
+    const [value, slot] = useStorageSlot(MISSED_QUERIES_KEY);
+    const queries = useMemo(
+        () =>
+            Object.entries(parse(value))
+                .map(([query, entry]) => ({ query, ...entry }))
+                .sort((a, b) => b.count - a.count || b.lastSearched.localeCompare(a.lastSearched)),
+        [value],
+    );
+    return [queries, slot.del];
+}